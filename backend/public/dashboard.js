@@ -14,6 +14,11 @@ class AdvancedTradingDashboard {
         this.isConnected = false;
         this.reconnectInterval = null;
         this.activeSuggestion = null; // Store currently selected suggestion
+        this.activeBacktestJobId = null; // Backtest job currently being tracked
+        this.activeOptimizationId = null; // Optimization shown in the comparison
+        this.authToken = localStorage.getItem('authToken'); // JWT when the API requires a login
+        this.user = null;
+        this.loginPromise = null;
         this.dataCache = {
             rsi: {},
             divergences: [],
@@ -21,7 +26,8 @@ class AdvancedTradingDashboard {
             stats: {},
             backtests: [],
             tradingSuggestions: [],
-            manualTrades: []
+            manualTrades: [],
+            optimizations: []
         };
         
         this.init();
@@ -29,6 +35,7 @@ class AdvancedTradingDashboard {
 
     async init() {
         try {
+            await this.ensureAuthenticated();
             await this.setupWebSocket();
             this.setupEventHandlers();
             await this.loadInitialData();
@@ -46,7 +53,7 @@ class AdvancedTradingDashboard {
         return new Promise((resolve, reject) => {
             try {
                 const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-                const wsUrl = `${protocol}//${window.location.host}`;
+                const wsUrl = `${protocol}//${window.location.host}${this.authToken ? `?token=${encodeURIComponent(this.authToken)}` : ''}`;
                 
                 this.ws = new WebSocket(wsUrl);
                 
@@ -71,6 +78,12 @@ class AdvancedTradingDashboard {
                     console.log('❌ WebSocket disconnected:', event.code, event.reason);
                     this.isConnected = false;
                     this.updateConnectionStatus('disconnected');
+                    
+                    // Refused or expired session: log in again, then reconnect
+                    if (event.code === 4401) {
+                        this.logout().then(() => this.setupWebSocket()).catch(error => console.error('Reconnect after login failed:', error));
+                        return;
+                    }
                     this.scheduleReconnect();
                 };
                 
@@ -93,6 +106,114 @@ class AdvancedTradingDashboard {
         });
     }
 
+    /**
+     * Make sure the dashboard has a valid session when the API requires one
+     */
+    async ensureAuthenticated() {
+        const status = await fetch('/api/auth/status').then(response => response.json());
+        if (!status.data?.enabled) {
+            return;
+        }
+
+        if (this.authToken) {
+            const response = await fetch('/api/auth/me', { headers: { Authorization: `Bearer ${this.authToken}` } });
+            if (response.ok) {
+                this.setUser((await response.json()).data);
+                return;
+            }
+        }
+
+        await this.showLogin();
+    }
+
+    /**
+     * Show the login form and resolve once the user logged in
+     */
+    showLogin() {
+        // Requests failing at the same time share one login
+        if (this.loginPromise) {
+            return this.loginPromise;
+        }
+
+        const overlay = document.getElementById('loginOverlay');
+        const form = document.getElementById('loginForm');
+        const errorElement = document.getElementById('loginError');
+        overlay.style.display = 'flex';
+
+        this.loginPromise = new Promise(resolve => {
+            form.onsubmit = async (event) => {
+                event.preventDefault();
+                errorElement.textContent = '';
+
+                try {
+                    const response = await fetch('/api/auth/login', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            username: document.getElementById('loginUsername').value,
+                            password: document.getElementById('loginPassword').value
+                        })
+                    });
+                    const result = await response.json();
+
+                    if (!result.success) {
+                        throw new Error(result.error || 'Login failed');
+                    }
+
+                    this.authToken = result.data.token;
+                    localStorage.setItem('authToken', this.authToken);
+                    this.setUser(result.data.user);
+                    document.getElementById('loginPassword').value = '';
+                    overlay.style.display = 'none';
+                    this.loginPromise = null;
+                    resolve();
+                } catch (error) {
+                    errorElement.textContent = error.message;
+                }
+            };
+        });
+
+        return this.loginPromise;
+    }
+
+    /**
+     * Forget the session and ask for a new login
+     */
+    async logout() {
+        this.authToken = null;
+        localStorage.removeItem('authToken');
+        this.setUser(null);
+        await this.showLogin();
+    }
+
+    setUser(user) {
+        this.user = user;
+        const userElement = document.getElementById('currentUser');
+        if (userElement) {
+            userElement.style.display = user ? 'flex' : 'none';
+            document.getElementById('currentUserName').textContent = user ? `${user.name} (${user.role})` : '';
+        }
+    }
+
+    /**
+     * fetch() with the session token, a 401 asks for a new login
+     */
+    async apiFetch(url, options = {}) {
+        const headers = { ...(options.headers || {}) };
+        if (this.authToken) {
+            headers.Authorization = `Bearer ${this.authToken}`;
+        }
+
+        const response = await fetch(url, { ...options, headers });
+
+        if (response.status === 401 && this.authToken) {
+            await this.logout();
+            return this.apiFetch(url, options);
+        }
+
+        return response;
+    }
+
     scheduleReconnect() {
         if (this.reconnectInterval) return;
         
@@ -125,6 +246,12 @@ class AdvancedTradingDashboard {
     }
 
     setupEventHandlers() {
+        // Log out: drop the token and start over with the login form
+        document.getElementById('logoutBtn')?.addEventListener('click', () => {
+            localStorage.removeItem('authToken');
+            window.location.reload();
+        });
+
         // Trading pair selection
         document.querySelectorAll('.pair-button').forEach(button => {
             button.addEventListener('click', (e) => {
@@ -172,6 +299,11 @@ class AdvancedTradingDashboard {
             cancelTradeBtn.addEventListener('click', () => this.cancelManualTrade());
         }
 
+        const refreshOptimizationsBtn = document.getElementById('refreshOptimizationsBtn');
+        if (refreshOptimizationsBtn) {
+            refreshOptimizationsBtn.addEventListener('click', () => this.loadOptimizationHistory());
+        }
+
         // Backtesting functionality (legacy - remove if not needed)
         const runBacktestBtn = document.getElementById('runBacktestBtn');
         if (runBacktestBtn) {
@@ -190,7 +322,8 @@ class AdvancedTradingDashboard {
             this.loadDivergenceHistory(),
             this.loadPerformanceStats(),
             this.loadTradingSuggestions(),
-            this.loadManualTradingPerformance()
+            this.loadManualTradingPerformance(),
+            this.loadOptimizationHistory()
         ]);
     }
 
@@ -216,8 +349,8 @@ class AdvancedTradingDashboard {
     async loadPortfolioData() {
         try {
             const [balanceRes, riskRes] = await Promise.all([
-                fetch('/api/portfolio/balance'),
-                fetch('/api/risk/status')
+                this.apiFetch('/api/portfolio/balance'),
+                this.apiFetch('/api/risk/status')
             ]);
             
             const [balanceData, riskData] = await Promise.all([
@@ -240,7 +373,7 @@ class AdvancedTradingDashboard {
         try {
             const endpoint = this.currentPair === 'all' ? '/api/rsi' : `/api/rsi/${this.currentPair}`;
             const url = `${endpoint}?timeframe=${this.currentTimeframe}`;
-            const response = await fetch(url);
+            const response = await this.apiFetch(url);
             const data = await response.json();
             
             if (data.success) {
@@ -266,7 +399,7 @@ class AdvancedTradingDashboard {
                 `/api/divergences/${this.currentPair}`;
             
             const url = `${endpoint}?limit=20&timeframe=${this.currentTimeframe}`;
-            const response = await fetch(url);
+            const response = await this.apiFetch(url);
             const data = await response.json();
             
             if (data.success && Array.isArray(data.data)) {
@@ -287,7 +420,7 @@ class AdvancedTradingDashboard {
 
     async loadPerformanceStats() {
         try {
-            const response = await fetch('/api/stats');
+            const response = await this.apiFetch('/api/stats');
             const data = await response.json();
             
             if (data.success) {
@@ -531,7 +664,7 @@ class AdvancedTradingDashboard {
             <div class="div-row">
                 <div class="div-left">
                     <div class="div-pair">${divergence.pair}</div>
-                    <div class="div-type ${divergence.type}">${divergence.type.toUpperCase()}</div>
+                    <div class="div-type ${divergence.type}">${divergence.divergenceClass === 'hidden' ? 'HIDDEN ' : ''}${divergence.type.toUpperCase()}</div>
                 </div>
                 <div class="div-right">
                     <div class="div-strength">${strengthPercent}%</div>
@@ -603,6 +736,16 @@ class AdvancedTradingDashboard {
     }
 
     handleRealtimeUpdate(data) {
+        if (data.channel === 'backtests') {
+            this.updateBacktestProgress(data.data?.job);
+            return;
+        }
+        
+        if (data.channel === 'trading-commands') {
+            this.handleTradingCommandAck(data.data);
+            return;
+        }
+        
         switch (data.type) {
             case 'divergence':
                 this.handleNewDivergence(data.data);
@@ -621,6 +764,23 @@ class AdvancedTradingDashboard {
         }
     }
 
+    handleTradingCommandAck(ack) {
+        const closed = ack.results.filter(r => r.status === 'closed' || r.status === 'cancelled').length;
+        const failed = ack.results.filter(r => r.status === 'failed');
+        const detail = ack.results.length ? ` (${closed}/${ack.results.length} positions flattened)` : '';
+        
+        if (ack.status === 'completed') {
+            this.showNotification(`Command ${ack.type} completed${detail}`, 'success');
+        } else {
+            const errors = ack.error || failed.map(r => `${r.pair}: ${r.error}`).join('; ');
+            this.showNotification(`Command ${ack.type} ${ack.status}${detail}: ${errors}`, 'error');
+        }
+        
+        if (closed > 0) {
+            this.loadManualTradingPerformance();
+        }
+    }
+
     handleNewDivergence(divergence) {
         // Add to divergence list
         const container = document.getElementById('divergenceList');
@@ -1010,6 +1170,16 @@ class AdvancedTradingDashboard {
         return `${seconds}s`;
     }
 
+    formatTakeProfit(suggestion) {
+        if (!suggestion.takeProfitLadder) {
+            return `$${suggestion.takeProfit.toLocaleString()}`;
+        }
+
+        return suggestion.takeProfitLadder
+            .map(leg => `${(leg.fraction * 100).toFixed(0)}% ${leg.price !== null ? `$${leg.price.toLocaleString()}` : 'trailing'}`)
+            .join(' / ');
+    }
+
     getTimeAgo(date) {
         const now = new Date();
         const diffMs = now - date;
@@ -1101,7 +1271,7 @@ class AdvancedTradingDashboard {
                 commission: 0.001
             };
             
-            const response = await fetch('/api/backtest/run', {
+            const response = await this.apiFetch('/api/backtest/run', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -1117,23 +1287,62 @@ class AdvancedTradingDashboard {
             
             const result = await response.json();
             
-            if (result.success) {
-                this.displayBacktestResults(result.data);
-                this.showNotification('Backtest completed successfully!', 'success');
-            } else {
+            if (!result.success) {
                 throw new Error(result.error || 'Backtest failed');
             }
             
+            this.activeBacktestJobId = result.data.id;
+            const job = await this.waitForBacktestJob(result.data.id);
+            
+            this.displayBacktestResults(job.result);
+            this.showNotification('Backtest completed successfully!', 'success');
+            
         } catch (error) {
             console.error('Backtest error:', error);
             this.showNotification(`Backtest failed: ${error.message}`, 'error');
         } finally {
+            this.activeBacktestJobId = null;
             const btn = document.getElementById('runBacktestBtn');
             btn.innerHTML = '<i class="fas fa-play"></i> Run Backtest';
             btn.disabled = false;
         }
     }
 
+    /**
+     * Poll a queued backtest job until it completes or fails
+     */
+    async waitForBacktestJob(jobId, pollInterval = 2000) {
+        while (true) {
+            const response = await this.apiFetch(`/api/backtest/${jobId}`);
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to get backtest status');
+            }
+            
+            const job = result.data;
+            this.updateBacktestProgress(job);
+            
+            if (job.status === 'completed') return job;
+            if (job.status === 'failed') throw new Error(job.error || 'Backtest failed');
+            
+            await new Promise(resolve => setTimeout(resolve, pollInterval));
+        }
+    }
+
+    /**
+     * Show backtest job progress on the run button
+     */
+    updateBacktestProgress(job) {
+        if (!job || job.id !== this.activeBacktestJobId) return;
+        
+        const btn = document.getElementById('runBacktestBtn');
+        if (!btn) return;
+        
+        const label = job.status === 'queued' ? 'Queued...' : `Running... ${job.progress || 0}%`;
+        btn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${label}`;
+    }
+
     displayBacktestResults(results) {
         // Show results section
         const resultsDiv = document.getElementById('backtestResults');
@@ -1145,10 +1354,11 @@ class AdvancedTradingDashboard {
         };
         
         // Update metrics with safe values
-        document.getElementById('backtestReturn').textContent = `${safeNumber(results.totalReturn).toFixed(2)}%`;
-        document.getElementById('backtestTrades').textContent = safeNumber(results.totalTrades);
+        const totalReturn = safeNumber(results.metrics?.totalReturn ?? results.totalReturn);
+        document.getElementById('backtestReturn').textContent = `${totalReturn.toFixed(2)}%`;
+        document.getElementById('backtestTrades').textContent = safeNumber(results.metrics?.totalTrades ?? results.trades?.length);
         document.getElementById('backtestWinRate').textContent = `${safeNumber(results.metrics?.winRate).toFixed(2)}%`;
-        document.getElementById('backtestDrawdown').textContent = `${safeNumber(results.maxDrawdown).toFixed(2)}%`;
+        document.getElementById('backtestDrawdown').textContent = `${safeNumber(results.metrics?.maxDrawdown ?? results.maxDrawdown).toFixed(2)}%`;
         document.getElementById('backtestSharpe').textContent = safeNumber(results.metrics?.sharpeRatio).toFixed(3);
         document.getElementById('backtestProfitFactor').textContent = safeNumber(results.metrics?.profitFactor).toFixed(2);
         
@@ -1157,7 +1367,6 @@ class AdvancedTradingDashboard {
         const drawdownElement = document.getElementById('backtestDrawdown');
         
         returnElement.classList.remove('positive', 'negative');
-        const totalReturn = safeNumber(results.totalReturn);
         if (totalReturn > 0) {
             returnElement.classList.add('positive');
         } else if (totalReturn < 0) {
@@ -1268,7 +1477,7 @@ class AdvancedTradingDashboard {
      */
     async loadTradingSuggestions() {
         try {
-            const response = await fetch('/api/trading/suggestions');
+            const response = await this.apiFetch('/api/trading/suggestions');
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -1320,7 +1529,7 @@ class AdvancedTradingDashboard {
             for (const pair of pairs) {
                 for (const timeframe of timeframes) {
                     try {
-                        const response = await fetch(`/api/trading/suggestions/${pair}?timeframe=${timeframe}`);
+                        const response = await this.apiFetch(`/api/trading/suggestions/${pair}?timeframe=${timeframe}`);
                         if (response.ok) {
                             const data = await response.json();
                             if (data.success && data.data) {
@@ -1441,7 +1650,7 @@ class AdvancedTradingDashboard {
                     </div>
                     <div class="suggestion-detail">
                         <span class="suggestion-detail-label">Take Profit</span>
-                        <span class="suggestion-detail-value">$${suggestion.takeProfit.toLocaleString()}</span>
+                        <span class="suggestion-detail-value">${this.formatTakeProfit(suggestion)}</span>
                     </div>
                     <div class="suggestion-detail">
                         <span class="suggestion-detail-label">R/R Ratio</span>
@@ -1498,7 +1707,7 @@ class AdvancedTradingDashboard {
         document.getElementById('tradeAction').textContent = suggestion.action;
         document.getElementById('tradeEntryPrice').textContent = `$${suggestion.entryPrice.toLocaleString()}`;
         document.getElementById('tradeStopLoss').textContent = `$${suggestion.stopLoss.toLocaleString()}`;
-        document.getElementById('tradeTakeProfit').textContent = `$${suggestion.takeProfit.toLocaleString()}`;
+        document.getElementById('tradeTakeProfit').textContent = this.formatTakeProfit(suggestion);
         document.getElementById('tradeRiskReward').textContent = `${suggestion.riskRewardRatio.toFixed(2)}:1`;
         
         // Set suggested position size
@@ -1533,7 +1742,7 @@ class AdvancedTradingDashboard {
                 notes: notes
             };
 
-            const response = await fetch('/api/trading/execute', {
+            const response = await this.apiFetch('/api/trading/execute', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
@@ -1549,9 +1758,13 @@ class AdvancedTradingDashboard {
 
             if (result.success) {
                 this.showNotification(`Trade executed: ${result.data.action} ${result.data.pair}`, 'success');
+                (result.warnings || []).forEach(warning => this.showNotification(`Risk warning: ${warning}`, 'warning'));
                 this.cancelManualTrade();
                 this.loadManualTradingPerformance();
                 this.loadTradingSuggestions(); // Refresh suggestions
+            } else if (result.reasons) {
+                // Rejected by the risk manager
+                throw new Error(`Rejected by risk checks (${result.riskLevel}): ${result.reasons.map(r => r.message).join('; ')}`);
             } else {
                 throw new Error(result.error || 'Trade execution failed');
             }
@@ -1644,8 +1857,8 @@ class AdvancedTradingDashboard {
     async loadManualTradingPerformance() {
         try {
             const [performanceRes, tradesRes] = await Promise.all([
-                fetch('/api/trading/performance'),
-                fetch('/api/trading/history?limit=10')
+                this.apiFetch('/api/trading/performance'),
+                this.apiFetch('/api/trading/history?limit=10')
             ]);
             
             const [performanceData, tradesData] = await Promise.all([
@@ -1742,6 +1955,209 @@ class AdvancedTradingDashboard {
             this.loadManualTradingPerformance()
         ]);
     }
+
+    // === OPTIMIZATION RESULTS ===
+
+    /**
+     * Load stored optimization results and the optimizations still running
+     */
+    async loadOptimizationHistory() {
+        try {
+            const response = await this.apiFetch('/api/optimize/history?limit=10');
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to load optimizations');
+            }
+            
+            this.dataCache.optimizations = result.data || [];
+            this.updateOptimizationList(this.dataCache.optimizations, result.jobs || []);
+            
+        } catch (error) {
+            console.error('Failed to load optimization results:', error);
+            this.showNotification('Failed to load optimization results', 'warning');
+        }
+    }
+
+    /**
+     * Show the stored optimizations side by side with the best parameters of each,
+     * clicking one compares its parameter sets
+     */
+    updateOptimizationList(optimizations, jobs) {
+        const container = document.getElementById('optimizationList');
+        if (!container) return;
+        
+        document.getElementById('optimizationJobs').textContent = jobs.length > 0 ? `(${jobs.length} running)` : '';
+        
+        if (optimizations.length === 0) {
+            container.innerHTML = '<div class="no-trades">No optimizations yet</div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="optimization-table">
+                <thead>
+                    <tr>
+                        <th>Completed</th><th>Market</th><th>Objective</th><th>Best Parameters</th>
+                        <th>Score</th><th>Return</th><th>Drawdown</th><th>Trades</th><th>Runs</th>
+                    </tr>
+                </thead>
+                <tbody>${optimizations.map(optimization => this.createOptimizationRow(optimization)).join('')}</tbody>
+            </table>
+        `;
+        
+        container.querySelectorAll('tr[data-id]').forEach(row => {
+            row.addEventListener('click', () => this.loadOptimizationComparison(row.dataset.id));
+        });
+    }
+
+    /**
+     * Create the table row of a stored optimization
+     */
+    createOptimizationRow(optimization) {
+        const best = optimization.best || {};
+        const metrics = best.metrics || {};
+        const search = `${optimization.method}${optimization.walkForward ? ', walk-forward' : ''}`;
+        const runs = optimization.windowCount ? `${optimization.windowCount} windows` : optimization.evaluated;
+        
+        return `
+            <tr data-id="${optimization.id}" class="${optimization.id === this.activeOptimizationId ? 'selected' : ''}">
+                <td>${this.getTimeAgo(new Date(optimization.completedAt))}</td>
+                <td>${optimization.pair} ${optimization.timeframe}</td>
+                <td>${optimization.objective} (${search})</td>
+                <td>${this.formatOptimizationParams(best.params)}</td>
+                <td>${this.formatMetric(best.score, 3)}</td>
+                <td class="${this.getMetricClass(metrics.totalReturn)}">${this.formatMetric(metrics.totalReturn, 2, '%')}</td>
+                <td class="negative">${this.formatMetric(metrics.maxDrawdown, 2, '%')}</td>
+                <td>${metrics.totalTrades ?? '-'}</td>
+                <td>${runs ?? '-'}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Load an optimization and compare its parameter sets
+     */
+    async loadOptimizationComparison(id) {
+        try {
+            const response = await this.apiFetch(`/api/optimize/${id}`);
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error || 'Optimization not found');
+            }
+            
+            this.activeOptimizationId = id;
+            document.querySelectorAll('#optimizationList tr[data-id]').forEach(row => {
+                row.classList.toggle('selected', row.dataset.id === id);
+            });
+            this.displayOptimizationComparison(result.data.result);
+            
+        } catch (error) {
+            console.error(`Failed to load optimization ${id}:`, error);
+            this.showNotification(`Failed to load optimization: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Show the ranked parameter sets of an optimization, or the in-sample choice
+     * and its out-of-sample result for each walk-forward window
+     */
+    displayOptimizationComparison(optimization) {
+        document.getElementById('optimizationComparison').style.display = 'block';
+        document.getElementById('optimizationComparisonTitle').textContent =
+            `${optimization.pair} ${optimization.timeframe} by ${optimization.objective}, ` +
+            `${new Date(optimization.startDate).toLocaleDateString()} - ${new Date(optimization.endDate).toLocaleDateString()}`;
+        
+        const summary = document.getElementById('optimizationSummary');
+        const table = document.getElementById('optimizationComparisonTable');
+        
+        if (optimization.windows) {
+            const { avgInSampleScore, avgOutOfSampleScore, efficiency, outOfSampleReturn, profitableWindows } = optimization.summary;
+            summary.innerHTML = `
+                <span>Avg in-sample score: ${this.formatMetric(avgInSampleScore, 3)}</span>
+                <span>Avg out-of-sample score: ${this.formatMetric(avgOutOfSampleScore, 3)}</span>
+                <span>Efficiency: ${this.formatMetric(efficiency === null ? null : efficiency * 100, 1, '%')}</span>
+                <span class="${this.getMetricClass(outOfSampleReturn)}">Out-of-sample return: ${this.formatMetric(outOfSampleReturn, 2, '%')}</span>
+                <span>Profitable windows: ${profitableWindows}/${optimization.windows.length}</span>
+            `;
+            table.innerHTML = `
+                <table class="optimization-table">
+                    <thead>
+                        <tr>
+                            <th>Window</th><th>Out-of-sample</th><th>Parameters</th><th>In-sample Score</th>
+                            <th>Out-of-sample Score</th><th>Return</th><th>Drawdown</th><th>Trades</th>
+                        </tr>
+                    </thead>
+                    <tbody>${optimization.windows.map(result => `
+                        <tr>
+                            <td>${result.window}</td>
+                            <td>${new Date(result.outOfSample.start).toLocaleDateString()} - ${new Date(result.outOfSample.end).toLocaleDateString()}</td>
+                            <td>${this.formatOptimizationParams(result.params)}</td>
+                            <td>${this.formatMetric(result.inSampleScore, 3)}</td>
+                            <td>${this.formatMetric(result.outOfSampleScore, 3)}</td>
+                            <td class="${this.getMetricClass(result.outOfSampleMetrics.totalReturn)}">${this.formatMetric(result.outOfSampleMetrics.totalReturn, 2, '%')}</td>
+                            <td class="negative">${this.formatMetric(result.outOfSampleMetrics.maxDrawdown, 2, '%')}</td>
+                            <td>${result.outOfSampleMetrics.totalTrades}</td>
+                        </tr>
+                    `).join('')}</tbody>
+                </table>
+            `;
+            return;
+        }
+        
+        const rankings = optimization.rankings || [];
+        summary.innerHTML = `
+            <span>${rankings.length} parameter sets over ${optimization.candles} candles</span>
+            <span>Sets with too few trades are not scored and rank last</span>
+        `;
+        table.innerHTML = `
+            <table class="optimization-table">
+                <thead>
+                    <tr>
+                        <th>Rank</th><th>Parameters</th><th>Score</th><th>Return</th><th>Drawdown</th>
+                        <th>Sharpe</th><th>Win Rate</th><th>Profit Factor</th><th>Trades</th>
+                    </tr>
+                </thead>
+                <tbody>${rankings.slice(0, 20).map(entry => `
+                    <tr>
+                        <td>${entry.rank}</td>
+                        <td>${this.formatOptimizationParams(entry.params)}</td>
+                        <td>${this.formatMetric(entry.score, 3)}</td>
+                        <td class="${this.getMetricClass(entry.metrics.totalReturn)}">${this.formatMetric(entry.metrics.totalReturn, 2, '%')}</td>
+                        <td class="negative">${this.formatMetric(entry.metrics.maxDrawdown, 2, '%')}</td>
+                        <td>${this.formatMetric(entry.metrics.sharpeRatio, 3)}</td>
+                        <td>${this.formatMetric(entry.metrics.winRate, 1, '%')}</td>
+                        <td>${this.formatMetric(entry.metrics.profitFactor, 2)}</td>
+                        <td>${entry.metrics.totalTrades}</td>
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Format a parameter set as key=value pairs
+     */
+    formatOptimizationParams(params) {
+        if (!params) return '-';
+        return Object.entries(params).map(([key, value]) => `${key}=${value}`).join(', ');
+    }
+
+    /**
+     * Format a metric, '-' when it is missing (e.g. unscored runs)
+     */
+    formatMetric(value, decimals = 2, suffix = '') {
+        return (typeof value === 'number' && isFinite(value)) ? `${value.toFixed(decimals)}${suffix}` : '-';
+    }
+
+    /**
+     * CSS class of a signed metric
+     */
+    getMetricClass(value) {
+        if (typeof value !== 'number' || value === 0) return '';
+        return value > 0 ? 'positive' : 'negative';
+    }
 }
 
 // Export for use in other modules
@@ -12,11 +12,29 @@ const path = require('path');
 const config = require('./utils/config');
 const logger = require('./utils/logger');
 const redisClient = require('./utils/redis-client');
+const auth = require('./utils/auth');
+const auditLog = require('./utils/audit-log');
+const positionCalculator = require('./utils/position-calculator');
+const stopPolicies = require('./utils/stop-policies');
+const takeProfitLadder = require('./utils/take-profit-ladder');
 const RSIDivergenceEngine = require('./services/rsi-divergence-engine');
 const RiskManager = require('./services/risk-manager');
 const MarketDataService = require('./services/market-data-service');
 const ManualTradingEngine = require('./services/manual-trading-engine');
 const AIMarketScreener = require('./services/ai-market-screener');
+const BacktestingEngine = require('./services/backtesting-engine');
+const JobQueue = require('./services/job-queue');
+const ParameterOptimizer = require('./services/parameter-optimizer');
+const PositionMonitor = require('./services/position-monitor');
+const RiskPeriodScheduler = require('./services/risk-period-scheduler');
+const TradingCommandExecutor = require('./services/trading-command-executor');
+const CorrelationService = require('./services/correlation-service');
+const { createStrategy, listStrategies } = require('./strategies');
+
+// WebSocket channels that need more than the viewer role
+const CHANNEL_ROLES = {
+  'trading-commands': 'trader'
+};
 
 class TradingBotApp {
   constructor() {
@@ -27,6 +45,9 @@ class TradingBotApp {
     // Core services
     this.divergenceEngine = new RSIDivergenceEngine();
     this.riskManager = new RiskManager();
+    this.riskPeriodScheduler = new RiskPeriodScheduler(this.riskManager);
+    this.correlationService = new CorrelationService();
+    this.riskManager.setCorrelationService(this.correlationService);
     this.marketDataService = new MarketDataService(this.divergenceEngine);
     // ManualTradingEngine and AIMarketScreener will be initialized after Redis connection
     
@@ -59,15 +80,39 @@ class TradingBotApp {
       
       // Initialize manual trading engine after Redis connection
       this.manualTradingEngine = new ManualTradingEngine(redisClient);
+      this.manualTradingEngine.setRiskManager(this.riskManager);
+      await this.manualTradingEngine.initialize();
+      
+      // Monitor open manual trades for stop loss / take profit exits
+      this.positionMonitor = new PositionMonitor(this.manualTradingEngine);
+      this.marketDataService.setPositionMonitor(this.positionMonitor);
+      
+      // Execute trading commands (emergency stop flattening, pause/resume)
+      this.tradingCommandExecutor = new TradingCommandExecutor(this.manualTradingEngine);
+      await this.tradingCommandExecutor.initialize();
       
       // Initialize AI market screener
-      this.aiMarketScreener = new AIMarketScreener(redisClient);
+      this.aiMarketScreener = new AIMarketScreener(redisClient, this.manualTradingEngine);
+      
+      // Initialize backtesting engine, parameter optimizer and background job queue
+      this.backtestingEngine = new BacktestingEngine(redisClient);
+      this.parameterOptimizer = new ParameterOptimizer(this.backtestingEngine, redisClient);
+      this.jobQueue = new JobQueue(redisClient, {
+        onUpdate: (job) => this.broadcastToClients(`${job.type}s`, {
+          type: `${job.type}-progress`,
+          job: job
+        })
+      });
+      await this.jobQueue.recoverInterruptedJobs();
       
       // Initialize core services
       await this.divergenceEngine.initialize();
+      // After the trading command executor, which acts on an emergency stop of the restored positions
       await this.riskManager.initialize();
+      this.riskPeriodScheduler.start();
+      await this.correlationService.start();
       
-      // Initialize market data service with BingX
+      // Initialize market data service with the configured exchanges
       await this.marketDataService.initialize();
       
       // Setup event handlers
@@ -125,8 +170,8 @@ class TradingBotApp {
     this.app.use(cors({
       origin: config.server.environment === 'production' ? 
         config.frontend.url : true,
-      methods: ['GET', 'POST', 'PUT', 'DELETE'],
-      allowedHeaders: ['Content-Type', 'Authorization']
+      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
     }));
     
     // Compression
@@ -174,26 +219,73 @@ class TradingBotApp {
       }
     });
 
+    // Whether the dashboard has to log in
+    this.app.get('/api/auth/status', (req, res) => {
+      res.json({ success: true, data: { enabled: auth.isEnabled() } });
+    });
+
+    // Exchange a username and password for a JWT
+    this.app.post('/api/auth/login', (req, res) => {
+      try {
+        const { username, password } = req.body;
+        
+        if (!auth.isEnabled()) {
+          return res.status(400).json({ success: false, error: 'Authentication is disabled' });
+        }
+        
+        if (!username || !password) {
+          return res.status(400).json({ success: false, error: 'username and password are required' });
+        }
+        
+        const session = auth.login(username, password);
+        if (!session) {
+          logger.warn(`Failed login for ${username} from ${req.ip}`);
+          return res.status(401).json({ success: false, error: 'Invalid username or password' });
+        }
+        
+        logger.info(`User ${username} logged in (${session.user.role})`);
+        res.json({ success: true, data: session });
+        
+      } catch (error) {
+        logger.error('Error logging in:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Every other API route needs at least the viewer role, changes need trader or admin
+    this.app.use('/api/', auth.requireRole('viewer'));
+
+    // Current user
+    this.app.get('/api/auth/me', (req, res) => {
+      res.json({ success: true, data: req.user });
+    });
+
     // Get divergence signals
     this.app.get('/api/divergences/:pair?', async (req, res) => {
       try {
         const { pair } = req.params;
-        const { limit = 10, timeframe = '1h' } = req.query;
+        const { limit = 10, timeframe = '1h', class: divergenceClass } = req.query;
+
+        if (divergenceClass && !['regular', 'hidden'].includes(divergenceClass)) {
+          return res.status(400).json({ success: false, error: 'class must be regular or hidden' });
+        }
         
-        logger.info(`Getting divergences for pair: ${pair || 'all'}, timeframe: ${timeframe}, limit: ${limit}`);
+        logger.info(`Getting divergences for pair: ${pair || 'all'}, timeframe: ${timeframe}, limit: ${limit}${divergenceClass ? `, class: ${divergenceClass}` : ''}`);
         
         let divergences;
         if (pair) {
-          divergences = await this.divergenceEngine.getRecentDivergences(pair, parseInt(limit), timeframe);
+          divergences = await this.divergenceEngine.getRecentDivergences(pair, parseInt(limit), timeframe, divergenceClass);
         } else {
-          divergences = await redisClient.getDivergenceSignals(null, parseInt(limit));
+          // All pairs: every timeframe unless one is asked for
+          divergences = await redisClient.getDivergenceSignals(null, parseInt(limit), divergenceClass, req.query.timeframe);
         }
         
         res.json({
           success: true,
           data: divergences,
           count: divergences.length,
-          timeframe: timeframe
+          timeframe: timeframe,
+          divergenceClass: divergenceClass || 'all'
         });
       } catch (error) {
         logger.error('Error getting divergences:', error);
@@ -278,11 +370,18 @@ class TradingBotApp {
     this.app.get('/api/trading/suggestions/:pair?', async (req, res) => {
       try {
         const { pair = 'BTC-USDT' } = req.params;
-        const { timeframe = '1h' } = req.query;
+        const { timeframe = '1h', strategy, sizingMode } = req.query;
+        
+        if (sizingMode && !positionCalculator.sizingModes.includes(sizingMode)) {
+          return res.status(400).json({
+            success: false,
+            error: `Unknown sizing mode: ${sizingMode} (available: ${positionCalculator.sizingModes.join(', ')})`
+          });
+        }
         
         logger.info(`Getting trading suggestions for ${pair} on ${timeframe}`);
         
-        const suggestion = await this.manualTradingEngine.getTradingSuggestions(pair, timeframe);
+        const suggestion = await this.manualTradingEngine.getTradingSuggestions(pair, timeframe, { strategy, sizingMode });
         
         res.json({
           success: true,
@@ -319,12 +418,13 @@ class TradingBotApp {
     });
     
     // Execute manual trade
-    this.app.post('/api/trading/execute', async (req, res) => {
+    this.app.post('/api/trading/execute', auth.requireRole('trader'), async (req, res) => {
       try {
         const { 
           suggestionId,
           executionType = 'PAPER', // PAPER, LIVE, COPY
-          customParams = {}
+          customParams = {},
+          riskOverride = null // Admin only: { reason } to bypass rejectable risk checks
         } = req.body;
         
         if (!suggestionId) {
@@ -334,20 +434,67 @@ class TradingBotApp {
           });
         }
         
-        logger.info(`Executing manual trade for suggestion: ${suggestionId}`);
+        if (riskOverride && !auth.hasRole(req.user, 'admin')) {
+          return res.status(403).json({
+            success: false,
+            error: 'Risk overrides require the admin role'
+          });
+        }
+        
+        if (riskOverride && !riskOverride.reason) {
+          return res.status(400).json({
+            success: false,
+            error: 'riskOverride requires a reason'
+          });
+        }
+        
+        try {
+          if (customParams.stopPolicies !== undefined) stopPolicies.normalize(customParams.stopPolicies);
+          if (customParams.takeProfitLadder !== undefined) takeProfitLadder.normalize(customParams.takeProfitLadder);
+        } catch (error) {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        
+        logger.info(`Executing manual trade for suggestion: ${suggestionId} (by ${req.user.name})`);
         
         const trade = await this.manualTradingEngine.executeManualTrade(
           suggestionId,
           executionType,
-          customParams
+          customParams,
+          {
+            // Overrides are attributed to the authenticated admin
+            riskOverride: riskOverride && { reason: riskOverride.reason, overriddenBy: req.user.name },
+            executedBy: req.user.name
+          }
         );
         
         res.json({
           success: true,
-          data: trade
+          data: trade,
+          warnings: trade.riskWarnings || []
         });
         
       } catch (error) {
+        if (error.code === 'TRADING_PAUSED') {
+          return res.status(409).json({ success: false, error: error.message });
+        }
+        
+        if (error.code === 'INVALID_TAKE_PROFIT_LADDER') {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        
+        if (error.riskValidation) {
+          const { reasons, warnings, riskLevel } = error.riskValidation;
+          logger.risk(`Manual trade rejected: ${error.message}`, { reasons: reasons.map(r => r.code) });
+          return res.status(422).json({
+            success: false,
+            error: error.message,
+            reasons: reasons,
+            warnings: warnings,
+            riskLevel: riskLevel
+          });
+        }
+        
         logger.error('Error executing manual trade:', error);
         res.status(500).json({ 
           success: false, 
@@ -356,6 +503,180 @@ class TradingBotApp {
       }
     });
     
+    // Close a manual trade
+    this.app.post('/api/trading/trades/:id/close', auth.requireRole('trader'), async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { exitPrice } = req.body;
+        
+        const trade = this.manualTradingEngine.getManualTrade(id);
+        if (!trade) {
+          return res.status(404).json({ success: false, error: 'Trade not found' });
+        }
+        if (trade.status !== 'ACTIVE') {
+          return res.status(400).json({ success: false, error: `Trade is not active (status: ${trade.status})` });
+        }
+        
+        logger.info(`Closing manual trade: ${id} (by ${req.user.name})`);
+        
+        const closedTrade = await this.manualTradingEngine.closeManualTrade(id, {
+          exitPrice: exitPrice !== undefined ? parseFloat(exitPrice) : undefined,
+          closedBy: req.user.name
+        });
+        
+        res.json({
+          success: true,
+          data: closedTrade
+        });
+        
+      } catch (error) {
+        logger.error('Error closing manual trade:', error);
+        res.status(500).json({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    });
+    
+    // Partially close a manual trade
+    this.app.post('/api/trading/trades/:id/partial-close', auth.requireRole('trader'), async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { fraction, quantity, exitPrice } = req.body;
+        
+        const trade = this.manualTradingEngine.getManualTrade(id);
+        if (!trade) {
+          return res.status(404).json({ success: false, error: 'Trade not found' });
+        }
+        if (trade.status !== 'ACTIVE') {
+          return res.status(400).json({ success: false, error: `Trade is not active (status: ${trade.status})` });
+        }
+        
+        const closeFraction = fraction !== undefined ? parseFloat(fraction) : undefined;
+        const closeQuantity = quantity !== undefined ? parseFloat(quantity) : undefined;
+        
+        if (closeQuantity === undefined && !(closeFraction > 0 && closeFraction <= 1)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Either quantity or a fraction between 0 and 1 is required'
+          });
+        }
+        if (closeQuantity !== undefined && !(closeQuantity > 0)) {
+          return res.status(400).json({ success: false, error: 'quantity must be positive' });
+        }
+        
+        logger.info(`Partially closing manual trade: ${id} (by ${req.user.name})`);
+        
+        const updatedTrade = await this.manualTradingEngine.partialCloseManualTrade(id, {
+          fraction: closeFraction,
+          quantity: closeQuantity,
+          exitPrice: exitPrice !== undefined ? parseFloat(exitPrice) : undefined,
+          closedBy: req.user.name
+        });
+        
+        res.json({
+          success: true,
+          data: updatedTrade
+        });
+        
+      } catch (error) {
+        logger.error('Error partially closing manual trade:', error);
+        res.status(500).json({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    });
+    
+    // Modify a manual trade (stop loss, take profit, notes)
+    this.app.patch('/api/trading/trades/:id', auth.requireRole('trader'), async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { stopLoss, takeProfit, notes } = req.body;
+        
+        const trade = this.manualTradingEngine.getManualTrade(id);
+        if (!trade) {
+          return res.status(404).json({ success: false, error: 'Trade not found' });
+        }
+        if (trade.status !== 'ACTIVE') {
+          return res.status(400).json({ success: false, error: `Trade is not active (status: ${trade.status})` });
+        }
+        
+        const changes = {
+          stopLoss: stopLoss !== undefined ? parseFloat(stopLoss) : undefined,
+          takeProfit: takeProfit !== undefined ? parseFloat(takeProfit) : undefined,
+          notes: notes
+        };
+        
+        const errors = this.manualTradingEngine.validateTradeModification(trade, changes);
+        if (errors.length > 0) {
+          return res.status(400).json({ success: false, error: errors.join(', ') });
+        }
+        
+        logger.info(`Modifying manual trade: ${id} (by ${req.user.name})`);
+        
+        const updatedTrade = await this.manualTradingEngine.modifyManualTrade(id, changes, { modifiedBy: req.user.name });
+        
+        res.json({
+          success: true,
+          data: updatedTrade
+        });
+        
+      } catch (error) {
+        logger.error('Error modifying manual trade:', error);
+        res.status(500).json({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    });
+    
+    // Send a trading command (close-all-positions, close-position, pause-trading, resume-trading)
+    this.app.post('/api/trading/commands', auth.requireRole('admin'), async (req, res) => {
+      try {
+        const { type, ...params } = req.body;
+        
+        let command;
+        try {
+          command = await this.tradingCommandExecutor.sendCommand(type, { ...params, requestedBy: req.user.name });
+        } catch (error) {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        
+        logger.info(`Trading command sent: ${type} (${command.commandId}) by ${req.user.name}`);
+        
+        // Completion is acknowledged on the trading-commands WebSocket channel
+        res.status(202).json({
+          success: true,
+          data: command
+        });
+        
+      } catch (error) {
+        logger.error('Error sending trading command:', error);
+        res.status(500).json({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    });
+    
+    // Get the acknowledgement of a trading command
+    this.app.get('/api/trading/commands/:commandId', async (req, res) => {
+      try {
+        const command = await this.tradingCommandExecutor.getCommand(req.params.commandId);
+        
+        if (!command) {
+          return res.status(404).json({ success: false, error: 'Command not found' });
+        }
+        
+        res.json({ success: true, data: command });
+        
+      } catch (error) {
+        logger.error('Error getting trading command:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+    
     // Get manual trades history
     this.app.get('/api/trading/history', async (req, res) => {
       try {
@@ -397,10 +718,357 @@ class TradingBotApp {
       }
     });
 
+    // List available strategies and their parameters
+    this.app.get('/api/strategies', (req, res) => {
+      try {
+        res.json({
+          success: true,
+          data: listStrategies(),
+          default: config.strategy.name
+        });
+      } catch (error) {
+        logger.error('Error listing strategies:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Backtesting endpoints
+    
+    // Queue a backtest job
+    this.app.post('/api/backtest/run', auth.requireRole('trader'), async (req, res) => {
+      try {
+        const { config: backtestConfig = {}, ...params } = req.body;
+        
+        if (!params.startDate || !params.endDate) {
+          return res.status(400).json({
+            success: false,
+            error: 'startDate and endDate are required'
+          });
+        }
+        
+        if (new Date(params.startDate) >= new Date(params.endDate)) {
+          return res.status(400).json({
+            success: false,
+            error: 'startDate must be before endDate'
+          });
+        }
+        
+        const backtestParams = { ...backtestConfig, ...params };
+        
+        // Reject unknown strategies, invalid strategy parameters, sizing modes, stop policies and ladders before queueing
+        try {
+          createStrategy(backtestParams.strategy, backtestParams);
+          if (backtestParams.sizingMode && !positionCalculator.sizingModes.includes(backtestParams.sizingMode)) {
+            throw new Error(`Unknown sizing mode: ${backtestParams.sizingMode} (available: ${positionCalculator.sizingModes.join(', ')})`);
+          }
+          if (backtestParams.stopPolicies) {
+            stopPolicies.normalize(backtestParams.stopPolicies);
+          }
+          if (backtestParams.takeProfitLadder) {
+            takeProfitLadder.normalize(backtestParams.takeProfitLadder);
+          }
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+        
+        const job = this.jobQueue.enqueue('backtest', backtestParams, (jobParams, { jobId, onProgress }) =>
+          this.backtestingEngine.runBacktest(jobParams, { id: jobId, onProgress })
+        );
+        
+        logger.info(`Backtest job ${job.id} queued for ${backtestParams.pair || 'BTC-USDT'}`);
+        
+        res.status(202).json({
+          success: true,
+          data: job
+        });
+        
+      } catch (error) {
+        logger.error('Error queueing backtest:', error);
+        res.status(500).json({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    });
+    
+    // Get stored backtest results
+    this.app.get('/api/backtest/history', async (req, res) => {
+      try {
+        const { limit = 20 } = req.query;
+        
+        const history = await this.backtestingEngine.getBacktestHistory();
+        const backtests = history.slice(0, parseInt(limit)).map(({ equity, trades, signals, ...summary }) => ({
+          ...summary,
+          totalTrades: trades ? trades.length : 0
+        }));
+        
+        res.json({
+          success: true,
+          data: backtests,
+          count: backtests.length,
+          jobs: this.jobQueue.listJobs('backtest').filter(job => job.status === 'queued' || job.status === 'running')
+        });
+        
+      } catch (error) {
+        logger.error('Error getting backtest history:', error);
+        res.status(500).json({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    });
+    
+    // Get backtest job status and result
+    this.app.get('/api/backtest/:id', async (req, res) => {
+      try {
+        const { id } = req.params;
+        
+        const job = await this.jobQueue.findJob(id);
+        
+        if (job && job.type !== 'backtest') {
+          return res.status(404).json({
+            success: false,
+            error: 'Backtest not found'
+          });
+        }
+        
+        if (job && job.status !== 'completed') {
+          return res.json({
+            success: true,
+            data: { ...job, result: null }
+          });
+        }
+        
+        const result = await this.backtestingEngine.getBacktestById(id);
+        
+        if (!result) {
+          return res.status(404).json({
+            success: false,
+            error: 'Backtest not found'
+          });
+        }
+        
+        res.json({
+          success: true,
+          data: {
+            ...(job || { id: id, type: 'backtest', progress: 100 }),
+            status: 'completed',
+            result: result
+          }
+        });
+        
+      } catch (error) {
+        logger.error(`Error getting backtest ${req.params.id}:`, error);
+        res.status(500).json({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    });
+
+    // Parameter optimization endpoints
+    
+    // Queue a parameter optimization job
+    this.app.post('/api/optimize', auth.requireRole('trader'), async (req, res) => {
+      try {
+        const params = req.body;
+        
+        if (!params.startDate || !params.endDate) {
+          return res.status(400).json({
+            success: false,
+            error: 'startDate and endDate are required'
+          });
+        }
+        
+        if (new Date(params.startDate) >= new Date(params.endDate)) {
+          return res.status(400).json({
+            success: false,
+            error: 'startDate must be before endDate'
+          });
+        }
+        
+        // Reject bad search spaces, objectives and walk-forward settings before queueing
+        let candidates;
+        try {
+          candidates = this.parameterOptimizer.buildCandidates(params);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+        
+        const job = this.jobQueue.enqueue('optimization', params, (jobParams, { jobId, onProgress }) =>
+          this.parameterOptimizer.runOptimization(jobParams, { id: jobId, onProgress })
+        );
+        
+        logger.info(`Optimization job ${job.id} queued for ${params.pair || 'BTC-USDT'} (${candidates.length} parameter sets)`);
+        
+        res.status(202).json({
+          success: true,
+          data: { ...job, candidates: candidates.length }
+        });
+        
+      } catch (error) {
+        logger.error('Error queueing optimization:', error);
+        res.status(500).json({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    });
+    
+    // Get stored optimization results for comparison
+    this.app.get('/api/optimize/history', async (req, res) => {
+      try {
+        const { limit = 20 } = req.query;
+        
+        const history = await this.parameterOptimizer.getOptimizationHistory();
+        const optimizations = history.slice(0, parseInt(limit)).map(({ rankings, windows, ...summary }) => ({
+          ...summary,
+          evaluated: rankings ? rankings.length : undefined,
+          windowCount: windows ? windows.length : undefined
+        }));
+        
+        res.json({
+          success: true,
+          data: optimizations,
+          count: optimizations.length,
+          jobs: this.jobQueue.listJobs('optimization').filter(job => job.status === 'queued' || job.status === 'running')
+        });
+        
+      } catch (error) {
+        logger.error('Error getting optimization history:', error);
+        res.status(500).json({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    });
+    
+    // Get optimization job status and result
+    this.app.get('/api/optimize/:id', async (req, res) => {
+      try {
+        const { id } = req.params;
+        
+        const job = await this.jobQueue.findJob(id);
+        
+        if (job && job.type !== 'optimization') {
+          return res.status(404).json({
+            success: false,
+            error: 'Optimization not found'
+          });
+        }
+        
+        if (job && job.status !== 'completed') {
+          return res.json({
+            success: true,
+            data: { ...job, result: null }
+          });
+        }
+        
+        const result = await this.parameterOptimizer.getOptimizationById(id);
+        
+        if (!result) {
+          return res.status(404).json({
+            success: false,
+            error: 'Optimization not found'
+          });
+        }
+        
+        res.json({
+          success: true,
+          data: {
+            ...(job || { id: id, type: 'optimization', progress: 100 }),
+            status: 'completed',
+            result: result
+          }
+        });
+        
+      } catch (error) {
+        logger.error(`Error getting optimization ${req.params.id}:`, error);
+        res.status(500).json({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+    });
+
+    // Exposure breakdown by direction, asset, quote currency and group
+    this.app.get('/api/risk/exposure', (req, res) => {
+      try {
+        res.json({ success: true, data: this.riskManager.getExposure() });
+      } catch (error) {
+        logger.error('Error getting exposure:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Return correlation matrix of the watched pairs (for the dashboard heatmap)
+    this.app.get('/api/risk/correlations', async (req, res) => {
+      try {
+        const correlations = req.query.refresh === 'true'
+          ? await this.correlationService.refresh()
+          : this.correlationService.getMatrix();
+        
+        res.json({
+          success: true,
+          data: {
+            ...correlations,
+            limit: config.riskManagement.correlationLimit,
+            warning: config.riskManagement.correlationWarning
+          }
+        });
+      } catch (error) {
+        logger.error('Error getting correlations:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Daily and weekly P&L periods: the current one and closed history
+    this.app.get('/api/risk/periods', async (req, res) => {
+      try {
+        const { type, limit = 30 } = req.query;
+        const types = type ? [type] : ['daily', 'weekly'];
+
+        if (types.some(t => !['daily', 'weekly'].includes(t))) {
+          return res.status(400).json({ success: false, error: 'type must be daily or weekly' });
+        }
+
+        const data = { calendar: this.riskPeriodScheduler.getCalendar() };
+        for (const t of types) {
+          data[t] = {
+            current: this.riskManager.getPeriodState(t),
+            history: await this.riskManager.getPeriodHistory(t, parseInt(limit))
+          };
+        }
+
+        res.json({ success: true, data: data });
+      } catch (error) {
+        logger.error('Error getting risk periods:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Audit trail of risk check overrides
+    this.app.get('/api/risk/overrides', async (req, res) => {
+      try {
+        const { limit = 50 } = req.query;
+        const overrides = await this.riskManager.getOverrides(parseInt(limit));
+        res.json({ success: true, data: overrides, count: overrides.length });
+      } catch (error) {
+        logger.error('Error getting risk overrides:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
     // Manual emergency stop reset (admin only)
-    this.app.post('/api/risk/reset-emergency', async (req, res) => {
+    this.app.post('/api/risk/reset-emergency', auth.requireRole('admin'), async (req, res) => {
       try {
-        await this.riskManager.resetEmergencyStop();
+        await this.riskManager.resetEmergencyStop(req.user.name);
         res.json({ success: true, message: 'Emergency stop reset' });
       } catch (error) {
         logger.error('Error resetting emergency stop:', error);
@@ -408,8 +1076,83 @@ class TradingBotApp {
       }
     });
 
+    // Change risk limits at runtime (admin only)
+    this.app.patch('/api/risk/limits', auth.requireRole('admin'), async (req, res) => {
+      try {
+        const changes = await this.riskManager.updateLimits(req.body || {}, req.user.name);
+        res.json({ success: true, data: { changes: changes, limits: this.riskManager.getRiskStatus().limits } });
+      } catch (error) {
+        if (error.code === 'INVALID_RISK_LIMITS') {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        logger.error('Error updating risk limits:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Audit trail of trading and risk actions (admin only), ?format=jsonl exports it
+    this.app.get('/api/audit', auth.requireRole('admin'), async (req, res) => {
+      try {
+        const { action, actor, pair, targetId, cursor, limit, format = 'json' } = req.query;
+
+        // Time range as epoch milliseconds or ISO dates
+        const range = {};
+        for (const key of ['from', 'to']) {
+          if (req.query[key] === undefined) continue;
+          range[key] = /^\d+$/.test(req.query[key]) ? parseInt(req.query[key]) : Date.parse(req.query[key]);
+          if (Number.isNaN(range[key])) {
+            return res.status(400).json({ success: false, error: `Invalid ${key}: use a timestamp or an ISO date` });
+          }
+        }
+
+        if (limit !== undefined && !(parseInt(limit) > 0)) {
+          return res.status(400).json({ success: false, error: 'limit must be a positive number' });
+        }
+
+        if (cursor !== undefined && !/^\d+-\d+$/.test(cursor)) {
+          return res.status(400).json({ success: false, error: 'Invalid cursor: use the nextCursor of the previous page' });
+        }
+
+        if (!['json', 'jsonl'].includes(format)) {
+          return res.status(400).json({ success: false, error: 'format must be json or jsonl' });
+        }
+
+        const filters = { ...range, cursor, action, actor, pair, targetId };
+
+        // Exports stream the whole range unless a limit is given
+        if (format === 'jsonl' && limit === undefined) {
+          res.setHeader('Content-Type', 'application/x-ndjson');
+          res.setHeader('Content-Disposition', `attachment; filename="audit-${Date.now()}.jsonl"`);
+
+          for await (const entry of auditLog.scan(filters)) {
+            if (res.destroyed) break; // Client went away
+            res.write(JSON.stringify(entry) + '\n');
+          }
+          return res.end();
+        }
+
+        const { entries, nextCursor } = await auditLog.query({ ...filters, limit: limit === undefined ? 100 : parseInt(limit) });
+
+        if (format === 'jsonl') {
+          res.setHeader('Content-Type', 'application/x-ndjson');
+          res.setHeader('Content-Disposition', `attachment; filename="audit-${Date.now()}.jsonl"`);
+          if (nextCursor) res.setHeader('X-Next-Cursor', nextCursor);
+          return res.send(entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+        }
+
+        res.json({ success: true, data: entries, count: entries.length, nextCursor: nextCursor });
+      } catch (error) {
+        logger.error('Error querying audit log:', error);
+        if (res.headersSent) {
+          // Export already streaming, all that is left is cutting it short
+          return res.end();
+        }
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
     // Market data injection endpoint (for testing)
-    this.app.post('/api/market-data', async (req, res) => {
+    this.app.post('/api/market-data', auth.requireRole('admin'), async (req, res) => {
       try {
         const { pair, candle } = req.body;
         
@@ -434,6 +1177,32 @@ class TradingBotApp {
 
     // AI Market Screener endpoints
     
+    // Get the pairs the screener monitors
+    this.app.get('/api/ai-screener/watchlist', (req, res) => {
+      res.json({ success: true, data: this.aiMarketScreener.getWatchlist() });
+    });
+
+    // Replace the watchlist (admin only)
+    this.app.put('/api/ai-screener/watchlist', auth.requireRole('admin'), async (req, res) => {
+      try {
+        const { watchlist } = req.body || {};
+
+        if (!Array.isArray(watchlist) || watchlist.length === 0 ||
+            !watchlist.every(pair => typeof pair === 'string' && /^[A-Z0-9]+-[A-Z0-9]+$/.test(pair))) {
+          return res.status(400).json({
+            success: false,
+            error: 'watchlist must be a non-empty array of pairs like BTC-USDT'
+          });
+        }
+
+        const result = await this.aiMarketScreener.updateWatchlist([...new Set(watchlist)], req.user.name);
+        res.json({ success: true, data: result });
+      } catch (error) {
+        logger.error('Error updating watchlist:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
     // Get full market scan
     this.app.get('/api/ai-screener/scan', async (req, res) => {
       try {
@@ -547,14 +1316,30 @@ class TradingBotApp {
    */
   setupWebSocket() {
     this.wss.on('connection', (ws, req) => {
-      logger.info(`WebSocket client connected from ${req.connection.remoteAddress}`);
+      // Browsers cannot set headers on WebSockets, so the JWT or API key may come in the URL
+      const query = new URL(req.url, 'http://localhost').searchParams;
+      const user = auth.authenticate({
+        authorization: req.headers.authorization,
+        apiKey: req.headers['x-api-key'] || query.get('apiKey'),
+        token: query.get('token')
+      });
+      
+      if (!user) {
+        logger.warn(`Unauthenticated WebSocket connection from ${req.connection.remoteAddress} refused`);
+        ws.close(4401, 'Authentication required');
+        return;
+      }
+      
+      logger.info(`WebSocket client connected from ${req.connection.remoteAddress} (${user.name})`);
       
+      ws.user = user;
       this.wsClients.add(ws);
       
       // Send initial data
       ws.send(JSON.stringify({
         type: 'connection',
         message: 'Connected to Redis AI Trading Bot',
+        user: { name: user.name, role: user.role },
         timestamp: Date.now()
       }));
 
@@ -592,6 +1377,14 @@ class TradingBotApp {
       switch (data.type) {
         case 'subscribe':
           // Handle subscription requests
+          if (!this.canReceiveChannel(ws, data.channel)) {
+            ws.send(JSON.stringify({
+              type: 'error',
+              channel: data.channel,
+              message: `Subscribing to ${data.channel} requires the ${CHANNEL_ROLES[data.channel]} role`
+            }));
+            break;
+          }
           ws.subscriptions = ws.subscriptions || new Set();
           ws.subscriptions.add(data.channel);
           ws.send(JSON.stringify({
@@ -622,6 +1415,22 @@ class TradingBotApp {
     }
   }
 
+  /**
+   * Whether a WebSocket client may receive a channel. Clients whose token
+   * expired are disconnected so the dashboard logs in again.
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {string} channel - Channel name
+   * @returns {boolean} Channel allowed
+   */
+  canReceiveChannel(ws, channel) {
+    if (ws.user?.expiresAt && ws.user.expiresAt <= Date.now()) {
+      ws.close(4401, 'Session expired');
+      return false;
+    }
+
+    return auth.hasRole(ws.user, CHANNEL_ROLES[channel] || 'viewer');
+  }
+
   /**
    * Broadcast data to WebSocket clients
    * @param {string} channel - Channel name
@@ -637,7 +1446,7 @@ class TradingBotApp {
 
       this.wsClients.forEach(ws => {
         if (ws.readyState === WebSocket.OPEN) {
-          if (!ws.subscriptions || ws.subscriptions.has(channel)) {
+          if ((!ws.subscriptions || ws.subscriptions.has(channel)) && this.canReceiveChannel(ws, channel)) {
             ws.send(message);
           }
         }
@@ -663,6 +1472,12 @@ class TradingBotApp {
       this.broadcastToClients('trades', data);
     });
 
+    // Listen for closed trades
+    redisClient.subscribe('trade-closed', (data) => {
+      logger.info(`Trade closed: ${data.trade.action} ${data.trade.pair} [${data.trade.exitReason}] PnL=${data.trade.pnl}`);
+      this.broadcastToClients('trades', { type: 'trade-closed', ...data });
+    });
+
     // Listen for risk alerts
     redisClient.subscribe('risk-alerts', (data) => {
       logger.risk(`Risk alert: ${data.message}`, data);
@@ -674,6 +1489,11 @@ class TradingBotApp {
       logger.risk(`Emergency stop: ${data.type}`, data);
       this.broadcastToClients('emergency-stop', data);
     });
+
+    // Listen for trading command acknowledgements
+    redisClient.subscribe('trading-command-acks', (data) => {
+      this.broadcastToClients('trading-commands', data);
+    });
   }
 
   /**
@@ -711,6 +1531,8 @@ class TradingBotApp {
       logger.info('Shutting down trading bot...');
       
       this.isRunning = false;
+      this.riskPeriodScheduler.stop();
+      this.correlationService.stop();
       
       // Close WebSocket connections
       this.wsClients.forEach(ws => {
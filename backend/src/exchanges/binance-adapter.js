@@ -0,0 +1,444 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const ExchangeAdapter = require('./exchange-adapter');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+// Quote assets used to split Binance symbols (BTCUSDT) back into pairs, longest match first
+const QUOTE_ASSETS = ['FDUSD', 'USDT', 'USDC', 'BUSD', 'TUSD', 'DAI', 'BTC', 'ETH', 'BNB', 'EUR', 'TRY', 'BRL'];
+
+/**
+ * Binance Adapter - Binance spot REST and kline stream.
+ * Binance symbols have no separator (BTC-USDT <-> BTCUSDT).
+ */
+class BinanceAdapter extends ExchangeAdapter {
+  constructor(options = config.apis.binance) {
+    super('binance', 'Binance');
+    this.apiKey = options.apiKey;
+    this.secretKey = options.secretKey;
+    this.baseURL = options.baseURL || (options.testnet ? 'https://testnet.binance.vision' : 'https://api.binance.com');
+    this.wsURL = options.wsURL || (options.testnet ? 'wss://testnet.binance.vision/stream' : 'wss://stream.binance.com:9443/stream');
+    this.symbolPairs = new Map(); // BTCUSDT -> BTC-USDT, filled from exchangeInfo
+    this.ws = null;
+    this.reconnectTimer = null;
+  }
+
+  toSymbol(pair) {
+    return pair.replace('-', '').toUpperCase();
+  }
+
+  toPair(symbol) {
+    if (this.symbolPairs.has(symbol)) {
+      return this.symbolPairs.get(symbol);
+    }
+
+    const quote = QUOTE_ASSETS.find(asset => symbol.endsWith(asset) && symbol.length > asset.length);
+    return quote ? `${symbol.slice(0, -quote.length)}-${quote}` : symbol;
+  }
+
+  /**
+   * Make a Binance API request
+   * @param {string} endpoint - API endpoint
+   * @param {string} method - HTTP method
+   * @param {Object} params - Request parameters
+   * @param {boolean} signed - Whether the endpoint needs an API key and signature
+   * @returns {Promise<Object>} Response data
+   */
+  async request(endpoint, method = 'GET', params = {}, signed = false) {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) query.append(key, value);
+    }
+
+    const headers = {};
+
+    if (signed) {
+      if (!this.apiKey || !this.secretKey) {
+        throw new Error('Binance API key and secret are required for this request');
+      }
+
+      query.append('timestamp', Date.now());
+      query.append('signature', crypto.createHmac('sha256', this.secretKey).update(query.toString()).digest('hex'));
+      headers['X-MBX-APIKEY'] = this.apiKey;
+    }
+
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseURL}${endpoint}?${query.toString()}`,
+        headers,
+        timeout: 15000
+      });
+
+      return response.data;
+    } catch (error) {
+      const data = error.response?.data;
+      logger.error(`Binance API request failed: ${method} ${endpoint}`, data || error.message);
+
+      if (data?.msg) {
+        const apiError = new Error(`Binance ${endpoint} failed: ${data.msg} (code ${data.code})`);
+        apiError.code = data.code;
+        throw apiError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Convert Binance kline arrays to candles
+   * @param {Array} klines - Binance klines
+   * @returns {Array} Candles
+   */
+  parseKlines(klines) {
+    return klines.map(kline => ({
+      timestamp: parseInt(kline[0]),
+      open: parseFloat(kline[1]),
+      high: parseFloat(kline[2]),
+      low: parseFloat(kline[3]),
+      close: parseFloat(kline[4]),
+      volume: parseFloat(kline[5])
+    }));
+  }
+
+  /**
+   * Map a Binance order status to the order states tracked by the bot
+   * @param {string} status - Binance order status
+   * @returns {string} NEW, PARTIALLY_FILLED, FILLED, CANCELED or REJECTED
+   */
+  normalizeOrderStatus(status) {
+    switch (status) {
+      case 'NEW':
+      case 'PENDING_NEW':
+      case 'PENDING_CANCEL':
+        return 'NEW';
+      case 'PARTIALLY_FILLED':
+        return 'PARTIALLY_FILLED';
+      case 'FILLED':
+        return 'FILLED';
+      case 'CANCELED':
+      case 'EXPIRED':
+      case 'EXPIRED_IN_MATCH':
+        return 'CANCELED';
+      default:
+        return 'REJECTED';
+    }
+  }
+
+  /**
+   * Convert a Binance order payload to the common order format
+   * @param {Object} data - Binance order
+   * @returns {Object} Order
+   */
+  normalizeOrder(data) {
+    const executedQty = parseFloat(data.executedQty) || 0;
+    const quoteQty = parseFloat(data.cummulativeQuoteQty) || 0;
+    const fee = (data.fills || []).reduce((sum, fill) => sum + (parseFloat(fill.commission) || 0), 0);
+
+    return {
+      orderId: String(data.orderId),
+      clientOrderId: data.clientOrderId || null,
+      pair: this.toPair(data.symbol),
+      symbol: data.symbol,
+      side: data.side,
+      type: data.type,
+      status: this.normalizeOrderStatus(data.status),
+      exchangeStatus: data.status,
+      price: parseFloat(data.price) || 0,
+      stopPrice: parseFloat(data.stopPrice) || 0,
+      origQty: parseFloat(data.origQty) || 0,
+      executedQty: executedQty,
+      quoteQty: quoteQty,
+      avgPrice: executedQty > 0 ? quoteQty / executedQty : 0,
+      fee: fee,
+      orderListId: data.orderListId >= 0 ? String(data.orderListId) : null,
+      time: parseInt(data.transactTime || data.time) || Date.now(),
+      updateTime: parseInt(data.updateTime || data.transactTime) || Date.now()
+    };
+  }
+
+  async testConnection() {
+    try {
+      logger.info('Testing Binance API connection...');
+      await this.request('/api/v3/ping');
+
+      const symbols = await this.getSymbols();
+      if (symbols.length === 0) {
+        throw new Error('Failed to get exchange info');
+      }
+
+      if (this.apiKey && this.secretKey) {
+        await this.getAccountInfo();
+      }
+
+      logger.info(`✅ Binance API connection successful (${symbols.length} symbols)`);
+      return true;
+    } catch (error) {
+      logger.error('❌ Binance API connection failed:', error.message);
+      return false;
+    }
+  }
+
+  async getKlines(pair, timeframe, { limit = 100, startTime, endTime } = {}) {
+    try {
+      const klines = await this.request('/api/v3/klines', 'GET', {
+        symbol: this.toSymbol(pair),
+        interval: this.toInterval(timeframe),
+        limit: Math.min(limit, 1000),
+        startTime,
+        endTime
+      });
+
+      return this.parseKlines(klines);
+    } catch (error) {
+      logger.error(`Failed to get Binance klines for ${pair}:`, error.message);
+      return [];
+    }
+  }
+
+  async getHistoricalKlines(pair, timeframe, startDate, endDate) {
+    const endTime = endDate.getTime();
+    const candles = [];
+    let startTime = startDate.getTime();
+
+    // Binance returns at most 1000 candles per call, page forward through the range
+    for (let page = 0; page < 50 && startTime <= endTime; page++) {
+      const klines = await this.request('/api/v3/klines', 'GET', {
+        symbol: this.toSymbol(pair),
+        interval: this.toInterval(timeframe),
+        startTime,
+        endTime,
+        limit: 1000
+      });
+
+      if (!Array.isArray(klines) || klines.length === 0) break;
+
+      candles.push(...this.parseKlines(klines));
+      startTime = parseInt(klines[klines.length - 1][0]) + 1;
+
+      if (klines.length < 1000) break;
+    }
+
+    return candles;
+  }
+
+  async getTicker(pair) {
+    try {
+      const ticker = await this.request('/api/v3/ticker/24hr', 'GET', { symbol: this.toSymbol(pair) });
+
+      return {
+        pair: pair,
+        symbol: ticker.symbol,
+        price: parseFloat(ticker.lastPrice),
+        volume: parseFloat(ticker.volume),
+        change: parseFloat(ticker.priceChangePercent)
+      };
+    } catch (error) {
+      logger.error(`Failed to get Binance ticker for ${pair}:`, error.message);
+      return null;
+    }
+  }
+
+  async getAccountInfo() {
+    return this.request('/api/v3/account', 'GET', {}, true);
+  }
+
+  async getSymbols() {
+    try {
+      const info = await this.request('/api/v3/exchangeInfo');
+
+      return (info.symbols || []).map(symbol => {
+        const pair = `${symbol.baseAsset}-${symbol.quoteAsset}`;
+        this.symbolPairs.set(symbol.symbol, pair);
+
+        return {
+          pair: pair,
+          symbol: symbol.symbol,
+          baseAsset: symbol.baseAsset,
+          quoteAsset: symbol.quoteAsset,
+          status: symbol.status
+        };
+      });
+    } catch (error) {
+      logger.error('Failed to get Binance exchange info:', error.message);
+      return [];
+    }
+  }
+
+  async placeOrder({ pair, side, type = 'MARKET', quantity, quoteOrderQty, price, stopPrice, timeInForce, clientOrderId }) {
+    const isLimit = type === 'LIMIT' || type === 'STOP_LOSS_LIMIT' || type === 'TAKE_PROFIT_LIMIT';
+
+    const order = this.normalizeOrder(await this.request('/api/v3/order', 'POST', {
+      symbol: this.toSymbol(pair),
+      side,
+      type,
+      quantity: quantity || undefined,
+      quoteOrderQty: quantity ? undefined : quoteOrderQty,
+      price: isLimit ? price : undefined,
+      stopPrice: stopPrice || undefined,
+      timeInForce: isLimit ? (timeInForce || 'GTC') : undefined,
+      newClientOrderId: clientOrderId,
+      newOrderRespType: 'FULL'
+    }, true));
+
+    logger.trade(`Binance order placed: ${side} ${type} ${pair} #${order.orderId} (${order.status})`, order);
+    return order;
+  }
+
+  async placeAttachedOrders(pair, side, quantity, { stopLoss, takeProfit } = {}) {
+    const exitSide = side === 'BUY' ? 'SELL' : 'BUY';
+
+    if (!stopLoss || !takeProfit) {
+      return {
+        stopLoss: stopLoss ? await this.placeOrder({ pair, side: exitSide, type: 'STOP_LOSS', quantity, stopPrice: stopLoss }) : null,
+        takeProfit: takeProfit ? await this.placeOrder({ pair, side: exitSide, type: 'TAKE_PROFIT', quantity, stopPrice: takeProfit }) : null
+      };
+    }
+
+    // Two separate exit orders would both reserve the whole position and the second one
+    // would be rejected: place them as one OCO list, a fill of one expires the other
+    const stopAbove = exitSide === 'BUY';
+    const result = await this.request('/api/v3/orderList/oco', 'POST', {
+      symbol: this.toSymbol(pair),
+      side: exitSide,
+      quantity,
+      aboveType: stopAbove ? 'STOP_LOSS' : 'TAKE_PROFIT',
+      aboveStopPrice: stopAbove ? stopLoss : takeProfit,
+      belowType: stopAbove ? 'TAKE_PROFIT' : 'STOP_LOSS',
+      belowStopPrice: stopAbove ? takeProfit : stopLoss,
+      newOrderRespType: 'FULL'
+    }, true);
+
+    const reports = (result.orderReports || []).map(report => this.normalizeOrder({ ...report, orderListId: result.orderListId }));
+    const orders = {
+      stopLoss: reports.find(order => order.type === 'STOP_LOSS') || null,
+      takeProfit: reports.find(order => order.type === 'TAKE_PROFIT') || null
+    };
+
+    logger.trade(`Binance OCO placed: ${exitSide} ${pair} #${result.orderListId} (stop ${stopLoss}, target ${takeProfit})`, orders);
+    return orders;
+  }
+
+  async cancelAttachedOrders(pair, orders) {
+    const orderListId = Object.values(orders).find(order => order?.orderListId)?.orderListId;
+    if (!orderListId) {
+      return super.cancelAttachedOrders(pair, orders);
+    }
+
+    // Canceling an OCO cancels both of its orders
+    const result = await this.request('/api/v3/orderList', 'DELETE', {
+      symbol: this.toSymbol(pair),
+      orderListId
+    }, true);
+
+    const reports = (result.orderReports || []).map(report => this.normalizeOrder({ ...report, orderListId: result.orderListId }));
+    logger.trade(`Binance OCO canceled: ${pair} #${orderListId}`, reports);
+
+    return Object.fromEntries(Object.entries(orders)
+      .filter(([, order]) => order)
+      .map(([role, order]) => [role, reports.find(report => report.orderId === order.orderId) || { ...order, status: 'CANCELED' }]));
+  }
+
+  async cancelOrder(pair, orderId) {
+    const order = this.normalizeOrder(await this.request('/api/v3/order', 'DELETE', {
+      symbol: this.toSymbol(pair),
+      orderId
+    }, true));
+
+    logger.trade(`Binance order canceled: ${pair} #${orderId}`, order);
+    return order;
+  }
+
+  async getOpenOrders(pair) {
+    const orders = await this.request('/api/v3/openOrders', 'GET', { symbol: this.toSymbol(pair) }, true);
+    return orders.map(order => this.normalizeOrder(order));
+  }
+
+  async getOrder(pair, orderId) {
+    return this.normalizeOrder(await this.request('/api/v3/order', 'GET', {
+      symbol: this.toSymbol(pair),
+      orderId
+    }, true));
+  }
+
+  async getOrderFills(pair, orderId) {
+    const fills = await this.request('/api/v3/myTrades', 'GET', { symbol: this.toSymbol(pair), orderId }, true);
+
+    return fills.map(fill => ({
+      id: String(fill.id),
+      orderId: String(fill.orderId),
+      price: parseFloat(fill.price),
+      qty: parseFloat(fill.qty),
+      quoteQty: parseFloat(fill.quoteQty),
+      commission: Math.abs(parseFloat(fill.commission) || 0),
+      commissionAsset: fill.commissionAsset,
+      time: parseInt(fill.time)
+    }));
+  }
+
+  subscribeKlines(pairs, timeframe, onCandle) {
+    const interval = this.toInterval(timeframe);
+    const streams = pairs.map(pair => `${this.toSymbol(pair).toLowerCase()}@kline_${interval}`);
+
+    try {
+      this.ws = new WebSocket(`${this.wsURL}?streams=${streams.join('/')}`);
+
+      this.ws.on('open', () => {
+        logger.info(`Binance WebSocket connected: ${streams.join(', ')}`);
+      });
+
+      this.ws.on('message', (data) => {
+        try {
+          const message = JSON.parse(data.toString());
+          const kline = message.data?.k;
+          if (!kline) return;
+
+          onCandle({
+            pair: this.toPair(message.data.s),
+            symbol: message.data.s,
+            timestamp: parseInt(kline.t),
+            open: parseFloat(kline.o),
+            high: parseFloat(kline.h),
+            low: parseFloat(kline.l),
+            close: parseFloat(kline.c),
+            volume: parseFloat(kline.v),
+            isFinal: kline.x // true when kline is closed
+          });
+        } catch (error) {
+          logger.error('Error processing Binance WebSocket message:', error);
+        }
+      });
+
+      this.ws.on('error', (error) => {
+        logger.error('Binance WebSocket error:', error);
+      });
+
+      this.ws.on('close', () => {
+        logger.warn('Binance WebSocket closed, attempting to reconnect...');
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.subscribeKlines(pairs, timeframe, onCandle), 5000);
+      });
+    } catch (error) {
+      logger.error('Failed to initialize Binance WebSocket:', error);
+    }
+  }
+
+  isStreamConnected() {
+    return Boolean(this.ws && this.ws.readyState === 1);
+  }
+
+  closeStream() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    if (this.ws) {
+      this.ws.removeAllListeners('close'); // closing on purpose, do not reconnect
+      this.ws.close();
+      this.ws = null;
+    }
+
+    logger.info('Binance WebSocket connection closed');
+  }
+}
+
+module.exports = BinanceAdapter;
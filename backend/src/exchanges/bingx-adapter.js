@@ -0,0 +1,126 @@
+const ExchangeAdapter = require('./exchange-adapter');
+const BingXClient = require('../utils/bingx-client');
+const logger = require('../utils/logger');
+
+/**
+ * BingX Adapter - BingX spot trading and market data through BingXClient.
+ * BingX symbols use the same dash format as internal pairs (BTC-USDT).
+ */
+class BingXAdapter extends ExchangeAdapter {
+  constructor(client = new BingXClient()) {
+    super('bingx', 'BingX');
+    this.client = client;
+  }
+
+  /**
+   * Add the internal pair to an order returned by the client
+   * @param {Object} order - BingX order
+   * @returns {Object} Order
+   */
+  withPair(order) {
+    return order && { ...order, pair: this.toPair(order.symbol) };
+  }
+
+  async testConnection() {
+    return this.client.testConnection();
+  }
+
+  async getKlines(pair, timeframe, { limit = 100 } = {}) {
+    return this.client.getKlines(this.toSymbol(pair), this.toInterval(timeframe), limit);
+  }
+
+  async getHistoricalKlines(pair, timeframe, startDate, endDate) {
+    const startTime = startDate.getTime();
+    const endTime = endDate.getTime();
+
+    // Perpetual swap klines go further back than the spot endpoint
+    const params = {
+      symbol: this.toSymbol(pair),
+      interval: this.toInterval(timeframe),
+      startTime: startTime.toString(),
+      limit: '1000' // Maximum allowed by BingX as string
+    };
+
+    logger.info(`Requesting BingX historical klines: ${params.symbol} ${params.interval} from ${startDate.toISOString()}`);
+
+    const response = await this.client.makeRequest('/openApi/swap/v3/quote/klines', 'GET', params);
+
+    if (!response || !response.data || !Array.isArray(response.data)) {
+      throw new Error('Invalid response format from BingX API');
+    }
+
+    return response.data
+      .map(candle => ({
+        timestamp: parseInt(candle.time), // BingX uses 'time' field
+        open: parseFloat(candle.open),
+        high: parseFloat(candle.high),
+        low: parseFloat(candle.low),
+        close: parseFloat(candle.close),
+        volume: parseFloat(candle.volume)
+      }))
+      .filter(candle => candle.timestamp >= startTime && candle.timestamp <= endTime)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  async getTicker(pair) {
+    const ticker = await this.client.getTicker(this.toSymbol(pair));
+    return ticker && { ...ticker, pair: pair };
+  }
+
+  async getAccountInfo() {
+    return this.client.getAccountInfo();
+  }
+
+  async getSymbols() {
+    const symbols = await this.client.getExchangeInfo();
+    return symbols.map(symbol => ({ ...symbol, pair: this.toPair(symbol.symbol) }));
+  }
+
+  async placeOrder({ pair, ...order }) {
+    return this.withPair(await this.client.placeOrder({ ...order, symbol: this.toSymbol(pair) }));
+  }
+
+  async placeAttachedOrders(pair, side, quantity, levels = {}) {
+    const orders = await this.client.placeAttachedOrders(this.toSymbol(pair), side, quantity, levels);
+
+    return {
+      stopLoss: this.withPair(orders.stopLoss),
+      takeProfit: this.withPair(orders.takeProfit)
+    };
+  }
+
+  async cancelOrder(pair, orderId) {
+    return this.withPair(await this.client.cancelOrder(this.toSymbol(pair), orderId));
+  }
+
+  async getOpenOrders(pair) {
+    const orders = await this.client.getOpenOrders(this.toSymbol(pair));
+    return orders.map(order => this.withPair(order));
+  }
+
+  async getOrder(pair, orderId) {
+    return this.withPair(await this.client.getOrder(this.toSymbol(pair), orderId));
+  }
+
+  async getOrderFills(pair, orderId) {
+    return this.client.getOrderFills(this.toSymbol(pair), orderId);
+  }
+
+  subscribeKlines(pairs, timeframe, onCandle) {
+    const symbols = pairs.map(pair => this.toSymbol(pair));
+
+    this.client.initWebSocket(symbols, (candle) => {
+      onCandle({ ...candle, pair: this.toPair(candle.symbol) });
+    }, this.toInterval(timeframe));
+  }
+
+  isStreamConnected() {
+    return Boolean(this.client.ws && this.client.ws.readyState === 1);
+  }
+
+  closeStream() {
+    this.client.closeWebSocket();
+  }
+}
+
+module.exports = BingXAdapter;
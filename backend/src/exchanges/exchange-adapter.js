@@ -0,0 +1,238 @@
+const logger = require('../utils/logger');
+
+/**
+ * Exchange Adapter - common interface every exchange implementation follows.
+ *
+ * Services only talk to adapters and always use the internal pair format
+ * (BASE-QUOTE, e.g. 'BTC-USDT'). Each adapter converts pairs, intervals and
+ * payloads to and from its exchange.
+ *
+ * Candles:  { timestamp, open, high, low, close, volume }
+ * Tickers:  { pair, symbol, price, volume, change }
+ * Orders:   { orderId, clientOrderId, pair, symbol, side, type, status, price, stopPrice,
+ *             origQty, executedQty, quoteQty, avgPrice, fee, orderListId, time, updateTime }
+ *           orderListId links the orders of an OCO, null for single orders
+ *           status is one of NEW, PARTIALLY_FILLED, FILLED, CANCELED, REJECTED
+ * Fills:    { id, orderId, price, qty, quoteQty, commission, commissionAsset, time }
+ */
+class ExchangeAdapter {
+  /**
+   * @param {string} name - Exchange key used in config (e.g. 'bingx')
+   * @param {string} displayName - Human readable exchange name
+   */
+  constructor(name, displayName) {
+    this.name = name;
+    this.displayName = displayName;
+  }
+
+  /**
+   * Throw for methods an adapter does not implement
+   * @param {string} method - Method name
+   */
+  notImplemented(method) {
+    throw new Error(`${this.displayName} adapter does not implement ${method}()`);
+  }
+
+  /**
+   * Convert an internal pair to the exchange symbol
+   * @param {string} pair - Trading pair (e.g., 'BTC-USDT')
+   * @returns {string} Exchange symbol
+   */
+  toSymbol(pair) {
+    return pair;
+  }
+
+  /**
+   * Convert an exchange symbol to the internal pair format
+   * @param {string} symbol - Exchange symbol
+   * @returns {string} Trading pair
+   */
+  toPair(symbol) {
+    return symbol;
+  }
+
+  /**
+   * Convert an internal timeframe to the exchange interval
+   * @param {string} timeframe - Timeframe (1m, 5m, 15m, 1h, 4h, 1d...)
+   * @returns {string} Exchange interval
+   */
+  toInterval(timeframe) {
+    return timeframe;
+  }
+
+  /**
+   * Check connectivity and credentials
+   * @returns {Promise<boolean>} Connection status
+   */
+  async testConnection() {
+    this.notImplemented('testConnection');
+  }
+
+  /**
+   * Get the most recent candles
+   * @param {string} pair - Trading pair
+   * @param {string} timeframe - Candle timeframe
+   * @param {Object} options - Request options
+   * @param {number} options.limit - Number of candles
+   * @returns {Promise<Array>} Candles sorted by timestamp
+   */
+  async getKlines(pair, timeframe, options = {}) {
+    this.notImplemented('getKlines');
+  }
+
+  /**
+   * Get candles for a date range
+   * @param {string} pair - Trading pair
+   * @param {string} timeframe - Candle timeframe
+   * @param {Date} startDate - Range start
+   * @param {Date} endDate - Range end
+   * @returns {Promise<Array>} Candles sorted by timestamp
+   */
+  async getHistoricalKlines(pair, timeframe, startDate, endDate) {
+    this.notImplemented('getHistoricalKlines');
+  }
+
+  /**
+   * Get the current ticker
+   * @param {string} pair - Trading pair
+   * @returns {Promise<Object|null>} Ticker
+   */
+  async getTicker(pair) {
+    this.notImplemented('getTicker');
+  }
+
+  /**
+   * Get account balances
+   * @returns {Promise<Object>} Account data
+   */
+  async getAccountInfo() {
+    this.notImplemented('getAccountInfo');
+  }
+
+  /**
+   * Get tradable symbols
+   * @returns {Promise<Array>} Symbols with pair, symbol, baseAsset, quoteAsset and status
+   */
+  async getSymbols() {
+    this.notImplemented('getSymbols');
+  }
+
+  /**
+   * Place an order
+   * @param {Object} order - Order parameters
+   * @param {string} order.pair - Trading pair
+   * @param {string} order.side - BUY or SELL
+   * @param {string} order.type - MARKET or LIMIT
+   * @param {number} order.quantity - Base asset quantity
+   * @param {number} order.quoteOrderQty - Quote amount to spend (MARKET orders, instead of quantity)
+   * @param {number} order.price - Limit price
+   * @param {string} order.timeInForce - Time in force
+   * @param {string} order.clientOrderId - Custom order ID
+   * @returns {Promise<Object>} Order
+   */
+  async placeOrder(order) {
+    this.notImplemented('placeOrder');
+  }
+
+  /**
+   * Place stop loss and take profit orders protecting an open position. Both exit
+   * the whole quantity, so they must not reserve it twice (e.g. placed as an OCO).
+   * takeProfit is null when the exchange only holds the stop: the position
+   * monitor then takes the profit at market.
+   * @param {string} pair - Trading pair
+   * @param {string} side - Side of the position being protected (BUY or SELL)
+   * @param {number} quantity - Base asset quantity to protect
+   * @param {Object} levels - Exit levels (stopLoss, takeProfit)
+   * @returns {Promise<Object>} Orders keyed by stopLoss / takeProfit
+   */
+  async placeAttachedOrders(pair, side, quantity, levels = {}) {
+    this.notImplemented('placeAttachedOrders');
+  }
+
+  /**
+   * Cancel the stop loss / take profit orders of a position, one by one unless
+   * the exchange cancels them together
+   * @param {string} pair - Trading pair
+   * @param {Object} orders - Open orders keyed by stopLoss / takeProfit
+   * @returns {Promise<Object>} Canceled orders keyed by role, orders that failed to cancel are left out
+   */
+  async cancelAttachedOrders(pair, orders) {
+    const canceled = {};
+
+    for (const [role, order] of Object.entries(orders)) {
+      if (!order) continue;
+
+      try {
+        canceled[role] = await this.cancelOrder(pair, order.orderId);
+      } catch (error) {
+        logger.warn(`Failed to cancel ${role} order ${order.orderId} on ${this.displayName}: ${error.message}`);
+      }
+    }
+
+    return canceled;
+  }
+
+  /**
+   * Cancel an open order
+   * @param {string} pair - Trading pair
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Canceled order
+   */
+  async cancelOrder(pair, orderId) {
+    this.notImplemented('cancelOrder');
+  }
+
+  /**
+   * Get open orders
+   * @param {string} pair - Trading pair
+   * @returns {Promise<Array>} Orders
+   */
+  async getOpenOrders(pair) {
+    this.notImplemented('getOpenOrders');
+  }
+
+  /**
+   * Get an order by ID
+   * @param {string} pair - Trading pair
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Order
+   */
+  async getOrder(pair, orderId) {
+    this.notImplemented('getOrder');
+  }
+
+  /**
+   * Get the fills of an order
+   * @param {string} pair - Trading pair
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Array>} Fills
+   */
+  async getOrderFills(pair, orderId) {
+    this.notImplemented('getOrderFills');
+  }
+
+  /**
+   * Stream candles for a set of pairs
+   * @param {Array} pairs - Trading pairs
+   * @param {string} timeframe - Candle timeframe
+   * @param {Function} onCandle - Called with { pair, symbol, timestamp, open, high, low, close, volume, isFinal }
+   */
+  subscribeKlines(pairs, timeframe, onCandle) {
+    this.notImplemented('subscribeKlines');
+  }
+
+  /**
+   * Whether the candle stream is connected
+   * @returns {boolean} Stream status
+   */
+  isStreamConnected() {
+    return false;
+  }
+
+  /**
+   * Close the candle stream
+   */
+  closeStream() {}
+}
+
+module.exports = ExchangeAdapter;
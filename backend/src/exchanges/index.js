@@ -0,0 +1,76 @@
+const BingXAdapter = require('./bingx-adapter');
+const BinanceAdapter = require('./binance-adapter');
+const ExchangeAdapter = require('./exchange-adapter');
+const config = require('../utils/config');
+
+const ADAPTERS = {
+  bingx: BingXAdapter,
+  binance: BinanceAdapter
+};
+
+// One adapter per exchange, shared by all services
+const instances = new Map();
+
+/**
+ * Get the adapter of an exchange
+ * @param {string} name - Exchange key (bingx, binance)
+ * @returns {ExchangeAdapter} Exchange adapter
+ */
+function getExchange(name = config.exchanges.default) {
+  const key = (name || '').toLowerCase();
+
+  if (!instances.has(key)) {
+    const Adapter = ADAPTERS[key];
+    if (!Adapter) {
+      throw new Error(`Unsupported exchange: ${name} (available: ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+    instances.set(key, new Adapter());
+  }
+
+  return instances.get(key);
+}
+
+/**
+ * Get the exchange key configured for a pair (per pair override or the default exchange)
+ * @param {string} pair - Trading pair
+ * @returns {string} Exchange key
+ */
+function getExchangeName(pair) {
+  return config.exchanges.pairs[pair] || config.exchanges.default;
+}
+
+/**
+ * Get the adapter that trades a pair
+ * @param {string} pair - Trading pair
+ * @returns {ExchangeAdapter} Exchange adapter
+ */
+function getExchangeForPair(pair) {
+  return getExchange(getExchangeName(pair));
+}
+
+/**
+ * Group pairs by the exchange that trades them
+ * @param {Array} pairs - Trading pairs
+ * @returns {Map} Exchange key -> pairs
+ */
+function groupPairsByExchange(pairs) {
+  const groups = new Map();
+
+  for (const pair of pairs) {
+    const name = getExchangeName(pair);
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(pair);
+  }
+
+  return groups;
+}
+
+module.exports = {
+  ExchangeAdapter,
+  BingXAdapter,
+  BinanceAdapter,
+  getExchange,
+  getExchangeName,
+  getExchangeForPair,
+  groupPairsByExchange
+};
@@ -0,0 +1,918 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const WebSocket = require('ws');
+const logger = require('../utils/logger');
+
+const INTERVAL_MS = {
+  '1m': 60000,
+  '3m': 180000,
+  '5m': 300000,
+  '15m': 900000,
+  '30m': 1800000,
+  '1h': 3600000,
+  '2h': 7200000,
+  '4h': 14400000,
+  '6h': 21600000,
+  '8h': 28800000,
+  '12h': 43200000,
+  '1d': 86400000,
+  '3d': 259200000,
+  '1w': 604800000
+};
+
+// Starting prices of the synthetic markets, unknown symbols start at 100
+const BASE_PRICES = {
+  'BTC-USDT': 65000,
+  'ETH-USDT': 3500,
+  'SOL-USDT': 150,
+  'BNB-USDT': 580,
+  'XRP-USDT': 0.6,
+  'ADA-USDT': 0.45,
+  'DOGE-USDT': 0.15,
+  'VST-USDT': 1
+};
+
+const MAX_CANDLES = 1440;
+const TAKER_FEE = 0.001;
+
+/**
+ * Mock Market - deterministic OHLCV data for the mock exchange.
+ * Serves recorded candles from <dataDir>/<SYMBOL>_<interval>.json|.csv when
+ * available and synthetic candles (a few overlapping swings plus noise) otherwise.
+ */
+class MockMarket {
+  /**
+   * @param {Object} options - Market options
+   * @param {string} options.dataDir - Directory with recorded OHLCV files
+   */
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || path.join(__dirname, 'data');
+    this.recorded = new Map(); // `${symbol}_${interval}` -> candles (null when no file)
+  }
+
+  /**
+   * Load recorded candles for a symbol/interval
+   * @param {string} symbol - Trading symbol (e.g., 'BTC-USDT')
+   * @param {string} interval - Candle interval
+   * @returns {Array|null} Candles sorted by timestamp
+   */
+  loadRecorded(symbol, interval) {
+    const key = `${symbol}_${interval}`;
+    if (this.recorded.has(key)) {
+      return this.recorded.get(key);
+    }
+
+    let candles = null;
+
+    try {
+      const jsonFile = path.join(this.dataDir, `${key}.json`);
+      const csvFile = path.join(this.dataDir, `${key}.csv`);
+
+      if (fs.existsSync(jsonFile)) {
+        candles = JSON.parse(fs.readFileSync(jsonFile, 'utf8')).map(candle => this.parseCandle(candle));
+      } else if (fs.existsSync(csvFile)) {
+        candles = fs.readFileSync(csvFile, 'utf8')
+          .split(/\r?\n/)
+          .map(line => line.trim())
+          .filter(line => line && /^\d/.test(line)) // skip header and empty lines
+          .map(line => this.parseCandle(line.split(',')));
+      }
+
+      if (candles) {
+        candles = candles.filter(candle => Number.isFinite(candle.timestamp)).sort((a, b) => a.timestamp - b.timestamp);
+        logger.info(`Mock BingX: loaded ${candles.length} recorded candles for ${symbol} ${interval}`);
+      }
+    } catch (error) {
+      logger.error(`Mock BingX: failed to load recorded data for ${key}:`, error.message);
+      candles = null;
+    }
+
+    this.recorded.set(key, candles);
+    return candles;
+  }
+
+  /**
+   * Parse a recorded candle: [timestamp, open, high, low, close, volume] or an object
+   * @param {Array|Object} raw - Recorded candle
+   * @returns {Object} Candle
+   */
+  parseCandle(raw) {
+    if (Array.isArray(raw)) {
+      return {
+        timestamp: parseInt(raw[0]),
+        open: parseFloat(raw[1]),
+        high: parseFloat(raw[2]),
+        low: parseFloat(raw[3]),
+        close: parseFloat(raw[4]),
+        volume: parseFloat(raw[5])
+      };
+    }
+
+    return {
+      timestamp: parseInt(raw.timestamp ?? raw.time ?? raw.openTime),
+      open: parseFloat(raw.open),
+      high: parseFloat(raw.high),
+      low: parseFloat(raw.low),
+      close: parseFloat(raw.close),
+      volume: parseFloat(raw.volume)
+    };
+  }
+
+  /**
+   * Stable pseudo random number in [0, 1) for a symbol and integer step
+   * @param {string} symbol - Trading symbol
+   * @param {number} step - Integer step (e.g., minute index)
+   * @returns {number} Random number
+   */
+  noise(symbol, step) {
+    let h = 2166136261;
+    const input = `${symbol}:${step}`;
+    for (let i = 0; i < input.length; i++) {
+      h ^= input.charCodeAt(i);
+      h = Math.imul(h, 16777619);
+    }
+    h ^= h >>> 13;
+    h = Math.imul(h, 0x5bd1e995);
+    h ^= h >>> 15;
+    return (h >>> 0) / 4294967296;
+  }
+
+  /**
+   * Base price of a symbol: last recorded close if any, otherwise a default
+   * @param {string} symbol - Trading symbol
+   * @returns {number} Base price
+   */
+  basePrice(symbol) {
+    const recorded = this.loadRecorded(symbol, '1m') || this.loadRecorded(symbol, '1h');
+    if (recorded && recorded.length > 0) {
+      return recorded[recorded.length - 1].close;
+    }
+
+    return BASE_PRICES[symbol] || 100;
+  }
+
+  /**
+   * Synthetic price of a symbol at a point in time
+   * @param {string} symbol - Trading symbol
+   * @param {number} time - Timestamp in ms
+   * @returns {number} Price
+   */
+  priceAt(symbol, time) {
+    const phase = this.noise(symbol, 0) * Math.PI * 2;
+    const days = time / 86400000;
+
+    // Overlapping swings give trends, pullbacks and divergences on every timeframe
+    const wave =
+      0.08 * Math.sin(2 * Math.PI * days / 9 + phase) +
+      0.04 * Math.sin(2 * Math.PI * days / 2.3 + phase * 2) +
+      0.015 * Math.sin(2 * Math.PI * days / 0.37 + phase * 3) +
+      0.004 * Math.sin(2 * Math.PI * days * 24 / 1.7 + phase * 5);
+    const jitter = (this.noise(symbol, Math.floor(time / 60000)) - 0.5) * 0.002;
+
+    return this.round(this.basePrice(symbol) * (1 + wave + jitter));
+  }
+
+  /**
+   * Build a synthetic candle
+   * @param {string} symbol - Trading symbol
+   * @param {number} intervalMs - Candle length in ms
+   * @param {number} start - Candle open time
+   * @param {number} until - Last time to include (for a candle that is still forming)
+   * @returns {Object} Candle
+   */
+  syntheticCandle(symbol, intervalMs, start, until = start + intervalMs - 1) {
+    const end = Math.min(until, start + intervalMs - 1);
+    const open = this.priceAt(symbol, start);
+    const close = this.priceAt(symbol, end);
+    let high = Math.max(open, close);
+    let low = Math.min(open, close);
+
+    // Sample the path inside the candle for the wicks
+    const samples = 8;
+    for (let i = 1; i < samples; i++) {
+      const price = this.priceAt(symbol, start + ((end - start) * i) / samples);
+      high = Math.max(high, price);
+      low = Math.min(low, price);
+    }
+
+    const step = Math.floor(start / intervalMs);
+    const wick = this.noise(symbol, step * 7 + 1) * 0.0015;
+    const elapsed = (end - start + 1) / intervalMs;
+    const baseVolume = 1000 * (intervalMs / 60000) / Math.max(1, Math.log10(this.basePrice(symbol) + 1));
+
+    return {
+      timestamp: start,
+      open: open,
+      high: this.round(high * (1 + wick)),
+      low: this.round(low * (1 - wick)),
+      close: close,
+      volume: this.round(baseVolume * elapsed * (0.5 + this.noise(symbol, step * 7 + 2) + Math.abs(close - open) / open * 100))
+    };
+  }
+
+  /**
+   * Get candles for a time range
+   * @param {string} symbol - Trading symbol
+   * @param {string} interval - Candle interval
+   * @param {Object} range - Range options
+   * @param {number} range.startTime - First candle open time
+   * @param {number} range.endTime - Last candle open time
+   * @param {number} range.limit - Maximum number of candles
+   * @returns {Array} Candles sorted by timestamp
+   */
+  getKlines(symbol, interval, { startTime, endTime, limit = 500 } = {}) {
+    const intervalMs = INTERVAL_MS[interval];
+    if (!intervalMs) {
+      throw new Error(`Unsupported interval: ${interval}`);
+    }
+
+    const now = Date.now();
+    const count = Math.min(Math.max(parseInt(limit) || 500, 1), MAX_CANDLES);
+    const last = Math.floor(Math.min(endTime || now, now) / intervalMs) * intervalMs;
+    const first = startTime
+      ? Math.ceil(startTime / intervalMs) * intervalMs
+      : last - (count - 1) * intervalMs;
+
+    const recorded = this.loadRecorded(symbol, interval);
+    if (recorded) {
+      const inRange = recorded.filter(candle => candle.timestamp >= first && candle.timestamp <= last);
+      if (inRange.length > 0) {
+        return startTime ? inRange.slice(0, count) : inRange.slice(-count);
+      }
+    }
+
+    const candles = [];
+    for (let start = first; start <= last && candles.length < count; start += intervalMs) {
+      candles.push(this.syntheticCandle(symbol, intervalMs, start, Math.min(now, start + intervalMs - 1)));
+    }
+
+    return candles;
+  }
+
+  /**
+   * Current price of a symbol
+   * @param {string} symbol - Trading symbol
+   * @returns {number} Price
+   */
+  lastPrice(symbol) {
+    return this.priceAt(symbol, Date.now());
+  }
+
+  /**
+   * Round a price to a sensible number of significant digits
+   * @param {number} value - Price
+   * @returns {number} Rounded price
+   */
+  round(value) {
+    return parseFloat(value.toPrecision(8));
+  }
+}
+
+/**
+ * Mock BingX Server - local stand-in for open-api.bingx.com.
+ * Serves the REST endpoints used by the bot (klines, ticker, symbols, account,
+ * spot orders) and a gzip-compressed kline WebSocket stream on /market.
+ *
+ * Point the bot at it with:
+ *   BINGX_BASE_URL=http://localhost:4010 BINGX_WS_URL=ws://localhost:4010/market
+ */
+class MockBingXServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {number} options.port - HTTP/WebSocket port (0 picks a free port)
+   * @param {string} options.dataDir - Directory with recorded OHLCV files
+   * @param {number} options.tickInterval - Milliseconds between WebSocket kline updates
+   * @param {Object} options.balances - Initial account balances by asset
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 4010;
+    this.tickInterval = options.tickInterval || 1000;
+    this.market = new MockMarket({ dataDir: options.dataDir });
+    this.balances = { USDT: 10000, ...(options.balances || {}) };
+    this.orders = new Map(); // orderId -> order
+    this.fills = []; // executed trades
+    this.nextOrderId = 1;
+    this.server = null;
+    this.wss = null;
+    this.ticker = null;
+    this.streams = new Map(); // client -> Set of dataTypes
+    this.lastCandleStart = new Map(); // dataType -> open time of the candle being streamed
+  }
+
+  /**
+   * Start the HTTP and WebSocket servers
+   * @returns {Promise<Object>} Listening addresses
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      this.wss = new WebSocket.Server({ server: this.server, path: '/market' });
+      this.wss.on('connection', (client) => this.handleConnection(client));
+
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.port = this.server.address().port;
+        this.ticker = setInterval(() => this.broadcastKlines(), this.tickInterval);
+
+        const addresses = {
+          baseURL: `http://localhost:${this.port}`,
+          wsURL: `ws://localhost:${this.port}/market`
+        };
+
+        logger.info(`🧪 Mock BingX server running on ${addresses.baseURL} (WebSocket: ${addresses.wsURL})`);
+        resolve(addresses);
+      });
+    });
+  }
+
+  /**
+   * Stop the servers
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (this.ticker) {
+      clearInterval(this.ticker);
+      this.ticker = null;
+    }
+
+    for (const client of this.streams.keys()) {
+      client.terminate();
+    }
+    this.streams.clear();
+
+    return new Promise((resolve) => {
+      if (this.wss) this.wss.close();
+      if (!this.server) return resolve();
+
+      this.server.close(() => {
+        logger.info('Mock BingX server stopped');
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Route a REST request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handleRequest(req, res) {
+    const url = new URL(req.url, `http://localhost:${this.port}`);
+    const params = Object.fromEntries(url.searchParams);
+
+    const routes = {
+      'GET /openApi/spot/v1/market/kline': () => this.spotKlines(params),
+      'GET /openApi/swap/v3/quote/klines': () => this.swapKlines(params),
+      'GET /openApi/spot/v1/ticker/24hr': () => this.ticker24hr(params),
+      'GET /openApi/spot/v1/common/symbols': () => this.symbols(),
+      'GET /openApi/spot/v1/account': () => this.account(),
+      'GET /openApi/spot/v1/account/balance': () => this.account(),
+      'POST /openApi/spot/v1/trade/order': () => this.placeOrder(params),
+      'POST /openApi/spot/v1/trade/cancel': () => this.cancelOrder(params),
+      'GET /openApi/spot/v1/trade/openOrders': () => this.openOrders(params),
+      'GET /openApi/spot/v1/trade/query': () => this.queryOrder(params),
+      'GET /openApi/spot/v1/trade/myTrades': () => this.myTrades(params)
+    };
+
+    const route = routes[`${req.method} ${url.pathname}`];
+
+    // Drain the body, the bot sends all parameters in the query string
+    req.resume();
+    req.on('end', () => {
+      if (!route) {
+        return this.send(res, 404, { code: 100404, msg: `Mock BingX: unknown endpoint ${req.method} ${url.pathname}` });
+      }
+
+      try {
+        this.send(res, 200, { code: 0, msg: '', data: route() });
+      } catch (error) {
+        this.send(res, 200, { code: error.code || 100400, msg: error.message });
+      }
+    });
+  }
+
+  /**
+   * Write a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {Object} body - Response body
+   */
+  send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Build an API error with a BingX style code
+   * @param {string} message - Error message
+   * @param {number} code - BingX error code
+   * @returns {Error} Error
+   */
+  apiError(message, code = 100400) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Require a parameter
+   * @param {Object} params - Request parameters
+   * @param {string} name - Parameter name
+   * @returns {string} Parameter value
+   */
+  required(params, name) {
+    if (params[name] === undefined || params[name] === '') {
+      throw this.apiError(`${name} is required`);
+    }
+    return params[name];
+  }
+
+  /**
+   * Spot klines as BingX arrays [openTime, open, high, low, close, volume, closeTime, quoteVolume]
+   * @param {Object} params - symbol, interval, startTime, endTime, limit
+   * @returns {Array} Klines
+   */
+  spotKlines(params) {
+    const candles = this.market.getKlines(this.required(params, 'symbol'), params.interval || '1m', {
+      startTime: parseInt(params.startTime) || null,
+      endTime: parseInt(params.endTime) || null,
+      limit: params.limit
+    });
+    const intervalMs = INTERVAL_MS[params.interval || '1m'];
+
+    return candles.map(candle => [
+      candle.timestamp,
+      candle.open,
+      candle.high,
+      candle.low,
+      candle.close,
+      candle.volume,
+      candle.timestamp + intervalMs - 1,
+      this.market.round(candle.volume * candle.close)
+    ]);
+  }
+
+  /**
+   * Perpetual swap klines as BingX objects (used by the backtester)
+   * @param {Object} params - symbol, interval, startTime, endTime, limit
+   * @returns {Array} Klines
+   */
+  swapKlines(params) {
+    const candles = this.market.getKlines(this.required(params, 'symbol'), params.interval || '1m', {
+      startTime: parseInt(params.startTime) || null,
+      endTime: parseInt(params.endTime) || null,
+      limit: params.limit
+    });
+
+    return candles.map(candle => ({
+      open: String(candle.open),
+      close: String(candle.close),
+      high: String(candle.high),
+      low: String(candle.low),
+      volume: String(candle.volume),
+      time: candle.timestamp
+    }));
+  }
+
+  /**
+   * 24h ticker of one symbol, or of all known symbols
+   * @param {Object} params - Optional symbol
+   * @returns {Object|Array} Ticker data
+   */
+  ticker24hr(params) {
+    const build = (symbol) => {
+      const candle = this.market.getKlines(symbol, '1d', { limit: 1 })[0];
+      const lastPrice = this.market.lastPrice(symbol);
+
+      return {
+        symbol: symbol,
+        openPrice: String(candle.open),
+        highPrice: String(Math.max(candle.high, lastPrice)),
+        lowPrice: String(Math.min(candle.low, lastPrice)),
+        lastPrice: String(lastPrice),
+        volume: String(candle.volume),
+        priceChange: String(this.market.round(lastPrice - candle.open)),
+        priceChangePercent: String(((lastPrice - candle.open) / candle.open * 100).toFixed(2)),
+        openTime: candle.timestamp,
+        closeTime: Date.now()
+      };
+    };
+
+    return params.symbol ? build(params.symbol) : Object.keys(BASE_PRICES).map(build);
+  }
+
+  /**
+   * Tradable symbols
+   * @returns {Object} Symbol list
+   */
+  symbols() {
+    return {
+      symbols: Object.keys(BASE_PRICES).map(symbol => ({
+        symbol: symbol,
+        baseAsset: symbol.split('-')[0],
+        quoteAsset: symbol.split('-')[1],
+        status: 1,
+        minQty: 0,
+        maxQty: 1000000,
+        tickSize: 0.0001,
+        stepSize: 0.000001
+      }))
+    };
+  }
+
+  /**
+   * Account balances
+   * @returns {Object} Balances
+   */
+  account() {
+    return {
+      balances: Object.entries(this.balances).map(([asset, balance]) => ({
+        asset: asset,
+        free: String(balance - this.locked(asset)),
+        locked: String(this.locked(asset))
+      }))
+    };
+  }
+
+  /**
+   * Balance of an asset an order needs: the coins a sell order delivers,
+   * the quote a buy order spends
+   * @param {Object} order - Order
+   * @returns {Object} { asset, amount }
+   */
+  reservation(order) {
+    const [base, quote] = order.symbol.split('-');
+
+    if (order.side === 'SELL') {
+      return { asset: base, amount: order.origQty };
+    }
+    if (order.quoteOrderQty) {
+      return { asset: quote, amount: order.quoteOrderQty };
+    }
+    const price = order.type === 'MARKET' ? this.market.lastPrice(order.symbol) : (order.price || order.stopPrice);
+    return { asset: quote, amount: order.origQty * price };
+  }
+
+  /**
+   * Balance of an asset held by open orders, like the exchange locks it
+   * @param {string} asset - Asset
+   * @returns {number} Locked amount
+   */
+  locked(asset) {
+    let locked = 0;
+    for (const order of this.orders.values()) {
+      if (order.status !== 'NEW') continue;
+
+      const reservation = this.reservation(order);
+      if (reservation.asset === asset) locked += reservation.amount;
+    }
+    return locked;
+  }
+
+  /**
+   * Fill pending orders of a symbol whose trigger/limit price was reached
+   * @param {string} symbol - Trading symbol
+   */
+  matchOrders(symbol) {
+    const price = this.market.lastPrice(symbol);
+
+    for (const order of this.orders.values()) {
+      if (order.symbol !== symbol || order.status !== 'NEW') continue;
+
+      if (order.type === 'LIMIT') {
+        const crossed = order.side === 'BUY' ? price <= order.price : price >= order.price;
+        if (crossed) this.fillOrder(order, order.price);
+      } else if (order.type === 'TRIGGER_MARKET' || order.type === 'TRIGGER_LIMIT') {
+        const crossed = order.triggerAbove ? price >= order.stopPrice : price <= order.stopPrice;
+        if (crossed) this.fillOrder(order, order.type === 'TRIGGER_LIMIT' ? order.price : price);
+      }
+    }
+  }
+
+  /**
+   * Execute an order in full and update balances
+   * @param {Object} order - Order
+   * @param {number} price - Fill price
+   */
+  fillOrder(order, price) {
+    const [base, quote] = order.symbol.split('-');
+    const qty = order.quoteOrderQty ? order.quoteOrderQty / price : order.origQty;
+    const quoteQty = qty * price;
+    const commission = order.side === 'BUY' ? qty * TAKER_FEE : quoteQty * TAKER_FEE;
+
+    if (order.side === 'BUY') {
+      this.balances[quote] = (this.balances[quote] || 0) - quoteQty;
+      this.balances[base] = (this.balances[base] || 0) + qty - commission;
+    } else {
+      this.balances[base] = (this.balances[base] || 0) - qty;
+      this.balances[quote] = (this.balances[quote] || 0) + quoteQty - commission;
+    }
+
+    order.origQty = order.origQty || qty;
+    order.executedQty = qty;
+    order.cummulativeQuoteQty = quoteQty;
+    order.status = 'FILLED';
+    order.updateTime = Date.now();
+
+    this.fills.push({
+      symbol: order.symbol,
+      id: this.fills.length + 1,
+      orderId: order.orderId,
+      price: String(price),
+      qty: String(qty),
+      quoteQty: String(quoteQty),
+      commission: String(-commission),
+      commissionAsset: order.side === 'BUY' ? base : quote,
+      time: order.updateTime,
+      isBuyer: order.side === 'BUY',
+      isMaker: order.type === 'LIMIT'
+    });
+  }
+
+  /**
+   * Format an order for API responses
+   * @param {Object} order - Order
+   * @returns {Object} BingX order payload
+   */
+  formatOrder(order) {
+    return {
+      symbol: order.symbol,
+      orderId: order.orderId,
+      clientOrderID: order.clientOrderID,
+      transactTime: order.time,
+      time: order.time,
+      updateTime: order.updateTime,
+      price: String(order.price || 0),
+      stopPrice: String(order.stopPrice || 0),
+      origQty: String(order.origQty || 0),
+      executedQty: String(order.executedQty),
+      cummulativeQuoteQty: String(order.cummulativeQuoteQty),
+      status: order.status,
+      type: order.type,
+      side: order.side
+    };
+  }
+
+  /**
+   * Place an order: MARKET orders fill at the current price, the others wait in the book
+   * @param {Object} params - symbol, side, type, quantity, quoteOrderQty, price, stopPrice, newClientOrderId
+   * @returns {Object} Order
+   */
+  placeOrder(params) {
+    const symbol = this.required(params, 'symbol');
+    const side = this.required(params, 'side');
+    const type = this.required(params, 'type');
+    const price = this.market.lastPrice(symbol);
+
+    if (!['BUY', 'SELL'].includes(side)) {
+      throw this.apiError(`Invalid side: ${side}`);
+    }
+    if (!['MARKET', 'LIMIT', 'TRIGGER_MARKET', 'TRIGGER_LIMIT'].includes(type)) {
+      throw this.apiError(`Invalid order type: ${type}`);
+    }
+    if (!params.quantity && !(type === 'MARKET' && params.quoteOrderQty)) {
+      throw this.apiError('quantity or quoteOrderQty is required');
+    }
+
+    const order = {
+      orderId: this.nextOrderId++,
+      clientOrderID: params.newClientOrderId || '',
+      symbol: symbol,
+      side: side,
+      type: type,
+      price: parseFloat(params.price) || 0,
+      stopPrice: parseFloat(params.stopPrice) || 0,
+      origQty: parseFloat(params.quantity) || 0,
+      quoteOrderQty: parseFloat(params.quoteOrderQty) || 0,
+      executedQty: 0,
+      cummulativeQuoteQty: 0,
+      status: 'NEW',
+      time: Date.now(),
+      updateTime: Date.now()
+    };
+
+    if (type.startsWith('TRIGGER')) {
+      if (!order.stopPrice) throw this.apiError('stopPrice is required');
+      order.triggerAbove = order.stopPrice > price;
+    }
+
+    // Open orders keep their balance locked, an order can only use what is left
+    const { asset, amount } = this.reservation(order);
+    const available = (this.balances[asset] || 0) - this.locked(asset);
+    if (amount > available + 1e-9) {
+      throw this.apiError(`Insufficient ${asset} balance: ${amount} needed, ${available} available`);
+    }
+
+    this.orders.set(order.orderId, order);
+
+    if (type === 'MARKET') {
+      this.fillOrder(order, price);
+    } else {
+      this.matchOrders(symbol);
+    }
+
+    logger.info(`Mock BingX: ${side} ${type} ${symbol} #${order.orderId} -> ${order.status}`);
+    return this.formatOrder(order);
+  }
+
+  /**
+   * Look up an order by ID
+   * @param {Object} params - Request parameters
+   * @returns {Object} Order
+   */
+  findOrder(params) {
+    const order = this.orders.get(parseInt(this.required(params, 'orderId')));
+    if (!order || (params.symbol && order.symbol !== params.symbol)) {
+      throw this.apiError('order not exist', 100404);
+    }
+    return order;
+  }
+
+  /**
+   * Cancel an open order
+   * @param {Object} params - symbol, orderId
+   * @returns {Object} Canceled order
+   */
+  cancelOrder(params) {
+    const order = this.findOrder(params);
+    this.matchOrders(order.symbol);
+
+    if (order.status !== 'NEW' && order.status !== 'PARTIALLY_FILLED') {
+      throw this.apiError(`Order ${order.orderId} can not be canceled (${order.status})`);
+    }
+
+    order.status = 'CANCELED';
+    order.updateTime = Date.now();
+    return this.formatOrder(order);
+  }
+
+  /**
+   * Open orders, optionally for one symbol
+   * @param {Object} params - Optional symbol
+   * @returns {Object} Orders
+   */
+  openOrders(params) {
+    if (params.symbol) this.matchOrders(params.symbol);
+
+    return {
+      orders: Array.from(this.orders.values())
+        .filter(order => order.status === 'NEW' && (!params.symbol || order.symbol === params.symbol))
+        .map(order => this.formatOrder(order))
+    };
+  }
+
+  /**
+   * Order status
+   * @param {Object} params - symbol, orderId
+   * @returns {Object} Order
+   */
+  queryOrder(params) {
+    const order = this.findOrder(params);
+    this.matchOrders(order.symbol);
+    return this.formatOrder(order);
+  }
+
+  /**
+   * Executed fills of a symbol, optionally of one order
+   * @param {Object} params - symbol, orderId
+   * @returns {Object} Fills
+   */
+  myTrades(params) {
+    const symbol = this.required(params, 'symbol');
+    const orderId = params.orderId ? parseInt(params.orderId) : null;
+
+    return {
+      fills: this.fills.filter(fill => fill.symbol === symbol && (!orderId || fill.orderId === orderId))
+    };
+  }
+
+  /**
+   * Handle a WebSocket client
+   * @param {WebSocket} client - Connected client
+   */
+  handleConnection(client) {
+    this.streams.set(client, new Set());
+
+    client.on('message', (data) => {
+      try {
+        const message = JSON.parse(data.toString());
+        const dataTypes = this.streams.get(client);
+
+        if (message.reqType === 'sub' && /@kline_/.test(message.dataType || '')) {
+          dataTypes.add(message.dataType);
+          this.sendGzip(client, { id: message.id, code: 0, msg: '', dataType: '', data: null });
+        } else if (message.reqType === 'unsub') {
+          dataTypes.delete(message.dataType);
+          this.sendGzip(client, { id: message.id, code: 0, msg: '', dataType: '', data: null });
+        }
+      } catch (error) {
+        logger.warn(`Mock BingX: ignoring invalid WebSocket message: ${error.message}`);
+      }
+    });
+
+    client.on('close', () => this.streams.delete(client));
+  }
+
+  /**
+   * Send a gzip-compressed message (BingX compresses all stream data)
+   * @param {WebSocket} client - Client
+   * @param {Object} message - Message
+   */
+  sendGzip(client, message) {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(zlib.gzipSync(JSON.stringify(message)));
+    }
+  }
+
+  /**
+   * Push the latest kline of every subscribed stream. When a candle closes it is
+   * sent once more with x=true before the next candle starts.
+   */
+  broadcastKlines() {
+    const dataTypes = new Set();
+    for (const subscribed of this.streams.values()) {
+      subscribed.forEach(dataType => dataTypes.add(dataType));
+    }
+
+    const now = Date.now();
+
+    for (const dataType of dataTypes) {
+      const [symbol, stream] = dataType.split('@');
+      const interval = stream.replace('kline_', '');
+      const intervalMs = INTERVAL_MS[interval];
+      if (!intervalMs) continue;
+
+      const start = Math.floor(now / intervalMs) * intervalMs;
+      const previousStart = this.lastCandleStart.get(dataType);
+      const messages = [];
+
+      if (previousStart !== undefined && previousStart < start) {
+        messages.push(this.klineMessage(dataType, symbol, interval, this.market.syntheticCandle(symbol, intervalMs, previousStart), true));
+      }
+      messages.push(this.klineMessage(dataType, symbol, interval, this.market.syntheticCandle(symbol, intervalMs, start, now), false));
+
+      this.lastCandleStart.set(dataType, start);
+      this.matchOrders(symbol);
+
+      for (const [client, subscribed] of this.streams) {
+        if (!subscribed.has(dataType)) continue;
+        messages.forEach(message => this.sendGzip(client, message));
+      }
+    }
+  }
+
+  /**
+   * Build a BingX kline stream message
+   * @param {string} dataType - Stream name (e.g., 'BTC-USDT@kline_1m')
+   * @param {string} symbol - Trading symbol
+   * @param {string} interval - Candle interval
+   * @param {Object} candle - Candle
+   * @param {boolean} isFinal - Whether the candle is closed
+   * @returns {Object} Message
+   */
+  klineMessage(dataType, symbol, interval, candle, isFinal) {
+    return {
+      code: 0,
+      dataType: dataType,
+      data: {
+        e: 'kline',
+        E: Date.now(),
+        s: symbol,
+        k: {
+          t: candle.timestamp,
+          T: candle.timestamp + INTERVAL_MS[interval] - 1,
+          s: symbol,
+          i: interval,
+          o: String(candle.open),
+          h: String(candle.high),
+          l: String(candle.low),
+          c: String(candle.close),
+          v: String(candle.volume),
+          x: isFinal
+        }
+      }
+    };
+  }
+}
+
+module.exports = { MockBingXServer, MockMarket };
+
+// Run standalone: node src/mock/bingx-mock-server.js
+if (require.main === module) {
+  const server = new MockBingXServer({
+    port: parseInt(process.env.MOCK_BINGX_PORT) || 4010,
+    dataDir: process.env.MOCK_BINGX_DATA_DIR,
+    tickInterval: parseInt(process.env.MOCK_BINGX_TICK_MS) || 1000
+  });
+
+  server.start().catch((error) => {
+    logger.error('Failed to start mock BingX server:', error);
+    process.exit(1);
+  });
+
+  const shutdown = () => server.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -1,11 +1,13 @@
 // AI Market Screener - Scans multiple pairs for trading opportunities
 const ManualTradingEngine = require('./manual-trading-engine');
 const logger = require('../utils/logger');
+const auditLog = require('../utils/audit-log');
 
 class AIMarketScreener {
-  constructor(redisClient) {
+  constructor(redisClient, tradingEngine = null) {
     this.redisClient = redisClient;
-    this.tradingEngine = new ManualTradingEngine(redisClient);
+    // Share the app's engine so screener suggestions can be executed and persisted
+    this.tradingEngine = tradingEngine || new ManualTradingEngine(redisClient);
     
     // Default pairs to monitor
     this.watchlist = [
@@ -325,10 +327,23 @@ class AIMarketScreener {
 
   /**
    * Update watchlist
+   * @param {Array} newWatchlist - Trading pairs to monitor
+   * @param {string} updatedBy - User changing the watchlist
+   * @returns {Promise<Object>} { watchlist, added, removed }
    */
-  updateWatchlist(newWatchlist) {
+  async updateWatchlist(newWatchlist, updatedBy = null) {
+    const added = newWatchlist.filter(pair => !this.watchlist.includes(pair));
+    const removed = this.watchlist.filter(pair => !newWatchlist.includes(pair));
+
     this.watchlist = newWatchlist;
     logger.info(`📝 Watchlist updated: ${this.watchlist.length} pairs`);
+
+    await auditLog.record('watchlist.updated', {
+      actor: updatedBy,
+      details: { added: added, removed: removed, size: newWatchlist.length }
+    });
+
+    return { watchlist: this.watchlist, added, removed };
   }
 
   /**
@@ -0,0 +1,166 @@
+const redisClient = require('../utils/redis-client');
+const technicalIndicators = require('../utils/technical-indicators');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+// Aligned returns needed before a correlation is trusted
+const MIN_OBSERVATIONS = 20;
+
+/**
+ * Correlation Service - rolling return correlation matrix of the watched
+ * pairs, computed from the price series stored in Redis and refreshed on a
+ * timer. The latest matrix is cached in Redis (risk:correlations) so it is
+ * available right after a restart.
+ */
+class CorrelationService {
+  constructor() {
+    this.pairs = [];
+    this.matrix = [];
+    this.observations = [];
+    this.updatedAt = null;
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Load the cached matrix and start the refresh timer
+   */
+  async start() {
+    try {
+      const cached = await redisClient.get('risk:correlations');
+      if (cached) {
+        const { pairs, matrix, observations, updatedAt } = JSON.parse(cached);
+        Object.assign(this, { pairs, matrix, observations, updatedAt });
+      }
+    } catch (error) {
+      logger.warn(`Failed to load cached correlations: ${error.message}`);
+    }
+
+    await this.refresh();
+    this.refreshTimer = setInterval(() => this.refresh(), config.riskManagement.correlationRefreshInterval);
+
+    logger.info(`✅ Correlation matrix refreshes every ${config.riskManagement.correlationRefreshInterval / 60000} minutes`);
+  }
+
+  /**
+   * Stop the refresh timer
+   */
+  stop() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Recompute the matrix for the watched pairs and cache it
+   * @param {Array} pairs - Pairs to include
+   * @returns {Promise<Object>} Correlation matrix
+   */
+  async refresh(pairs = config.trading.tradingPairs) {
+    try {
+      const { correlationWindow, correlationInterval } = config.riskManagement;
+      const to = Date.now();
+      const from = to - correlationWindow;
+
+      const series = [];
+      for (const pair of pairs) {
+        const history = await redisClient.getPriceHistory(pair, from, to);
+        series.push(this.resample(history, correlationInterval));
+      }
+
+      this.pairs = [...pairs];
+      this.matrix = pairs.map(() => pairs.map(() => null));
+      this.observations = pairs.map(() => pairs.map(() => 0));
+
+      for (let i = 0; i < pairs.length; i++) {
+        this.matrix[i][i] = 1;
+        for (let j = i + 1; j < pairs.length; j++) {
+          const { correlation, observations } = this.correlate(series[i], series[j]);
+          this.matrix[i][j] = this.matrix[j][i] = correlation;
+          this.observations[i][j] = this.observations[j][i] = observations;
+        }
+      }
+
+      this.updatedAt = Date.now();
+      await redisClient.set('risk:correlations', JSON.stringify(this.getMatrix()));
+
+      return this.getMatrix();
+
+    } catch (error) {
+      logger.error('Error refreshing correlation matrix:', error);
+      return this.getMatrix();
+    }
+  }
+
+  /**
+   * Last price of each period of a price series
+   * @param {Array} history - [{ timestamp, price }] oldest first
+   * @param {number} interval - Period length in ms
+   * @returns {Map} Period start -> price
+   */
+  resample(history, interval) {
+    const buckets = new Map();
+    for (const point of history) {
+      buckets.set(Math.floor(point.timestamp / interval) * interval, point.price);
+    }
+    return buckets;
+  }
+
+  /**
+   * Correlation of the returns of two resampled series over their common periods
+   * @param {Map} seriesA - Resampled prices
+   * @param {Map} seriesB - Resampled prices
+   * @returns {Object} { correlation (null without enough data), observations }
+   */
+  correlate(seriesA, seriesB) {
+    const periods = [...seriesA.keys()].filter(period => seriesB.has(period)).sort((a, b) => a - b);
+    const returnsA = [];
+    const returnsB = [];
+
+    for (let k = 1; k < periods.length; k++) {
+      const [prev, curr] = [periods[k - 1], periods[k]];
+      if (seriesA.get(prev) > 0 && seriesB.get(prev) > 0) {
+        returnsA.push(Math.log(seriesA.get(curr) / seriesA.get(prev)));
+        returnsB.push(Math.log(seriesB.get(curr) / seriesB.get(prev)));
+      }
+    }
+
+    if (returnsA.length < MIN_OBSERVATIONS) {
+      return { correlation: null, observations: returnsA.length };
+    }
+
+    return {
+      correlation: technicalIndicators.calculateCorrelation(returnsA, returnsB),
+      observations: returnsA.length
+    };
+  }
+
+  /**
+   * Correlation between two pairs
+   * @param {string} pairA - Trading pair
+   * @param {string} pairB - Trading pair
+   * @returns {number|null} Correlation, null when unknown
+   */
+  getCorrelation(pairA, pairB) {
+    if (pairA === pairB) return 1;
+
+    const i = this.pairs.indexOf(pairA);
+    const j = this.pairs.indexOf(pairB);
+    return i >= 0 && j >= 0 ? this.matrix[i][j] : null;
+  }
+
+  /**
+   * Current matrix, rows and columns in the order of `pairs`
+   * @returns {Object} { pairs, matrix, observations, updatedAt, window, interval }
+   */
+  getMatrix() {
+    return {
+      pairs: this.pairs,
+      matrix: this.matrix,
+      observations: this.observations,
+      updatedAt: this.updatedAt,
+      window: config.riskManagement.correlationWindow,
+      interval: config.riskManagement.correlationInterval
+    };
+  }
+}
+
+module.exports = CorrelationService;
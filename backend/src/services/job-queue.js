@@ -0,0 +1,248 @@
+const uuid = require('uuid');
+const logger = require('../utils/logger');
+
+// How long job statuses stay in Redis for polling after their last update
+const JOB_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Lightweight in-process job queue for long running work (backtests, etc.)
+ * Jobs run in the background, report progress and are mirrored to Redis
+ * so their status can be polled over HTTP.
+ */
+class JobQueue {
+  /**
+   * @param {Object} redisClient - Redis client used to persist job status
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Maximum jobs running at once
+   * @param {Function} options.onUpdate - Called with the job summary on every status/progress change
+   */
+  constructor(redisClient, options = {}) {
+    this.redisClient = redisClient;
+    this.concurrency = options.concurrency || 1;
+    this.onUpdate = options.onUpdate || null;
+    this.jobs = new Map(); // jobId -> job
+    this.pending = []; // queued job ids in FIFO order
+    this.running = 0;
+    this.maxJobsInMemory = 100;
+  }
+
+  /**
+   * Mark jobs a previous run left queued or running as failed, their handlers are gone
+   * @returns {Promise<number>} Number of interrupted jobs
+   */
+  async recoverInterruptedJobs() {
+    if (!this.redisClient?.keys) return 0;
+
+    let interrupted = 0;
+    try {
+      for (const key of await this.redisClient.keys('job:*')) {
+        const stored = await this.redisClient.get(key);
+        const job = stored ? JSON.parse(stored) : null;
+        if (!job || (job.status !== 'queued' && job.status !== 'running')) continue;
+
+        Object.assign(job, { status: 'failed', error: 'Interrupted by a server restart', completedAt: Date.now() });
+        await this.redisClient.set(key, JSON.stringify(job), 'EX', JOB_TTL_SECONDS);
+        interrupted++;
+      }
+
+      if (interrupted > 0) {
+        logger.warn(`Marked ${interrupted} interrupted jobs as failed`);
+      }
+    } catch (error) {
+      logger.error('Failed to recover interrupted jobs:', error);
+    }
+    return interrupted;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type (e.g. 'backtest')
+   * @param {Object} params - Job parameters
+   * @param {Function} handler - async (params, { jobId, onProgress }) => result
+   * @returns {Object} Job summary
+   */
+  enqueue(type, params, handler) {
+    const job = {
+      id: uuid.v4(),
+      type: type,
+      params: params,
+      status: 'queued', // queued, running, completed, failed
+      progress: 0,
+      message: null,
+      error: null,
+      resultId: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      completedAt: null
+    };
+
+    this.jobs.set(job.id, { ...job, handler });
+    this.pending.push(job.id);
+
+    logger.info(`Job queued: ${type} ${job.id} (${this.pending.length} pending)`);
+
+    this.persistJob(job.id);
+    this.notify(job.id);
+    this.processNext();
+
+    return this.getJob(job.id);
+  }
+
+  /**
+   * Start queued jobs while there is free capacity
+   */
+  processNext() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const jobId = this.pending.shift();
+      this.runJob(jobId);
+    }
+  }
+
+  /**
+   * Run a single job
+   * @param {string} jobId - Job ID
+   */
+  async runJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    this.running++;
+    this.updateJob(jobId, { status: 'running', startedAt: Date.now() });
+
+    try {
+      const result = await job.handler(job.params, {
+        jobId: jobId,
+        onProgress: (progress, message = null) => {
+          this.updateJob(jobId, {
+            progress: Math.max(0, Math.min(100, Math.round(progress))),
+            message: message
+          });
+        }
+      });
+
+      this.updateJob(jobId, {
+        status: 'completed',
+        progress: 100,
+        resultId: result?.id || null,
+        completedAt: Date.now()
+      });
+
+      logger.info(`Job completed: ${job.type} ${jobId}`);
+    } catch (error) {
+      logger.error(`Job failed: ${job.type} ${jobId}`, error);
+      this.updateJob(jobId, {
+        status: 'failed',
+        error: error.message,
+        completedAt: Date.now()
+      });
+    } finally {
+      this.running--;
+      this.pruneJobs();
+      this.processNext();
+    }
+  }
+
+  /**
+   * Apply changes to a job, persist and notify listeners
+   * @param {string} jobId - Job ID
+   * @param {Object} changes - Fields to update
+   */
+  updateJob(jobId, changes) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    Object.assign(job, changes);
+    this.persistJob(jobId);
+    this.notify(jobId);
+  }
+
+  /**
+   * Get job summary (without handler)
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Job summary
+   */
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    const { handler, ...summary } = job;
+    return summary;
+  }
+
+  /**
+   * Get job summary from memory, falling back to Redis for jobs of a previous run
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job summary
+   */
+  async findJob(jobId) {
+    const job = this.getJob(jobId);
+    if (job) return job;
+
+    if (!this.redisClient?.get) return null;
+
+    try {
+      const stored = await this.redisClient.get(`job:${jobId}`);
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      logger.error(`Failed to load job ${jobId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * List jobs known to this process
+   * @param {string} type - Optional job type filter
+   * @returns {Array} Job summaries, newest first
+   */
+  listJobs(type = null) {
+    return Array.from(this.jobs.keys())
+      .map(jobId => this.getJob(jobId))
+      .filter(job => !type || job.type === type)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Persist job summary to Redis
+   * @param {string} jobId - Job ID
+   */
+  async persistJob(jobId) {
+    if (!this.redisClient?.set) return;
+
+    try {
+      await this.redisClient.set(`job:${jobId}`, JSON.stringify(this.getJob(jobId)), 'EX', JOB_TTL_SECONDS);
+    } catch (error) {
+      logger.warn(`Failed to persist job ${jobId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Notify update listener
+   * @param {string} jobId - Job ID
+   */
+  notify(jobId) {
+    if (!this.onUpdate) return;
+
+    try {
+      this.onUpdate(this.getJob(jobId));
+    } catch (error) {
+      logger.error('Job update listener failed:', error);
+    }
+  }
+
+  /**
+   * Drop finished jobs from memory once the limit is exceeded (they stay in Redis)
+   */
+  pruneJobs() {
+    if (this.jobs.size <= this.maxJobsInMemory) return;
+
+    const finished = this.listJobs()
+      .filter(job => job.status === 'completed' || job.status === 'failed')
+      .reverse();
+
+    while (this.jobs.size > this.maxJobsInMemory && finished.length > 0) {
+      this.jobs.delete(finished.shift().id);
+    }
+  }
+}
+
+module.exports = JobQueue;
@@ -1,34 +1,44 @@
-const BingXClient = require('../utils/bingx-client');
+const { getExchange, getExchangeForPair, groupPairsByExchange } = require('../exchanges');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
+const CandleAggregator = require('../utils/candle-aggregator');
 
 class MarketDataService {
   constructor(divergenceEngine) {
-    this.bingxClient = new BingXClient();
+    this.exchangePairs = groupPairsByExchange(config.trading.tradingPairs); // exchange -> pairs
     this.divergenceEngine = divergenceEngine;
+    this.positionMonitor = null;
     this.isConnected = false;
     this.subscribedPairs = new Set();
   }
 
+  /**
+   * Attach a position monitor that receives every real-time candle
+   * @param {PositionMonitor} positionMonitor - Position monitor instance
+   */
+  setPositionMonitor(positionMonitor) {
+    this.positionMonitor = positionMonitor;
+  }
+
   /**
    * Initialize market data service
    */
   async initialize() {
     try {
-      logger.info('Initializing Market Data Service with BingX...');
-
-      // Test BingX connection
-      const connected = await this.bingxClient.testConnection();
-      if (!connected) {
-        throw new Error('Failed to connect to BingX API');
+      const exchanges = Array.from(this.exchangePairs.keys());
+      logger.info(`Initializing Market Data Service with ${exchanges.join(', ')}...`);
+
+      // Test every exchange that serves a configured pair
+      for (const name of exchanges) {
+        const exchange = getExchange(name);
+        const connected = await exchange.testConnection();
+        if (!connected) {
+          throw new Error(`Failed to connect to ${exchange.displayName} API`);
+        }
       }
 
       this.isConnected = true;
 
-      // Get VST trading pairs
-      const vstPairs = await this.bingxClient.getVSTpairs();
-      logger.info(`Available VST pairs: ${vstPairs.map(p => p.symbol).join(', ')}`);
-
       // Load historical data for configured pairs
       await this.loadHistoricalData();
 
@@ -47,20 +57,31 @@ class MarketDataService {
    */
   async loadHistoricalData() {
     try {
-      logger.info('Loading historical data from BingX...');
+      logger.info('Loading historical data...');
 
       for (const pair of config.trading.tradingPairs) {
-        const symbol = this.convertPairToSymbol(pair);
-        
-        logger.info(`Loading ${symbol} historical data...`);
+        const exchange = getExchangeForPair(pair);
+
+        logger.info(`Loading ${pair} historical data from ${exchange.displayName}...`);
+
+        // Seed the higher timeframes with exchange bars, the 1m stream continues them
+        for (const timeframe of this.divergenceEngine.timeframes) {
+          if (timeframe === CandleAggregator.BASE_TIMEFRAME) continue;
+
+          const bars = this.closedCandles(await exchange.getKlines(pair, timeframe, { limit: 100 }), timeframe);
+          for (const bar of bars) {
+            await this.divergenceEngine.updateMarketData(pair, bar, timeframe, { historical: true });
+          }
+          logger.info(`✅ Loaded ${bars.length} ${timeframe} candles for ${pair}`);
+        }
         
         // Get last 100 1-minute candles
-        const klines = await this.bingxClient.getKlines(symbol, '1m', 100);
+        const klines = this.closedCandles(await exchange.getKlines(pair, '1m', { limit: 100 }), '1m');
         
         if (klines.length > 0) {
-          // Process each candle through the divergence engine
+          // Process each candle through the divergence engine, without publishing the divergences of the past
           for (const candle of klines) {
-            await this.divergenceEngine.updateMarketData(pair, candle);
+            await this.divergenceEngine.updateMarketData(pair, candle, CandleAggregator.BASE_TIMEFRAME, { historical: true });
           }
           
           logger.info(`✅ Loaded ${klines.length} candles for ${pair}`);
@@ -78,6 +99,17 @@ class MarketDataService {
     }
   }
 
+  /**
+   * Drop the forming candle of a kline history, the stream delivers it once closed
+   * @param {Array} klines - Candles, oldest first
+   * @param {string} timeframe - Candle timeframe
+   * @returns {Array} Closed candles
+   */
+  closedCandles(klines, timeframe) {
+    const duration = CandleAggregator.getDuration(timeframe);
+    return (klines || []).filter(candle => candle.timestamp + duration <= Date.now());
+  }
+
   /**
    * Start real-time WebSocket data stream
    */
@@ -85,15 +117,14 @@ class MarketDataService {
     try {
       logger.info('Starting real-time data stream...');
 
-      const symbols = config.trading.tradingPairs.map(pair => 
-        this.convertPairToSymbol(pair)
-      );
+      for (const [name, pairs] of this.exchangePairs) {
+        getExchange(name).subscribeKlines(pairs, '1m', (candle) => {
+          this.handleRealTimeCandle(candle);
+        });
 
-      this.bingxClient.initWebSocket(symbols, (candle) => {
-        this.handleRealTimeCandle(candle);
-      });
-
-      logger.info(`✅ Real-time data stream started for: ${symbols.join(', ')}`);
+        pairs.forEach(pair => this.subscribedPairs.add(pair));
+        logger.info(`✅ Real-time data stream started on ${getExchange(name).displayName} for: ${pairs.join(', ')}`);
+      }
     } catch (error) {
       logger.error('Failed to start real-time data stream:', error);
     }
@@ -105,12 +136,17 @@ class MarketDataService {
    */
   async handleRealTimeCandle(candle) {
     try {
+      const pair = candle.pair;
+
+      // Mark open manual trades to market on every update, including forming candles
+      if (this.positionMonitor) {
+        await this.positionMonitor.onCandle(pair, candle);
+      }
+
       // Only process closed candles for accuracy
       if (!candle.isFinal) {
         return;
       }
-
-      const pair = this.convertSymbolToPair(candle.symbol);
       
       if (config.trading.tradingPairs.includes(pair)) {
         logger.debug(`📊 New candle for ${pair}: $${candle.close} (Volume: ${candle.volume})`);
@@ -119,7 +155,7 @@ class MarketDataService {
         await this.divergenceEngine.updateMarketData(pair, candle);
         
         // Log current RSI for monitoring
-        const currentRSI = this.divergenceEngine.getCurrentRSI(pair);
+        const currentRSI = this.divergenceEngine.getLatestRSI(pair);
         if (currentRSI) {
           logger.debug(`📈 ${pair} RSI: ${currentRSI.toFixed(2)}`);
         }
@@ -129,25 +165,6 @@ class MarketDataService {
     }
   }
 
-  /**
-   * Convert trading pair format to BingX symbol format (both use BTC-USDT format)
-   * @param {string} pair - Trading pair
-   * @returns {string} BingX symbol
-   */
-  convertPairToSymbol(pair) {
-    // BingX uses the dash format, same as our internal format
-    return pair; // BTC-USDT stays BTC-USDT
-  }
-
-  /**
-   * Convert BingX symbol format to our trading pair format
-   * @param {string} symbol - BingX symbol
-   * @returns {string} Trading pair
-   */
-  convertSymbolToPair(symbol) {
-    return symbol; // Same format
-  }
-
   /**
    * Get current market data for a symbol
    * @param {string} pair - Trading pair
@@ -155,8 +172,7 @@ class MarketDataService {
    */
   async getCurrentPrice(pair) {
     try {
-      const symbol = this.convertPairToSymbol(pair);
-      return await this.bingxClient.getTicker(symbol);
+      return await getExchangeForPair(pair).getTicker(pair);
     } catch (error) {
       logger.error(`Failed to get current price for ${pair}:`, error);
       return null;
@@ -165,11 +181,12 @@ class MarketDataService {
 
   /**
    * Get account balance information
+   * @param {string} exchange - Exchange key (defaults to the configured default exchange)
    * @returns {Promise<Object>} Account data
    */
-  async getAccountInfo() {
+  async getAccountInfo(exchange) {
     try {
-      return await this.bingxClient.getAccountInfo();
+      return await getExchange(exchange).getAccountInfo();
     } catch (error) {
       logger.error('Failed to get account info:', error);
       return null;
@@ -184,7 +201,8 @@ class MarketDataService {
     return {
       connected: this.isConnected,
       subscribedPairs: Array.from(this.subscribedPairs),
-      wsConnected: this.bingxClient.ws && this.bingxClient.ws.readyState === 1
+      wsConnected: Array.from(this.exchangePairs.keys()).every(name => getExchange(name).isStreamConnected()),
+      exchanges: Object.fromEntries(this.exchangePairs)
     };
   }
 
@@ -195,7 +213,9 @@ class MarketDataService {
     try {
       logger.info('Shutting down Market Data Service...');
       
-      this.bingxClient.closeWebSocket();
+      for (const name of this.exchangePairs.keys()) {
+        getExchange(name).closeStream();
+      }
       this.isConnected = false;
       this.subscribedPairs.clear();
       
@@ -0,0 +1,426 @@
+const logger = require('../utils/logger');
+const { createStrategy } = require('../strategies');
+
+// Backtester parameters that can be searched next to the strategy parameters
+const SIMULATION_PARAM_SCHEMA = {
+  cooldownCandles: { type: 'integer', min: 0, max: 500 },
+  stopLossMultiplier: { type: 'number', min: 0.1, max: 20 },
+  takeProfitMultiplier: { type: 'number', min: 0.1, max: 20 },
+  maxHoldCandles: { type: 'integer', min: 1, max: 5000 },
+  atrPeriod: { type: 'integer', min: 2, max: 100 }
+};
+
+// Used when the request does not define a search space
+const DEFAULT_SEARCH_SPACE = {
+  rsiPeriod: [10, 14, 21],
+  minAdx: [12, 20, 25],
+  cooldownCandles: [4, 8],
+  stopLossMultiplier: [1.3, 1.5],
+  takeProfitMultiplier: [1.6, 2.0]
+};
+
+// Candles runBacktest needs before its first trade, replayed before out-of-sample windows
+const WARMUP_CANDLES = 50;
+
+// Backtest metrics kept for every evaluated parameter set
+const RANKING_METRICS = [
+  'totalReturn', 'maxDrawdown', 'winRate', 'totalTrades', 'sharpeRatio', 'sortinoRatio',
+  'calmarRatio', 'profitFactor', 'expectancy', 'returnDrawdown', 'exposureTime'
+];
+
+// Objective -> backtest metric used as score
+const OBJECTIVES = {
+  sharpe: 'sharpeRatio',
+  sortino: 'sortinoRatio',
+  calmar: 'calmarRatio',
+  profitFactor: 'profitFactor',
+  returnDrawdown: 'returnDrawdown',
+  totalReturn: 'totalReturn'
+};
+
+/**
+ * Parameter Optimizer - grid or random search over strategy and simulation
+ * parameters, optionally walk-forward, ranked by an objective.
+ */
+class ParameterOptimizer {
+  /**
+   * @param {BacktestingEngine} backtestingEngine - Engine running each backtest
+   * @param {Object} redisClient - Redis client used to store optimization results
+   */
+  constructor(backtestingEngine, redisClient) {
+    this.backtestingEngine = backtestingEngine;
+    this.redisClient = redisClient;
+    this.objectives = Object.keys(OBJECTIVES);
+  }
+
+  /**
+   * Validate an optimization request and expand its search space
+   * @param {Object} params - Optimization request
+   * @returns {Array} Parameter sets to evaluate
+   */
+  buildCandidates(params) {
+    const { search = {}, objective = 'sharpe', walkForward } = params;
+    const method = search.method || 'grid';
+    const space = search.space || DEFAULT_SEARCH_SPACE;
+    const maxCombinations = search.maxCombinations || 200;
+    const schema = { ...SIMULATION_PARAM_SCHEMA, ...createStrategy(params.strategy).paramSchema };
+
+    if (!this.objectives.includes(objective)) {
+      throw new Error(`Unknown objective: ${objective} (available: ${this.objectives.join(', ')})`);
+    }
+    if (!['grid', 'random'].includes(method)) {
+      throw new Error(`Unknown search method: ${method} (available: grid, random)`);
+    }
+
+    const dimensions = Object.entries(space).map(([key, range]) => {
+      const spec = schema[key];
+      if (!spec) {
+        throw new Error(`Parameter ${key} cannot be optimized (available: ${Object.keys(schema).join(', ')})`);
+      }
+      return { key, spec, range };
+    });
+
+    if (dimensions.length === 0) {
+      throw new Error('Search space is empty');
+    }
+
+    let candidates;
+    if (method === 'grid') {
+      const values = dimensions.map(({ key, spec, range }) => this.expandRange(key, spec, range));
+      const combinations = values.reduce((count, list) => count * list.length, 1);
+      if (combinations > maxCombinations) {
+        throw new Error(`Grid has ${combinations} combinations, more than maxCombinations (${maxCombinations})`);
+      }
+
+      candidates = values.reduce((sets, list, i) => sets.flatMap(set =>
+        list.map(value => ({ ...set, [dimensions[i].key]: value }))
+      ), [{}]);
+    } else {
+      const samples = Math.min(search.samples || 50, maxCombinations);
+      const seen = new Set();
+      candidates = [];
+
+      // Stop early when the space has fewer distinct sets than requested
+      for (let attempt = 0; candidates.length < samples && attempt < samples * 10; attempt++) {
+        const set = Object.fromEntries(dimensions.map(({ key, spec, range }) => [key, this.sampleRange(key, spec, range)]));
+        const hash = JSON.stringify(set);
+        if (!seen.has(hash)) {
+          seen.add(hash);
+          candidates.push(set);
+        }
+      }
+    }
+
+    // Reject out of range values before any backtest runs
+    for (const candidate of candidates) {
+      for (const [key, value] of Object.entries(candidate)) {
+        const spec = SIMULATION_PARAM_SCHEMA[key];
+        if (spec && (typeof value !== 'number' || value < spec.min || value > spec.max)) {
+          throw new Error(`Invalid value for ${key}: ${value} (expected ${spec.min}..${spec.max})`);
+        }
+      }
+      createStrategy(params.strategy, { ...params, ...candidate });
+    }
+
+    if (walkForward) {
+      this.getWalkForwardSettings(walkForward);
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Expand a grid range into its values
+   * @param {string} key - Parameter name
+   * @param {Object} spec - Parameter schema
+   * @param {Array|Object} range - Explicit values or { min, max, step }
+   * @returns {Array} Values
+   */
+  expandRange(key, spec, range) {
+    if (Array.isArray(range)) {
+      if (range.length === 0) throw new Error(`Parameter ${key} has no values`);
+      return range;
+    }
+
+    const { min, max, step = spec.type === 'integer' ? 1 : (max - min) / 4 } = range || {};
+    if (!Number.isFinite(min) || !Number.isFinite(max) || !(step > 0) || min > max) {
+      throw new Error(`Parameter ${key} needs a list of values or { min, max, step } with min <= max and step > 0`);
+    }
+
+    const values = [];
+    for (let value = min; value <= max + step * 1e-9; value += step) {
+      values.push(spec.type === 'integer' ? Math.round(value) : parseFloat(value.toFixed(8)));
+    }
+    return [...new Set(values)];
+  }
+
+  /**
+   * Draw a random value from a range
+   * @param {string} key - Parameter name
+   * @param {Object} spec - Parameter schema
+   * @param {Array|Object} range - Explicit values or { min, max }
+   * @returns {*} Value
+   */
+  sampleRange(key, spec, range) {
+    if (Array.isArray(range)) {
+      if (range.length === 0) throw new Error(`Parameter ${key} has no values`);
+      return range[Math.floor(Math.random() * range.length)];
+    }
+
+    const { min, max } = range || {};
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+      throw new Error(`Parameter ${key} needs a list of values or { min, max } with min <= max`);
+    }
+
+    if (spec.type === 'integer') {
+      return Math.floor(min + Math.random() * (max - min + 1));
+    }
+    return parseFloat((min + Math.random() * (max - min)).toFixed(4));
+  }
+
+  /**
+   * Resolve walk-forward settings
+   * @param {boolean|Object} walkForward - true or { windows, inSampleRatio }
+   * @returns {Object} { windows, inSampleRatio }
+   */
+  getWalkForwardSettings(walkForward) {
+    const { windows = 3, inSampleRatio = 0.7 } = walkForward === true ? {} : walkForward;
+
+    if (!Number.isInteger(windows) || windows < 1 || windows > 20) {
+      throw new Error('walkForward.windows must be an integer between 1 and 20');
+    }
+    if (!(inSampleRatio > 0 && inSampleRatio < 1)) {
+      throw new Error('walkForward.inSampleRatio must be between 0 and 1');
+    }
+
+    return { windows, inSampleRatio };
+  }
+
+  /**
+   * Run an optimization
+   * @param {Object} params - Backtest parameters plus search, objective, walkForward and minTrades
+   * @param {Object} options - Run options
+   * @param {string} options.id - ID to store the result under (defaults to a timestamp)
+   * @param {Function} options.onProgress - Called with (percent, message) while the search runs
+   * @returns {Promise<Object>} Optimization result
+   */
+  async runOptimization(params, options = {}) {
+    const optimizationId = options.id || Date.now().toString();
+    const { search = {}, objective = 'sharpe', walkForward, minTrades = 3, ...backtestParams } = params;
+    const reportProgress = (percent, message) => {
+      if (options.onProgress) options.onProgress(percent, message);
+    };
+
+    const candidates = this.buildCandidates(params);
+    const settings = walkForward ? this.getWalkForwardSettings(walkForward) : null;
+
+    logger.info(`Optimizing ${backtestParams.pair || 'BTC-USDT'} over ${candidates.length} parameter sets by ${objective}${settings ? ` with ${settings.windows} walk-forward windows` : ''}`);
+    reportProgress(0, 'Fetching historical data');
+
+    // Fetch once, every run simulates on the same candles
+    const historicalData = await this.backtestingEngine.generateHistoricalData(
+      backtestParams.pair || 'BTC-USDT',
+      backtestParams.timeframe || '4h',
+      new Date(backtestParams.startDate),
+      new Date(backtestParams.endDate)
+    );
+
+    const context = {
+      backtestParams,
+      objective,
+      minTrades,
+      runs: 0,
+      totalRuns: settings ? settings.windows * (candidates.length + 1) : candidates.length,
+      reportProgress
+    };
+
+    const result = {
+      id: optimizationId,
+      type: 'optimization',
+      pair: backtestParams.pair || 'BTC-USDT',
+      timeframe: backtestParams.timeframe || '4h',
+      startDate: backtestParams.startDate,
+      endDate: backtestParams.endDate,
+      strategy: createStrategy(backtestParams.strategy).name,
+      objective: objective,
+      method: search.method || 'grid',
+      space: search.space || DEFAULT_SEARCH_SPACE,
+      walkForward: settings,
+      baseParams: backtestParams,
+      candles: historicalData.length,
+      totalRuns: context.totalRuns
+    };
+
+    if (settings) {
+      Object.assign(result, await this.runWalkForward(historicalData, candidates, settings, context));
+    } else {
+      if (historicalData.length < WARMUP_CANDLES * 2) {
+        throw new Error(`Insufficient data: only ${historicalData.length} candles. Need ≥${WARMUP_CANDLES * 2}.`);
+      }
+      result.rankings = await this.evaluateCandidates(historicalData, candidates, context);
+      result.best = result.rankings[0];
+    }
+
+    result.completedAt = new Date().toISOString();
+    reportProgress(100, 'Optimization complete');
+
+    if (this.redisClient?.set) {
+      try {
+        await this.redisClient.set(`optimization:${optimizationId}`, JSON.stringify(result));
+      } catch (error) {
+        logger.warn(`Failed to store optimization ${optimizationId}: ${error.message}`);
+      }
+    }
+
+    logger.info(`✅ Optimization ${optimizationId} complete, best ${objective}: ${result.best?.score?.toFixed(4) ?? 'n/a'}`);
+    return result;
+  }
+
+  /**
+   * Split the data into rolling in-sample/out-of-sample windows, pick the best
+   * parameters in-sample and score them on the following out-of-sample period
+   * @param {Array} historicalData - Candles
+   * @param {Array} candidates - Parameter sets
+   * @param {Object} settings - { windows, inSampleRatio }
+   * @param {Object} context - Run context
+   * @returns {Promise<Object>} { windows, best, summary }
+   */
+  async runWalkForward(historicalData, candidates, settings, context) {
+    const { windows, inSampleRatio } = settings;
+    const windowLength = Math.floor(historicalData.length / (1 + (windows - 1) * (1 - inSampleRatio)));
+    const inSampleLength = Math.floor(windowLength * inSampleRatio);
+    const outOfSampleLength = windowLength - inSampleLength;
+
+    if (inSampleLength < WARMUP_CANDLES * 2 || outOfSampleLength < WARMUP_CANDLES / 2) {
+      throw new Error(`Insufficient data for ${windows} walk-forward windows: ${historicalData.length} candles`);
+    }
+
+    const results = [];
+
+    for (let w = 0; w < windows; w++) {
+      const start = w * outOfSampleLength;
+      const split = start + inSampleLength;
+      const end = Math.min(split + outOfSampleLength, historicalData.length);
+      const inSample = historicalData.slice(start, split);
+      // Replay the end of the in-sample period so indicators are warm when out-of-sample starts
+      const outOfSample = historicalData.slice(split - WARMUP_CANDLES, end);
+
+      const rankings = await this.evaluateCandidates(inSample, candidates, context, `window ${w + 1}/${windows}`);
+      const best = rankings[0];
+      const validation = await this.evaluate(outOfSample, best.params, context, `window ${w + 1}/${windows} out-of-sample`);
+
+      results.push({
+        window: w + 1,
+        inSample: { start: inSample[0].timestamp, end: inSample.at(-1).timestamp, candles: inSample.length },
+        outOfSample: { start: historicalData[split].timestamp, end: historicalData[end - 1].timestamp, candles: end - split },
+        params: best.params,
+        inSampleScore: best.score,
+        inSampleMetrics: best.metrics,
+        outOfSampleScore: validation.score,
+        outOfSampleMetrics: validation.metrics,
+        topInSample: rankings.slice(0, 5)
+      });
+    }
+
+    const scored = results.filter(r => r.inSampleScore !== null && r.outOfSampleScore !== null);
+    const average = values => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    const avgInSample = average(scored.map(r => r.inSampleScore));
+    const avgOutOfSample = average(scored.map(r => r.outOfSampleScore));
+    const compounded = results.reduce((equity, r) => equity * (1 + r.outOfSampleMetrics.totalReturn / 100), 1);
+    const latest = results.at(-1);
+
+    return {
+      windows: results,
+      // The most recent window's choice is the one to trade next
+      best: { params: latest.params, score: latest.outOfSampleScore, metrics: latest.outOfSampleMetrics },
+      summary: {
+        avgInSampleScore: avgInSample,
+        avgOutOfSampleScore: avgOutOfSample,
+        // Share of the in-sample score kept out-of-sample, only meaningful for positive in-sample scores
+        efficiency: avgInSample > 0 ? avgOutOfSample / avgInSample : null,
+        outOfSampleReturn: (compounded - 1) * 100,
+        profitableWindows: results.filter(r => r.outOfSampleMetrics.totalReturn > 0).length
+      }
+    };
+  }
+
+  /**
+   * Backtest every candidate and rank them by the objective
+   * @param {Array} data - Candles
+   * @param {Array} candidates - Parameter sets
+   * @param {Object} context - Run context
+   * @param {string} label - Progress label
+   * @returns {Promise<Array>} Rankings, best first. Runs below minTrades score null and rank last
+   */
+  async evaluateCandidates(data, candidates, context, label = 'full period') {
+    const evaluated = [];
+
+    for (const candidate of candidates) {
+      evaluated.push(await this.evaluate(data, candidate, context, label));
+    }
+
+    return evaluated
+      .sort((a, b) => (b.score ?? -Infinity) - (a.score ?? -Infinity))
+      .map((entry, i) => ({ rank: i + 1, ...entry }));
+  }
+
+  /**
+   * Backtest one parameter set and score it
+   * @param {Array} data - Candles
+   * @param {Object} candidate - Parameter set
+   * @param {Object} context - Run context
+   * @param {string} label - Progress label
+   * @returns {Promise<Object>} { params, score, metrics }
+   */
+  async evaluate(data, candidate, context, label) {
+    const backtest = await this.backtestingEngine.runBacktest(
+      { ...context.backtestParams, ...candidate },
+      { historicalData: data, persist: false }
+    );
+
+    const metrics = Object.fromEntries(RANKING_METRICS.map(key => [key, backtest.metrics[key]]));
+    const score = metrics.totalTrades >= context.minTrades ? metrics[OBJECTIVES[context.objective]] : null;
+
+    context.runs++;
+    context.reportProgress(5 + (context.runs / context.totalRuns) * 90, `Run ${context.runs}/${context.totalRuns} (${label})`);
+
+    return { params: candidate, score, metrics };
+  }
+
+  /**
+   * List stored optimizations, newest first
+   * @returns {Promise<Array>} Optimization results
+   */
+  async getOptimizationHistory() {
+    if (!this.redisClient?.keys) return [];
+
+    try {
+      const keys = await this.redisClient.keys('optimization:*');
+      const results = [];
+
+      for (const key of keys) {
+        const stored = await this.redisClient.get(key);
+        if (stored) results.push(JSON.parse(stored));
+      }
+
+      return results.sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
+    } catch (error) {
+      logger.error('Failed to load optimization history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a stored optimization
+   * @param {string} id - Optimization ID
+   * @returns {Promise<Object|null>} Optimization result
+   */
+  async getOptimizationById(id) {
+    if (!this.redisClient?.get) return null;
+
+    const stored = await this.redisClient.get(`optimization:${id}`);
+    return stored ? JSON.parse(stored) : null;
+  }
+}
+
+module.exports = ParameterOptimizer;
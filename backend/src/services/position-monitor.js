@@ -0,0 +1,142 @@
+const logger = require('../utils/logger');
+
+/**
+ * Position Monitor - marks open manual trades to market on every candle,
+ * closes simulated trades when their stop loss or take profit is hit,
+ * scales out of take profit ladders, trails stops by the trades' stop
+ * policies and keeps live trades in sync with their BingX orders.
+ */
+class PositionMonitor {
+  constructor(manualTradingEngine) {
+    this.manualTradingEngine = manualTradingEngine;
+  }
+
+  /**
+   * Process a market data update for a trading pair
+   * @param {string} pair - Trading pair
+   * @param {Object} candle - OHLCV candle (may still be forming)
+   */
+  async onCandle(pair, candle) {
+    try {
+      // Pick up fills of live entry / stop loss / take profit orders once per closed candle
+      if (candle.isFinal) {
+        await this.manualTradingEngine.syncLiveOrders(pair);
+      }
+
+      const openTrades = this.manualTradingEngine.getOpenTrades(pair);
+
+      for (const trade of openTrades) {
+        const tradedCandle = this.sinceEntry(trade, candle);
+
+        const exit = this.getExit(trade, tradedCandle);
+
+        if (exit?.reason === 'STOP_LOSS') {
+          await this.exitTrade(trade, exit);
+          continue;
+        }
+
+        // Scale out on the ladder legs before a single take profit closes everything
+        await this.manualTradingEngine.fillTakeProfitLegs(trade, tradedCandle);
+        if (trade.status !== 'ACTIVE') continue;
+
+        if (exit) {
+          await this.exitTrade(trade, exit);
+          continue;
+        }
+
+        this.manualTradingEngine.markToMarket(trade, candle.close);
+
+        // Persist marks once per closed candle to avoid a write on every tick
+        if (candle.isFinal) {
+          // Trailing / break-even stops move on closed candles only
+          await this.manualTradingEngine.applyStopPolicies(trade, tradedCandle);
+          await this.manualTradingEngine.saveTrade(trade);
+        }
+      }
+    } catch (error) {
+      logger.error(`Position monitor failed for ${pair}:`, error);
+    }
+  }
+
+  /**
+   * Part of a candle the trade was open for. A candle that opened before the
+   * entry only counts from its current price: its open, high and low were
+   * printed before the trade existed. Later candles count in full, gaps included.
+   * @param {Object} trade - Open manual trade
+   * @param {Object} candle - OHLCV candle, timestamp is the open time
+   * @returns {Object} Candle to check the trade against
+   */
+  sinceEntry(trade, candle) {
+    if (!(candle.timestamp < trade.entryTime)) {
+      return candle;
+    }
+
+    return { ...candle, open: candle.close, high: candle.close, low: candle.close };
+  }
+
+  /**
+   * Exit a candle triggers for a trade. Live trades are exited by their exchange
+   * orders, only the take profit of a live trade the exchange holds no take
+   * profit order for (no OCO, e.g. BingX) is taken here
+   * @param {Object} trade - Open manual trade
+   * @param {Object} candle - OHLCV candle
+   * @returns {Object|null} Exit price and reason
+   */
+  getExit(trade, candle) {
+    const exit = this.checkExit(trade, candle);
+
+    if (trade.executionType !== 'LIVE') {
+      return exit;
+    }
+    return exit?.reason === 'TAKE_PROFIT' && !trade.orders?.takeProfit ? exit : null;
+  }
+
+  /**
+   * Close a trade at its stop loss or take profit, live trades at market on the exchange
+   * @param {Object} trade - Open manual trade
+   * @param {Object} exit - Exit price and reason
+   */
+  async exitTrade(trade, exit) {
+    if (trade.executionType === 'LIVE') {
+      await this.manualTradingEngine.closeLiveTrade(trade, exit.reason);
+    } else {
+      await this.manualTradingEngine.closeTrade(trade, exit.price, exit.reason);
+    }
+  }
+
+  /**
+   * Check whether a candle hits the trade's stop loss or take profit
+   * @param {Object} trade - Open manual trade
+   * @param {Object} candle - OHLCV candle
+   * @returns {Object|null} Exit price and reason
+   */
+  checkExit(trade, candle) {
+    const isLong = trade.action === 'BUY';
+    const high = candle.high ?? candle.close;
+    const low = candle.low ?? candle.close;
+    const open = candle.open ?? candle.close;
+
+    // When both levels are inside the same candle assume the stop was hit first
+    if (trade.stopLoss) {
+      if (isLong && low <= trade.stopLoss) {
+        return { price: Math.min(open, trade.stopLoss), reason: 'STOP_LOSS' };
+      }
+      if (!isLong && high >= trade.stopLoss) {
+        return { price: Math.max(open, trade.stopLoss), reason: 'STOP_LOSS' };
+      }
+    }
+
+    if (trade.takeProfit) {
+      if (isLong && high >= trade.takeProfit) {
+        return { price: Math.max(open, trade.takeProfit), reason: 'TAKE_PROFIT' };
+      }
+      if (!isLong && low <= trade.takeProfit) {
+        return { price: Math.min(open, trade.takeProfit), reason: 'TAKE_PROFIT' };
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = PositionMonitor;
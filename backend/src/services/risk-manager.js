@@ -4,6 +4,34 @@ const positionCalculator = require('../utils/position-calculator');
 const redisClient = require('../utils/redis-client');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
+const auditLog = require('../utils/audit-log');
+
+// Closed P&L periods kept in Redis (about a year of each)
+const PERIOD_HISTORY_LIMIT = { daily: 366, weekly: 53 };
+
+/**
+ * Wall clock time of a timestamp in a timezone, as the UTC timestamp with the same fields
+ * @param {number} timestamp - Timestamp (ms)
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Wall clock time (ms, whole seconds)
+ */
+function toWallClock(timestamp, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(timestamp).map(part => [part.type, parseInt(part.value)])
+  );
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+// Limits that can be changed at runtime, loss limits are fractions of the balance
+const ADJUSTABLE_LIMITS = {
+  maxOpenPositions: value => Number.isInteger(value) && value > 0,
+  maxDailyLoss: value => typeof value === 'number' && value > 0 && value <= 1,
+  maxWeeklyLoss: value => typeof value === 'number' && value > 0 && value <= 1,
+  emergencyStopLoss: value => typeof value === 'number' && value > 0 && value <= 1,
+  maxConcentration: value => typeof value === 'number' && value > 0 && value <= 1
+};
 
 class RiskManager {
   constructor() {
@@ -14,6 +42,17 @@ class RiskManager {
     this.emergencyStopTriggered = false;
     this.dailyLossLimitReached = false;
     this.weeklyLossLimitReached = false;
+    this.dailyPeriodStart = this.getPeriodBoundary('daily');
+    this.weeklyPeriodStart = this.getPeriodBoundary('weekly');
+    this.correlationService = null;
+  }
+
+  /**
+   * Attach the service providing pair return correlations
+   * @param {CorrelationService} correlationService - Correlation service
+   */
+  setCorrelationService(correlationService) {
+    this.correlationService = correlationService;
   }
 
   /**
@@ -28,6 +67,12 @@ class RiskManager {
       
       // Load existing positions from Redis
       await this.loadExistingPositions();
+
+      // Resume the current daily and weekly P&L periods
+      await this.loadPeriodState();
+
+      // Emergency check of the restored positions, now that the balance and P&L are loaded
+      await this.updatePortfolioRisk();
       
       // Subscribe to portfolio updates
       await redisClient.subscribe('portfolio-updates', (data) => {
@@ -65,144 +110,291 @@ class RiskManager {
    */
   async loadExistingPositions() {
     try {
-      // This would load from Redis or database in production
-      // For now, starting with empty positions
-      this.positions.clear();
-      
-      logger.info('Existing positions loaded');
+      // Open manual trades are re-registered by the manual trading engine when it
+      // reloads its trade book (restorePositions), which happens before this runs
+      logger.info(`Existing positions loaded: ${this.positions.size} open`);
     } catch (error) {
       logger.error('Failed to load existing positions:', error);
     }
   }
 
   /**
-   * Validate if a new trade meets risk management criteria
+   * Re-register positions that were open before a restart, without storing them again
+   * @param {Array} positions - Positions, same fields as addPosition
+   */
+  async restorePositions(positions) {
+    try {
+      for (const position of positions) {
+        this.positions.set(position.id, {
+          id: position.id,
+          pair: position.pair,
+          side: position.side,
+          entryPrice: position.entryPrice,
+          size: position.size,
+          positionValue: position.positionValue ?? position.size,
+          stopLoss: position.stopLoss,
+          takeProfit: position.takeProfit,
+          riskAmount: position.riskAmount,
+          timestamp: position.timestamp || Date.now(),
+          status: 'open'
+        });
+      }
+
+      logger.risk(`Restored ${positions.length} open positions`);
+
+      // The emergency check waits for initialize(), which runs once the balance,
+      // the P&L periods and the emergency stop subscribers are in place
+      await this.updatePortfolioRisk({ emergencyCheck: false });
+    } catch (error) {
+      logger.error('Error restoring positions:', error);
+    }
+  }
+
+  /**
+   * Validate if a new trade meets risk management criteria.
+   * Every check runs so the caller gets the full list of rejection reasons.
    * @param {Object} tradeRequest - Trade request details
-   * @returns {Object} Validation result
+   * @param {string} tradeRequest.pair - Trading pair
+   * @param {string} tradeRequest.side - 'buy' or 'sell'
+   * @param {number} tradeRequest.entryPrice - Entry price
+   * @param {number} tradeRequest.stopLoss - Stop loss price
+   * @param {number} tradeRequest.size - Position value in quote currency (omit to validate the recommended size)
+   * @param {string} tradeRequest.sizingMode - Sizing mode of the recommended size (default config.trading.sizing.mode)
+   * @param {number} tradeRequest.atr - Average true range, for volatility sizing
+   * @param {Object} tradeRequest.stats - Trade statistics, for Kelly sizing
+   * @returns {Object} Validation result: { approved, reasons: [{ code, message, riskLevel, overridable }], warnings, riskLevel, position }
    */
   async validateTrade(tradeRequest) {
+    const reasons = [];
+    const warnings = [];
+    const reject = (code, message, riskLevel, overridable = true) => {
+      if (!reasons.some(reason => reason.message === message)) {
+        reasons.push({ code, message, riskLevel, overridable });
+      }
+    };
+
     try {
-      const { pair, side, entryPrice, stopLoss, size } = tradeRequest;
-      
-      // Emergency stop check
+      const { pair, side, entryPrice, stopLoss, size, sizingMode, atr, stats } = tradeRequest;
+
+      // An emergency stop has to be reset, it cannot be overridden per trade
       if (this.emergencyStopTriggered) {
-        return {
-          approved: false,
-          reason: 'Emergency stop activated',
-          riskLevel: 'CRITICAL'
-        };
+        reject('EMERGENCY_STOP', 'Emergency stop activated', 'CRITICAL', false);
       }
 
-      // Daily loss limit check
       if (this.dailyLossLimitReached) {
-        return {
-          approved: false,
-          reason: 'Daily loss limit reached',
-          riskLevel: 'HIGH'
-        };
+        reject('DAILY_LOSS_LIMIT', 'Daily loss limit reached', 'HIGH');
       }
 
-      // Weekly loss limit check
       if (this.weeklyLossLimitReached) {
-        return {
-          approved: false,
-          reason: 'Weekly loss limit reached',
-          riskLevel: 'HIGH'
-        };
+        reject('WEEKLY_LOSS_LIMIT', 'Weekly loss limit reached', 'HIGH');
       }
 
-      // Check maximum open positions
       if (this.positions.size >= config.riskManagement.maxOpenPositions) {
-        return {
-          approved: false,
-          reason: `Maximum ${config.riskManagement.maxOpenPositions} positions already open`,
-          riskLevel: 'MEDIUM'
-        };
+        reject('MAX_OPEN_POSITIONS', `Maximum ${config.riskManagement.maxOpenPositions} positions already open`, 'MEDIUM');
       }
 
-      // Calculate position size and risk
-      const isLong = side === 'buy';
-      const position = positionCalculator.calculatePositionSize(
-        this.accountBalance,
-        entryPrice,
-        stopLoss,
-        config.trading.maxAccountRisk
-      );
-
-      if (!position) {
-        return {
-          approved: false,
-          reason: 'Position calculation failed',
-          riskLevel: 'HIGH'
-        };
+      // Size recommended by the sizing mode
+      let sizing = null;
+      try {
+        sizing = positionCalculator.calculateSize({
+          mode: sizingMode,
+          accountBalance: this.accountBalance,
+          entryPrice,
+          stopLoss,
+          atr,
+          stats
+        });
+      } catch (error) {
+        logger.warn(`Position sizing failed: ${error.message}`);
       }
 
-      // Validate position size
-      const validation = positionCalculator.validatePosition(
-        position,
-        this.accountBalance,
-        Array.from(this.positions.values())
-      );
-
-      if (!validation.isValid) {
-        return {
-          approved: false,
-          reason: validation.errors.join(', '),
-          riskLevel: 'HIGH',
-          warnings: validation.warnings
-        };
+      if (size && sizing && size > sizing.positionValue * 1.01) {
+        warnings.push(`Size ${size.toFixed(2)} is above the ${sizing.mode} sizing of ${sizing.positionValue.toFixed(2)}`);
       }
 
-      // Check daily loss limits
-      const dailyLossOk = positionCalculator.checkDailyLossLimits(
-        this.accountBalance,
-        this.dailyPnL,
-        position.riskAmount
-      );
+      // Calculate position size and risk, for the requested size when there is one
+      const position = size || sizing
+        ? this.describePosition(pair, side, entryPrice, stopLoss, size || sizing.positionValue)
+        : null;
 
-      if (!dailyLossOk) {
-        return {
-          approved: false,
-          reason: 'Would exceed daily loss limit',
-          riskLevel: 'HIGH'
-        };
+      if (!position) {
+        reject('POSITION_CALCULATION', 'Position calculation failed', 'HIGH');
+      } else {
+        // Validate position size
+        const validation = positionCalculator.validatePosition(
+          { ...position, pair: pair },
+          this.accountBalance,
+          Array.from(this.positions.values())
+        );
+
+        validation.errors.forEach(error => reject('POSITION_LIMITS', error, 'HIGH'));
+        warnings.push(...validation.warnings);
+
+        // Portfolio exposure caps
+        this.checkExposureLimits({ pair, side, positionValue: position.positionValue })
+          .forEach(limit => reject(limit.code, limit.message, 'HIGH'));
+
+        // Check daily loss limits
+        const dailyLossOk = positionCalculator.checkDailyLossLimits(
+          this.accountBalance,
+          this.dailyPnL,
+          position.riskAmount
+        );
+
+        if (!dailyLossOk) {
+          reject('DAILY_LOSS_EXPOSURE', 'Would exceed daily loss limit', 'HIGH');
+        }
       }
 
       // Check for correlation risk
-      const correlationRisk = this.checkCorrelationRisk(pair);
+      const correlationRisk = this.checkCorrelationRisk(pair, side);
       if (correlationRisk.isHigh) {
-        return {
-          approved: false,
-          reason: correlationRisk.reason,
-          riskLevel: 'MEDIUM'
-        };
+        reject('CORRELATION', correlationRisk.reason, 'MEDIUM');
+      }
+      if (correlationRisk.warning) {
+        warnings.push(correlationRisk.warning);
       }
 
-      // All checks passed
       return {
-        approved: true,
+        approved: reasons.length === 0,
+        reason: reasons.map(r => r.message).join(', ') || null,
+        reasons: reasons,
+        warnings: warnings,
+        riskLevel: this.getHighestRiskLevel(reasons),
         position: position,
-        riskLevel: 'LOW',
-        warnings: validation.warnings,
+        sizing: sizing,
         correlationWarning: correlationRisk.warning
       };
 
     } catch (error) {
       logger.error('Error validating trade:', error);
+      reject('VALIDATION_ERROR', 'Risk validation failed', 'CRITICAL', false);
       return {
         approved: false,
-        reason: 'Risk validation failed',
+        reason: reasons.map(r => r.message).join(', '),
+        reasons: reasons,
+        warnings: warnings,
         riskLevel: 'CRITICAL'
       };
     }
   }
 
   /**
-   * Check correlation risk with existing positions
+   * Check the exposure caps a new position would breach. A cap only rejects
+   * the trade when the trade increases the exposure over it, so reducing
+   * trades (e.g. a short against a net long book) stay allowed.
+   * @param {Object} position - { pair, side, positionValue }
+   * @returns {Array} Breached limits: [{ code, message }]
+   */
+  checkExposureLimits(position) {
+    const limits = config.riskManagement.exposureLimits;
+    const { assetGroups, maxConcentration } = config.riskManagement;
+    const [asset, quote] = position.pair.split('-');
+    const openPositions = Array.from(this.positions.values());
+
+    const before = positionCalculator.calculateExposure(openPositions, this.accountBalance, assetGroups);
+    const after = positionCalculator.calculateExposure([...openPositions, position], this.accountBalance, assetGroups);
+
+    const breaches = [];
+    const check = (code, label, valueBefore, valueAfter, cap) => {
+      if (valueAfter > cap * this.accountBalance && valueAfter > valueBefore) {
+        breaches.push({
+          code: code,
+          message: `${label} exposure ${(valueAfter / this.accountBalance * 100).toFixed(2)}% exceeds maximum ${(cap * 100).toFixed(0)}%`
+        });
+      }
+    };
+
+    check('EXPOSURE_TOTAL', 'Total', before.gross, after.gross, limits.total);
+    check('EXPOSURE_ASSET', asset, before.byAsset[asset]?.gross || 0, after.byAsset[asset].gross, maxConcentration);
+    check('EXPOSURE_QUOTE', `${quote} quoted`, before.byQuote[quote]?.gross || 0, after.byQuote[quote].gross, limits.quote);
+    for (const group of Object.keys(after.byGroup)) {
+      check('EXPOSURE_GROUP', `${group} group`, before.byGroup[group]?.gross || 0, after.byGroup[group].gross, limits.group);
+    }
+    check('EXPOSURE_NET_LONG', 'Net long', before.net, after.net, limits.netLong);
+    check('EXPOSURE_NET_SHORT', 'Net short', -before.net, -after.net, limits.netShort);
+
+    return breaches;
+  }
+
+  /**
+   * Current exposure breakdown with the configured caps
+   * @returns {Object} Exposure by direction, asset, quote currency and group
+   */
+  getExposure() {
+    const { exposureLimits, assetGroups, maxConcentration } = config.riskManagement;
+    const exposure = positionCalculator.calculateExposure(
+      Array.from(this.positions.values()),
+      this.accountBalance,
+      assetGroups
+    );
+
+    return {
+      accountBalance: this.accountBalance,
+      ...exposure,
+      limits: {
+        total: exposureLimits.total * 100,
+        asset: maxConcentration * 100,
+        quote: exposureLimits.quote * 100,
+        group: exposureLimits.group * 100,
+        netLong: exposureLimits.netLong * 100,
+        netShort: exposureLimits.netShort * 100
+      },
+      assetGroups: assetGroups
+    };
+  }
+
+  /**
+   * Describe a position of a given value in the position calculator's format
+   * @param {string} pair - Trading pair
+   * @param {string} side - 'buy' or 'sell'
+   * @param {number} entryPrice - Entry price
+   * @param {number} stopLoss - Stop loss price
+   * @param {number} size - Position value in quote currency
+   * @returns {Object|null} Position details
+   */
+  describePosition(pair, side, entryPrice, stopLoss, size) {
+    if (!(entryPrice > 0) || !(size > 0)) return null;
+
+    const priceRisk = stopLoss ? Math.abs(entryPrice - stopLoss) : entryPrice;
+    const positionSizeUnits = size / entryPrice;
+    const riskAmount = positionSizeUnits * priceRisk;
+
+    return {
+      pair: pair,
+      positionSizeUnits: positionSizeUnits,
+      positionValue: size,
+      riskAmount: riskAmount,
+      riskPercent: (riskAmount / this.accountBalance) * 100,
+      leverage: size / this.accountBalance,
+      priceRisk: priceRisk,
+      entryPrice: entryPrice,
+      stopLoss: stopLoss,
+      isLong: side === 'buy'
+    };
+  }
+
+  /**
+   * Highest risk level among rejection reasons
+   * @param {Array} reasons - Rejection reasons
+   * @returns {string} LOW, MEDIUM, HIGH or CRITICAL
+   */
+  getHighestRiskLevel(reasons) {
+    const levels = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+    return reasons.reduce((highest, reason) =>
+      levels.indexOf(reason.riskLevel) > levels.indexOf(highest) ? reason.riskLevel : highest
+    , 'LOW');
+  }
+
+  /**
+   * Check correlation risk with existing positions. Positions on the same
+   * side add up when the pairs move together, opposite sides when they move
+   * apart, so the direction adjusted correlation is compared with the limits.
    * @param {string} pair - Trading pair to check
+   * @param {string} side - 'buy' or 'sell'
    * @returns {Object} Correlation risk assessment
    */
-  checkCorrelationRisk(pair) {
+  checkCorrelationRisk(pair, side = 'buy') {
     try {
       const asset = pair.split('-')[0];
       const existingPositions = Array.from(this.positions.values());
@@ -216,39 +408,57 @@ class RiskManager {
         return {
           isHigh: true,
           reason: `Already have ${sameAssetPositions.length} positions in ${asset}`,
-          warning: null
+          warning: null,
+          correlations: []
         };
       }
 
-      // Check for highly correlated assets (simplified)
-      const correlatedAssets = {
-        'BTC': ['ETH'],
-        'ETH': ['BTC'],
-        // Add more correlations as needed
-      };
+      const { correlationLimit, correlationWarning } = config.riskManagement;
+      const correlations = existingPositions
+        .filter(pos => pos.pair !== pair)
+        .map(pos => {
+          const correlation = this.correlationService?.getCorrelation(pair, pos.pair) ?? null;
+          return {
+            pair: pos.pair,
+            side: pos.side,
+            correlation: correlation,
+            // Positive when the new trade adds to the position's risk
+            effective: correlation === null ? null : correlation * (pos.side === side ? 1 : -1)
+          };
+        });
 
-      const correlated = correlatedAssets[asset] || [];
-      const correlatedPositions = existingPositions.filter(pos => 
-        correlated.includes(pos.pair.split('-')[0])
-      );
+      const format = c => `${c.pair} (${c.correlation.toFixed(2)})`;
+      const blocking = correlations.filter(c => c.effective !== null && c.effective >= correlationLimit);
+      const warned = correlations.filter(c => c.effective !== null && c.effective < correlationLimit && c.effective >= correlationWarning);
+      const unknown = correlations.filter(c => c.correlation === null);
 
-      if (correlatedPositions.length > 0) {
+      if (blocking.length > 0) {
         return {
-          isHigh: false,
-          reason: null,
-          warning: `Potentially correlated with existing ${correlatedPositions.map(p => p.pair).join(', ')} positions`
+          isHigh: true,
+          reason: `Correlation with open ${blocking.map(format).join(', ')} positions exceeds ${correlationLimit}`,
+          warning: null,
+          correlations: correlations
         };
       }
 
+      const warnings = [];
+      if (warned.length > 0) {
+        warnings.push(`Correlated with existing ${warned.map(format).join(', ')} positions`);
+      }
+      if (unknown.length > 0) {
+        warnings.push(`No correlation data against ${unknown.map(c => c.pair).join(', ')}`);
+      }
+
       return {
         isHigh: false,
         reason: null,
-        warning: null
+        warning: warnings.join('; ') || null,
+        correlations: correlations
       };
 
     } catch (error) {
       logger.error('Error checking correlation risk:', error);
-      return { isHigh: false, reason: null, warning: null };
+      return { isHigh: false, reason: null, warning: null, correlations: [] };
     }
   }
 
@@ -264,6 +474,7 @@ class RiskManager {
         side: position.side,
         entryPrice: position.entryPrice,
         size: position.size,
+        positionValue: position.positionValue ?? position.size,
         stopLoss: position.stopLoss,
         takeProfit: position.takeProfit,
         riskAmount: position.riskAmount,
@@ -346,8 +557,10 @@ class RiskManager {
 
   /**
    * Update portfolio risk metrics
+   * @param {Object} options - Update options
+   * @param {boolean} options.emergencyCheck - Check the emergency stop limits (default true)
    */
-  async updatePortfolioRisk() {
+  async updatePortfolioRisk({ emergencyCheck = true } = {}) {
     try {
       const openPositions = Array.from(this.positions.values());
       const riskMetrics = positionCalculator.calculatePortfolioRisk(openPositions, this.accountBalance);
@@ -364,7 +577,9 @@ class RiskManager {
       });
 
       // Check if emergency stop should be triggered
-      this.checkEmergencyStop(riskMetrics);
+      if (emergencyCheck) {
+        this.checkEmergencyStop(riskMetrics);
+      }
 
     } catch (error) {
       logger.error('Error updating portfolio risk:', error);
@@ -408,6 +623,9 @@ class RiskManager {
       this.emergencyStopTriggered = true;
       
       logger.risk('🚨 EMERGENCY STOP TRIGGERED', { reason: reason });
+      await auditLog.record('risk.emergency-stop', {
+        details: { reason: reason, openPositions: this.positions.size, dailyPnL: this.dailyPnL, weeklyPnL: this.weeklyPnL }
+      });
 
       // Publish emergency stop signal
       await redisClient.publish('emergency-stop', {
@@ -419,8 +637,10 @@ class RiskManager {
 
       // Close all positions (would be handled by trading engine)
       await redisClient.publish('trading-commands', {
+        commandId: uuid.v4(),
         type: 'close-all-positions',
-        reason: 'Emergency stop'
+        reason: 'Emergency stop',
+        timestamp: Date.now()
       });
 
     } catch (error) {
@@ -429,18 +649,19 @@ class RiskManager {
   }
 
   /**
-   * Update daily P&L
+   * Update daily and weekly P&L
    * @param {number} pnl - P&L amount
    */
   updateDailyPnL(pnl) {
     try {
       this.dailyPnL += pnl;
+      this.weeklyPnL += pnl;
       
       // Check daily loss limits
       const dailyLoss = this.dailyPnL < 0 ? Math.abs(this.dailyPnL) : 0;
       const dailyLossPercent = dailyLoss / this.accountBalance;
 
-      if (dailyLossPercent >= config.riskManagement.maxDailyLoss) {
+      if (dailyLossPercent >= config.riskManagement.maxDailyLoss && !this.dailyLossLimitReached) {
         this.dailyLossLimitReached = true;
         logger.risk('Daily loss limit reached', {
           dailyPnL: this.dailyPnL,
@@ -448,6 +669,20 @@ class RiskManager {
         });
       }
 
+      // Check weekly loss limits
+      const weeklyLoss = this.weeklyPnL < 0 ? Math.abs(this.weeklyPnL) : 0;
+      const weeklyLossPercent = weeklyLoss / this.accountBalance;
+
+      if (weeklyLossPercent >= config.riskManagement.maxWeeklyLoss && !this.weeklyLossLimitReached) {
+        this.weeklyLossLimitReached = true;
+        logger.risk('Weekly loss limit reached', {
+          weeklyPnL: this.weeklyPnL,
+          lossPercent: (weeklyLossPercent * 100).toFixed(2)
+        });
+      }
+
+      this.savePeriodState();
+
     } catch (error) {
       logger.error('Error updating daily P&L:', error);
     }
@@ -459,9 +694,167 @@ class RiskManager {
   resetDailyTracking() {
     this.dailyPnL = 0;
     this.dailyLossLimitReached = false;
+    this.dailyPeriodStart = this.getPeriodBoundary('daily');
+    this.savePeriodState();
     logger.info('Daily tracking reset');
   }
 
+  /**
+   * Reset weekly tracking (call at start of new week)
+   */
+  resetWeeklyTracking() {
+    this.weeklyPnL = 0;
+    this.weeklyLossLimitReached = false;
+    this.weeklyPeriodStart = this.getPeriodBoundary('weekly');
+    this.savePeriodState();
+    logger.info('Weekly tracking reset');
+  }
+
+  /**
+   * Persist the current daily and weekly P&L periods so a restart keeps the loss limits
+   */
+  async savePeriodState() {
+    try {
+      await redisClient.client.set('risk:periods:current', JSON.stringify({
+        daily: { start: this.dailyPeriodStart, pnl: this.dailyPnL, lossLimitReached: this.dailyLossLimitReached },
+        weekly: { start: this.weeklyPeriodStart, pnl: this.weeklyPnL, lossLimitReached: this.weeklyLossLimitReached }
+      }));
+    } catch (error) {
+      logger.error('Error saving risk period state:', error);
+    }
+  }
+
+  /**
+   * Most recent session start (RISK_SESSION_START in RISK_TIMEZONE), on the week start day for weekly periods
+   * @param {string} type - 'daily' or 'weekly'
+   * @param {number} now - Timestamp to look back from (ms)
+   * @returns {number} Start of the current period (ms)
+   */
+  getPeriodBoundary(type, now = Date.now()) {
+    const { sessionTimezone, sessionStart, weekStartDay } = config.riskManagement;
+    const [hour, minute] = sessionStart.split(':').map(part => parseInt(part));
+    const wallClock = toWallClock(now, sessionTimezone);
+
+    // Today's session start, or yesterday's while today's is still ahead, then back to the week start day
+    const boundary = new Date(wallClock);
+    boundary.setUTCHours(hour, minute, 0, 0);
+    if (boundary.getTime() > wallClock) boundary.setUTCDate(boundary.getUTCDate() - 1);
+    if (type === 'weekly') boundary.setUTCDate(boundary.getUTCDate() - (boundary.getUTCDay() - weekStartDay + 7) % 7);
+
+    // Wall clock time back to a timestamp, with the timezone offset at the boundary
+    const guess = boundary.getTime() - (toWallClock(boundary.getTime(), sessionTimezone) - boundary.getTime());
+    return boundary.getTime() - (toWallClock(guess, sessionTimezone) - guess);
+  }
+
+  /**
+   * Restore the current daily and weekly P&L periods saved before a restart.
+   * A period that started before the last session boundary missed its roll while
+   * the service was down and is closed instead.
+   */
+  async loadPeriodState() {
+    try {
+      const saved = JSON.parse(await redisClient.client.get('risk:periods:current') || 'null');
+      if (!saved) return;
+
+      this.dailyPnL = saved.daily.pnl;
+      this.dailyLossLimitReached = saved.daily.lossLimitReached;
+      this.dailyPeriodStart = saved.daily.start;
+      this.weeklyPnL = saved.weekly.pnl;
+      this.weeklyLossLimitReached = saved.weekly.lossLimitReached;
+      this.weeklyPeriodStart = saved.weekly.start;
+
+      logger.risk('Risk periods restored', {
+        dailyPnL: this.dailyPnL,
+        weeklyPnL: this.weeklyPnL,
+        dailyLossLimitReached: this.dailyLossLimitReached,
+        weeklyLossLimitReached: this.weeklyLossLimitReached
+      });
+
+      for (const type of ['daily', 'weekly']) {
+        if (saved[type].start < this.getPeriodBoundary(type)) {
+          await this.closePeriod(type);
+        }
+      }
+    } catch (error) {
+      logger.error('Error loading risk period state:', error);
+    }
+  }
+
+  /**
+   * Current state of a daily or weekly P&L period
+   * @param {string} type - 'daily' or 'weekly'
+   * @returns {Object} Period P&L and limit state
+   */
+  getPeriodState(type) {
+    const isDaily = type === 'daily';
+    const pnl = isDaily ? this.dailyPnL : this.weeklyPnL;
+    const loss = pnl < 0 ? Math.abs(pnl) : 0;
+
+    return {
+      type: type,
+      start: isDaily ? this.dailyPeriodStart : this.weeklyPeriodStart,
+      end: null,
+      pnl: pnl,
+      lossPercent: this.accountBalance > 0 ? (loss / this.accountBalance) * 100 : 0,
+      lossLimit: (isDaily ? config.riskManagement.maxDailyLoss : config.riskManagement.maxWeeklyLoss) * 100,
+      lossLimitReached: isDaily ? this.dailyLossLimitReached : this.weeklyLossLimitReached,
+      emergencyStopTriggered: this.emergencyStopTriggered,
+      accountBalance: this.accountBalance,
+      openPositions: this.positions.size
+    };
+  }
+
+  /**
+   * Close the current daily or weekly period: snapshot it to Redis and start a new one
+   * @param {string} type - 'daily' or 'weekly'
+   * @returns {Promise<Object>} Snapshot of the closed period
+   */
+  async closePeriod(type) {
+    const snapshot = { ...this.getPeriodState(type), end: Date.now() };
+
+    if (type === 'daily') {
+      this.resetDailyTracking();
+    } else {
+      this.resetWeeklyTracking();
+    }
+
+    try {
+      await redisClient.client.lpush(`risk:periods:${type}`, JSON.stringify(snapshot));
+      await redisClient.client.ltrim(`risk:periods:${type}`, 0, PERIOD_HISTORY_LIMIT[type] - 1);
+
+      await redisClient.publish('risk-alerts', {
+        type: 'risk-period-closed',
+        period: snapshot,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      logger.error(`Error storing ${type} risk period:`, error);
+    }
+
+    logger.risk(`Closed ${type} risk period`, {
+      pnl: snapshot.pnl,
+      lossLimitReached: snapshot.lossLimitReached
+    });
+
+    return snapshot;
+  }
+
+  /**
+   * Get closed daily or weekly periods
+   * @param {string} type - 'daily' or 'weekly'
+   * @param {number} limit - Maximum number of periods
+   * @returns {Promise<Array>} Periods, newest first
+   */
+  async getPeriodHistory(type, limit = 30) {
+    try {
+      const entries = await redisClient.client.lrange(`risk:periods:${type}`, 0, limit - 1);
+      return entries.map(entry => JSON.parse(entry));
+    } catch (error) {
+      logger.error(`Error getting ${type} risk periods:`, error);
+      return [];
+    }
+  }
+
   /**
    * Handle portfolio update events
    * @param {Object} data - Portfolio update data
@@ -490,9 +883,15 @@ class RiskManager {
       const { trade } = data;
       
       if (trade.type === 'open') {
+        // Trades that went through the risk gate were registered on execution
+        if (this.positions.has(trade.positionId || trade.id)) return;
         await this.addPosition(trade);
       } else if (trade.type === 'close') {
         await this.removePosition(trade.positionId);
+        // Realized P&L counts towards the daily and weekly loss limits
+        if (Number.isFinite(trade.pnl)) {
+          this.updateDailyPnL(trade.pnl);
+        }
       } else if (trade.type === 'update') {
         await this.updatePosition(trade.positionId, trade.updates);
       }
@@ -518,6 +917,7 @@ class RiskManager {
         openPositions: openPositions.length,
         emergencyStopTriggered: this.emergencyStopTriggered,
         dailyLossLimitReached: this.dailyLossLimitReached,
+        weeklyLossLimitReached: this.weeklyLossLimitReached,
         riskMetrics: riskMetrics,
         limits: {
           maxDailyLoss: config.riskManagement.maxDailyLoss * 100,
@@ -533,16 +933,97 @@ class RiskManager {
     }
   }
 
+  /**
+   * Change risk limits at runtime (until the next restart, the environment sets them on startup)
+   * @param {Object} changes - New limits, e.g. { maxOpenPositions: 5, maxDailyLoss: 0.04 }
+   * @param {string} updatedBy - Admin changing them
+   * @returns {Promise<Object>} Applied changes: { limit: { from, to } }
+   */
+  async updateLimits(changes, updatedBy = null) {
+    const errors = Object.entries(changes || {})
+      .filter(([key, value]) => !ADJUSTABLE_LIMITS[key] || !ADJUSTABLE_LIMITS[key](value))
+      .map(([key]) => ADJUSTABLE_LIMITS[key] ? `Invalid ${key}` : `Unknown limit ${key} (available: ${Object.keys(ADJUSTABLE_LIMITS).join(', ')})`);
+
+    if (errors.length > 0) {
+      const error = new Error(errors.join(', '));
+      error.code = 'INVALID_RISK_LIMITS';
+      throw error;
+    }
+
+    const applied = {};
+    for (const [key, value] of Object.entries(changes)) {
+      if (config.riskManagement[key] !== value) {
+        applied[key] = { from: config.riskManagement[key], to: value };
+        config.riskManagement[key] = value;
+      }
+    }
+
+    if (Object.keys(applied).length > 0) {
+      logger.risk(`Risk limits updated${updatedBy ? ` by ${updatedBy}` : ''}`, applied);
+      await auditLog.record('config.updated', {
+        actor: updatedBy,
+        targetId: 'riskManagement',
+        details: { changes: applied }
+      });
+    }
+
+    return applied;
+  }
+
+  /**
+   * Record an admin override of the pre-trade risk checks
+   * @param {Object} override - { tradeId, pair, executionType, reason, overriddenBy, overriddenAt, reasons }
+   */
+  async recordOverride(override) {
+    try {
+      logger.risk(`⚠️ Risk override: trade ${override.tradeId} on ${override.pair} by ${override.overriddenBy}`, {
+        reason: override.reason,
+        reasons: override.reasons
+      });
+
+      // Keep the latest 1000 overrides for review
+      await redisClient.client.lpush('risk:overrides', JSON.stringify(override));
+      await redisClient.client.ltrim('risk:overrides', 0, 999);
+
+      await redisClient.publish('risk-alerts', {
+        type: 'risk-override',
+        ...override,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      logger.error('Error recording risk override:', error);
+    }
+  }
+
+  /**
+   * Get recorded risk overrides
+   * @param {number} limit - Maximum number of overrides
+   * @returns {Promise<Array>} Overrides, newest first
+   */
+  async getOverrides(limit = 50) {
+    try {
+      const entries = await redisClient.client.lrange('risk:overrides', 0, limit - 1);
+      return entries.map(entry => JSON.parse(entry));
+    } catch (error) {
+      logger.error('Error getting risk overrides:', error);
+      return [];
+    }
+  }
+
   /**
    * Reset emergency stop (manual intervention required)
+   * @param {string} resetBy - Admin resetting it
    */
-  async resetEmergencyStop() {
+  async resetEmergencyStop(resetBy = null) {
     try {
       this.emergencyStopTriggered = false;
-      logger.info('Emergency stop manually reset');
+      logger.risk(`Emergency stop manually reset${resetBy ? ` by ${resetBy}` : ''}`);
+      await auditLog.record('risk.emergency-reset', { actor: resetBy });
       
       await redisClient.publish('emergency-stop', {
         type: 'emergency-stop-reset',
+        resetBy: resetBy,
         timestamp: Date.now()
       });
 
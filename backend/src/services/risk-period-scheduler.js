@@ -0,0 +1,67 @@
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+/**
+ * Risk Period Scheduler - closes the risk manager's daily and weekly P&L
+ * periods at the session start (RISK_SESSION_START in RISK_TIMEZONE), so
+ * loss limits reset on the trading calendar rather than on restarts.
+ */
+class RiskPeriodScheduler {
+  constructor(riskManager) {
+    this.riskManager = riskManager;
+    this.tasks = [];
+  }
+
+  /**
+   * Schedule the daily and weekly period rolls
+   */
+  start() {
+    const { sessionTimezone, sessionStart, weekStartDay } = config.riskManagement;
+    const [hour, minute] = sessionStart.split(':').map(part => parseInt(part));
+    const options = { timezone: sessionTimezone };
+
+    this.stop();
+    this.tasks = [
+      cron.schedule(`${minute} ${hour} * * *`, () => this.roll('daily'), options),
+      cron.schedule(`${minute} ${hour} * * ${weekStartDay}`, () => this.roll('weekly'), options)
+    ];
+
+    logger.info(`✅ Risk periods roll daily at ${sessionStart} ${sessionTimezone}, weekly on day ${weekStartDay}`);
+  }
+
+  /**
+   * Stop the scheduled rolls
+   */
+  stop() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+  }
+
+  /**
+   * Close the current period of a type
+   * @param {string} type - 'daily' or 'weekly'
+   */
+  async roll(type) {
+    try {
+      await this.riskManager.closePeriod(type);
+    } catch (error) {
+      logger.error(`Failed to roll ${type} risk period:`, error);
+    }
+  }
+
+  /**
+   * Session calendar settings
+   * @returns {Object} Timezone, session start and week start day
+   */
+  getCalendar() {
+    const { sessionTimezone, sessionStart, weekStartDay } = config.riskManagement;
+    return {
+      timezone: sessionTimezone,
+      sessionStart: sessionStart,
+      weekStartDay: weekStartDay
+    };
+  }
+}
+
+module.exports = RiskPeriodScheduler;
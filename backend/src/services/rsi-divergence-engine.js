@@ -3,15 +3,29 @@ const technicalIndicators = require('../utils/technical-indicators');
 const redisClient = require('../utils/redis-client');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
-const BingXClient = require('../utils/bingx-client');
+const oscillators = require('../utils/oscillators');
+const CandleAggregator = require('../utils/candle-aggregator');
+const { StreamingRSI, StreamingSMA, StreamingATR, StreamingADX, restoreIndicator } = require('../utils/streaming-indicators');
+const { getExchangeForPair } = require('../exchanges');
+
+// Candles the non-RSI oscillators are calculated over, enough to warm up and fill the analysis window
+const OSCILLATOR_HISTORY = 200;
+
+// Wilder period of the streamed ATR and ADX
+const TREND_PERIOD = 14;
+
+// Multi-timeframe confirmation: ADX of a trend that fully confirms (or contradicts) a signal,
+// and how many bars back a confirmation timeframe divergence still counts
+const STRONG_TREND_ADX = 50;
+const CONFIRMATION_LOOKBACK = 50;
 
 class RSIDivergenceEngine {
   constructor() {
     this.divergenceBuffer = new Map(); // Store recent divergences
-    this.priceData = new Map(); // Store price data by pair
-    this.rsiData = new Map(); // Store RSI data by pair
-    this.volumeData = new Map(); // Store volume data by pair
-    this.bingxClient = new BingXClient();
+    this.timeframeState = new Map(); // Rolling prices, RSI and volumes per `${pair}:${timeframe}`
+    this.reportedDivergences = new Map(); // Oscillator count already reported per pair, timeframe and price pivots
+    this.timeframes = config.signals.divergenceTimeframes;
+    this.candleAggregator = new CandleAggregator(this.timeframes);
   }
 
   /**
@@ -26,7 +40,7 @@ class RSIDivergenceEngine {
         await this.loadHistoricalData(pair);
       }
 
-      logger.info('✅ RSI Divergence Engine initialized');
+      logger.info(`✅ RSI Divergence Engine initialized (timeframes: ${this.timeframes.join(', ')})`);
     } catch (error) {
       logger.error('Failed to initialize RSI Divergence Engine:', error);
       throw error;
@@ -39,11 +53,10 @@ class RSIDivergenceEngine {
    */
   async loadHistoricalData(pair) {
     try {
-      // For now, we'll initialize with empty arrays
-      // In production, this would load from exchange APIs or database
-      this.priceData.set(pair, []);
-      this.rsiData.set(pair, []);
-      this.volumeData.set(pair, []);
+      // Prices are seeded by the market data service, indicators resume where they stopped
+      for (const timeframe of this.timeframes) {
+        await this.restoreIndicators(pair, timeframe);
+      }
 
       logger.info(`Historical data loaded for ${pair}`);
     } catch (error) {
@@ -52,43 +65,103 @@ class RSIDivergenceEngine {
   }
 
   /**
-   * Update price and volume data for a trading pair
+   * Get the rolling state of a pair on a timeframe, created on first use
    * @param {string} pair - Trading pair
-   * @param {Object} candle - OHLCV candle data
+   * @param {string} timeframe - Timeframe
+   * @returns {Object} State { pair, timeframe, prices, rsi, volumes, indicators, resumed, lastDivergence }
    */
-  async updateMarketData(pair, candle) {
+  getState(pair, timeframe) {
+    const key = `${pair}:${timeframe}`;
+    if (!this.timeframeState.has(key)) {
+      this.timeframeState.set(key, {
+        pair, timeframe, prices: [], rsi: [], volumes: [], indicators: this.createIndicators(), resumed: false, lastDivergence: null
+      });
+    }
+    return this.timeframeState.get(key);
+  }
+
+  /**
+   * Create the streaming indicators of a timeframe
+   * @returns {Object} Indicators { timestamp, rsi, atr, adx, volumeMA }, timestamp of the last bar they include
+   */
+  createIndicators() {
+    return {
+      timestamp: null,
+      rsi: new StreamingRSI(config.strategy.rsiPeriod),
+      atr: new StreamingATR(TREND_PERIOD),
+      adx: new StreamingADX(TREND_PERIOD),
+      volumeMA: new StreamingSMA(config.strategy.volumeMAPeriod)
+    };
+  }
+
+  /**
+   * Resume the streaming indicators of a timeframe from Redis, with the RSI history
+   * of the bars they include so divergence detection does not wait for new bars
+   * @param {string} pair - Trading pair
+   * @param {string} timeframe - Timeframe
+   */
+  async restoreIndicators(pair, timeframe) {
+    const state = this.getState(pair, timeframe);
+    const saved = await redisClient.getIndicatorState(pair, timeframe);
+    if (!saved) return;
+
     try {
-      const { timestamp, open, high, low, close, volume } = candle;
-      
-      // Update price data
-      const pricePoint = { timestamp, price: close };
-      const prices = this.priceData.get(pair) || [];
-      prices.push(pricePoint);
-      
-      // Keep only last 1000 candles in memory
-      if (prices.length > config.performance.maxCandlesInMemory) {
-        prices.shift();
-      }
-      this.priceData.set(pair, prices);
+      const indicators = { timestamp: saved.timestamp };
+      for (const [name, indicator] of Object.entries(this.createIndicators())) {
+        if (name === 'timestamp') continue;
 
-      // Update volume data
-      const volumePoint = { timestamp, volume, high, low };
-      const volumes = this.volumeData.get(pair) || [];
-      volumes.push(volumePoint);
-      
-      if (volumes.length > config.performance.maxCandlesInMemory) {
-        volumes.shift();
+        indicators[name] = restoreIndicator(saved[name]);
+        if (indicators[name].period !== indicator.period) {
+          throw new Error(`${name} period changed from ${indicators[name].period} to ${indicator.period}`);
+        }
       }
-      this.volumeData.set(pair, volumes);
+      state.indicators = indicators;
+      state.resumed = true; // The next bar must directly follow the saved one
+    } catch (error) {
+      logger.warn(`Discarding indicator state of ${pair} ${timeframe}: ${error.message}`);
+      return;
+    }
+
+    const from = saved.timestamp - config.performance.maxCandlesInMemory * CandleAggregator.getDuration(timeframe);
+    state.rsi = (await redisClient.getRSIHistory(pair, from, saved.timestamp, timeframe)).slice(-config.performance.maxCandlesInMemory);
+
+    logger.info(`Resumed ${timeframe} indicators for ${pair} at ${new Date(saved.timestamp).toISOString()}`);
+  }
+
+  /**
+   * Update market data for a trading pair. Closed 1m candles also feed the
+   * higher timeframe bars, and divergences are detected on every bar close.
+   * @param {string} pair - Trading pair
+   * @param {Object} candle - Closed OHLCV candle
+   * @param {string} timeframe - Candle timeframe, 1m for the real-time stream
+   * @param {Object} options - { historical } true while seeding history, divergences are not published
+   */
+  async updateMarketData(pair, candle, timeframe = CandleAggregator.BASE_TIMEFRAME, { historical = false } = {}) {
+    try {
+      const updated = [];
+
+      if (timeframe !== CandleAggregator.BASE_TIMEFRAME) {
+        // Complete bar, e.g. exchange history of a higher timeframe
+        if (await this.updateBar(pair, timeframe, candle)) updated.push(timeframe);
+      } else {
+        if (this.timeframes.includes(timeframe) && await this.updateBar(pair, timeframe, candle)) {
+          updated.push(timeframe);
+        }
 
-      // Calculate and update RSI
-      await this.updateRSI(pair);
+        // Store in Redis for persistence
+        await redisClient.setPriceData(pair, candle.timestamp, candle.close, candle.volume);
 
-      // Store in Redis for persistence
-      await redisClient.setPriceData(pair, timestamp, close, volume);
+        for (const bar of this.candleAggregator.add(pair, candle)) {
+          if (await this.updateBar(pair, bar.timeframe, bar)) updated.push(bar.timeframe);
+        }
+      }
 
-      // Check for divergences
-      await this.detectDivergences(pair);
+      // Check for divergences once every timeframe closing with the candle is up to date, and on the
+      // primary timeframe last, so its confirmation sees the current bars and divergences of the others
+      updated.sort((a, b) => (a === config.signals.primaryTimeframe) - (b === config.signals.primaryTimeframe));
+      for (const updatedTimeframe of updated) {
+        await this.detectDivergences(pair, updatedTimeframe, { historical });
+      }
 
     } catch (error) {
       logger.error(`Failed to update market data for ${pair}:`, error);
@@ -96,215 +169,447 @@ class RSIDivergenceEngine {
   }
 
   /**
-   * Calculate and update RSI for a trading pair
+   * Append a closed bar to the state of a timeframe and update its indicators
    * @param {string} pair - Trading pair
+   * @param {string} timeframe - Timeframe
+   * @param {Object} candle - OHLCV bar
+   * @returns {Promise<boolean>} Whether the bar was added
    */
-  async updateRSI(pair) {
+  async updateBar(pair, timeframe, candle) {
     try {
-      const prices = this.priceData.get(pair) || [];
-      
-      if (prices.length < config.strategy.rsiPeriod + 1) {
-        return; // Not enough data yet
+      const state = this.getState(pair, timeframe);
+      const last = state.prices[state.prices.length - 1];
+
+      if (last && candle.timestamp <= last.timestamp) {
+        return false; // Already have this bar (history overlapping the stream)
       }
 
-      // Extract closing prices
-      const closePrices = prices.map(p => p.price);
-      
-      // Calculate RSI
-      const rsiValues = technicalIndicators.calculateRSI(closePrices, config.strategy.rsiPeriod);
-      
-      if (rsiValues.length === 0) {
-        return;
+      if (candle.partial) {
+        // The aggregator missed the start of the bar, take it from the exchange
+        candle = await this.fetchBar(pair, timeframe, candle.timestamp);
+        if (!candle) return false;
       }
 
-      // Get the latest RSI value
-      const latestRSI = rsiValues[rsiValues.length - 1];
-      const latestTimestamp = prices[prices.length - 1].timestamp;
+      const { timestamp, high, low, close, volume } = candle;
 
-      // Update RSI data
-      const rsiPoint = { timestamp: latestTimestamp, rsi: latestRSI };
-      const rsiHistory = this.rsiData.get(pair) || [];
-      rsiHistory.push(rsiPoint);
+      // Update price data
+      state.prices.push({ timestamp, price: close });
       
-      if (rsiHistory.length > config.performance.maxCandlesInMemory) {
-        rsiHistory.shift();
+      // Keep only last 1000 candles in memory
+      if (state.prices.length > config.performance.maxCandlesInMemory) {
+        state.prices.shift();
       }
-      this.rsiData.set(pair, rsiHistory);
 
-      // Store in Redis
-      await redisClient.setRSIData(pair, latestTimestamp, latestRSI);
+      // Update volume data
+      state.volumes.push({ timestamp, volume, high, low });
+      
+      if (state.volumes.length > config.performance.maxCandlesInMemory) {
+        state.volumes.shift();
+      }
 
-      logger.debug(`RSI updated for ${pair}: ${latestRSI.toFixed(2)}`);
+      // Update RSI, ATR, ADX and volume MA
+      await this.updateIndicators(pair, timeframe, candle);
+      return true;
 
     } catch (error) {
-      logger.error(`Failed to update RSI for ${pair}:`, error);
+      logger.error(`Failed to update ${timeframe} bar for ${pair}:`, error);
+      return false;
     }
   }
 
   /**
-   * Detect RSI divergences for a trading pair - IMPROVED VERSION
+   * Fetch a closed bar from the exchange
    * @param {string} pair - Trading pair
+   * @param {string} timeframe - Timeframe
+   * @param {number} timestamp - Bar open time
+   * @returns {Promise<Object|null>} Bar, null when the exchange does not have it
    */
-  async detectDivergences(pair) {
+  async fetchBar(pair, timeframe, timestamp) {
     try {
-      const prices = this.priceData.get(pair) || [];
-      const rsiData = this.rsiData.get(pair) || [];
+      const klines = await getExchangeForPair(pair).getKlines(pair, timeframe, { limit: 3 });
+      const bar = (klines || []).find(kline => kline.timestamp === timestamp);
 
-      if (prices.length < 20 || rsiData.length < 20) {
-        return; // Need at least 20 points for reliable divergence detection
+      if (!bar) {
+        logger.debug(`Skipping partial ${timeframe} bar of ${pair} at ${new Date(timestamp).toISOString()}`);
       }
+      return bar || null;
+    } catch (error) {
+      logger.error(`Failed to fetch ${timeframe} bar for ${pair}:`, error);
+      return null;
+    }
+  }
 
-      // Use recent data (last 50 points for analysis)
-      const recentPrices = prices.slice(-50);
-      const recentRSI = rsiData.slice(-50);
+  /**
+   * Update the streaming indicators of a timeframe with a closed bar
+   * @param {string} pair - Trading pair
+   * @param {string} timeframe - Timeframe
+   * @param {Object} candle - OHLCV bar
+   */
+  async updateIndicators(pair, timeframe, candle) {
+    try {
+      const state = this.getState(pair, timeframe);
 
-      // Find local extremes with smaller lookback for more sensitivity
-      const priceExtremes = this.findLocalExtremes(recentPrices, 2);
-      const rsiExtremes = this.findRSIExtremes(recentRSI, 2);
+      if (state.indicators.timestamp !== null && candle.timestamp <= state.indicators.timestamp) {
+        return; // Already included in the resumed state
+      }
+
+      if (state.resumed) {
+        state.resumed = false;
+
+        // Bars missed while the service was down would make the resumed values drift,
+        // start over from this bar instead (history seeding warms them up again)
+        const expected = state.indicators.timestamp + CandleAggregator.getDuration(timeframe);
+        if (candle.timestamp !== expected) {
+          logger.warn(`Discarding resumed ${timeframe} indicators of ${pair}: expected the ${new Date(expected).toISOString()} bar, got ${new Date(candle.timestamp).toISOString()}`);
+          state.indicators = this.createIndicators();
+          state.rsi = [];
+        }
+      }
 
-      // Check for bullish divergences (price down, RSI up)
-      await this.checkBullishDivergences(pair, priceExtremes.lows, rsiExtremes.lows);
+      const { indicators } = state;
 
-      // Check for bearish divergences (price up, RSI down)
-      await this.checkBearishDivergences(pair, priceExtremes.highs, rsiExtremes.highs);
+      const rsi = indicators.rsi.update(candle.close);
+      indicators.atr.update(candle);
+      indicators.adx.update(candle);
+      indicators.volumeMA.update(candle.volume);
+      indicators.timestamp = candle.timestamp;
+
+      if (rsi !== null) {
+        state.rsi.push({ timestamp: candle.timestamp, rsi: rsi });
+
+        if (state.rsi.length > config.performance.maxCandlesInMemory) {
+          state.rsi.shift();
+        }
+
+        // Store in Redis
+        await redisClient.setRSIData(pair, candle.timestamp, rsi, timeframe);
+
+        logger.debug(`RSI updated for ${pair} on ${timeframe}: ${rsi.toFixed(2)}`);
+      }
+
+      await redisClient.setIndicatorState(pair, timeframe, indicators);
 
     } catch (error) {
-      logger.error(`Failed to detect divergences for ${pair}:`, error);
+      logger.error(`Failed to update indicators for ${pair} on ${timeframe}:`, error);
     }
   }
 
   /**
-   * Check for bullish RSI divergences - FIXED LOGIC
+   * Detect divergences between price and the enabled oscillators for a trading pair.
+   * Oscillators diverging at the same price pivots make a single confluence signal.
    * @param {string} pair - Trading pair
-   * @param {Array} priceLows - Price low points
-   * @param {Array} rsiLows - RSI low points
+   * @param {string} timeframe - Timeframe
+   * @param {Object} options - { historical } record the divergences without publishing them, e.g. while seeding history
    */
-  async checkBullishDivergences(pair, priceLows, rsiLows) {
+  async detectDivergences(pair, timeframe, { historical = false } = {}) {
     try {
-      if (priceLows.length < 2 || rsiLows.length < 2) {
-        return;
+      const prices = this.getState(pair, timeframe).prices;
+
+      if (prices.length < 20) {
+        return; // Need at least 20 points for reliable divergence detection
+      }
+
+      // Use recent data (last 50 points for analysis)
+      const recentPrices = prices.slice(-50);
+
+      // Find local extremes with smaller lookback for more sensitivity
+      const priceExtremes = this.findLocalExtremes(recentPrices, 2);
+
+      const divergences = [];
+      for (const oscillator of oscillators.getEnabled()) {
+        const series = this.getOscillatorSeries(pair, timeframe, oscillator).slice(-50);
+        if (series.length < 20) continue;
+
+        const extremes = this.findOscillatorExtremes(series, 2);
+        divergences.push(...this.findDivergences(oscillator, series, priceExtremes, extremes, recentPrices));
       }
 
-      // Get the two most recent lows
-      const recentPriceLows = priceLows.slice(-2);
-      const recentRSILows = rsiLows.slice(-2);
-
-      for (let i = 0; i < recentPriceLows.length - 1; i++) {
-        for (let j = i + 1; j < recentPriceLows.length; j++) {
-          const priceLow1 = recentPriceLows[i];
-          const priceLow2 = recentPriceLows[j];
-
-          // Find corresponding RSI lows (within reasonable time frame)
-          const rsiLow1 = this.findCorrespondingRSI(rsiLows, priceLow1.timestamp);
-          const rsiLow2 = this.findCorrespondingRSI(rsiLows, priceLow2.timestamp);
-
-          if (!rsiLow1 || !rsiLow2) continue;
-
-          // BULLISH DIVERGENCE: Price makes lower low, RSI makes higher low
-          const priceMakesLowerLow = priceLow2.price < priceLow1.price;
-          const rsiMakesHigherLow = rsiLow2.rsi > rsiLow1.rsi;
-
-          if (priceMakesLowerLow && rsiMakesHigherLow) {
-            // Calculate divergence strength
-            const priceChange = Math.abs((priceLow2.price - priceLow1.price) / priceLow1.price);
-            const rsiChange = Math.abs(rsiLow2.rsi - rsiLow1.rsi);
-            const strength = Math.min(1, (priceChange * 100 + rsiChange) / 20);
-
-            if (strength >= 0.1) { // Lower threshold for testing
-              const divergence = {
-                id: uuid.v4(),
-                pair: pair,
-                type: 'bullish',
-                strength: strength,
-                timestamp: priceLow2.timestamp,
-                pricePoints: [priceLow1, priceLow2],
-                rsiPoints: [rsiLow1, rsiLow2],
-                signal: 'BUY',
-                confidence: this.calculateConfidence(priceChange, rsiChange)
-              };
-
-              await this.processDivergenceSignal(divergence);
+      for (const group of this.groupDivergencesByPivots(divergences)) {
+        // Pivots stay the most recent ones for several candles, report them again only when more oscillators agree
+        const key = `${pair}:${timeframe}:${group.key}`;
+        if ((this.reportedDivergences.get(key) || 0) >= group.divergences.length) continue;
+
+        this.reportedDivergences.set(key, group.divergences.length);
+        if (this.reportedDivergences.size > 1000) {
+          this.reportedDivergences.delete(this.reportedDivergences.keys().next().value);
+        }
+
+        const signal = this.createConfluenceSignal(pair, timeframe, group.divergences);
+
+        // Divergences of replayed history are not new signals, they only count towards confirmation
+        if (!historical) {
+          if (config.signals.multiTimeframeAnalysis && timeframe === config.signals.primaryTimeframe) {
+            signal.confirmation = this.confirmSignal(signal);
+
+            if (signal.confirmation.strength < config.signals.minSignalStrength) {
+              logger.info(`Suppressed ${signal.type} divergence for ${pair} on ${timeframe}: confirmed strength ${signal.confirmation.strength.toFixed(2)} below ${config.signals.minSignalStrength}`);
+              continue;
             }
           }
+
+          await this.processDivergenceSignal(signal);
+        }
+
+        const state = this.getState(pair, timeframe);
+        if (!state.lastDivergence || signal.timestamp >= state.lastDivergence.timestamp) {
+          state.lastDivergence = { id: signal.id, type: signal.type, timestamp: signal.timestamp };
         }
       }
 
     } catch (error) {
-      logger.error(`Failed to check bullish divergences for ${pair}:`, error);
+      logger.error(`Failed to detect divergences for ${pair} on ${timeframe}:`, error);
     }
   }
 
   /**
-   * Check for bearish RSI divergences - FIXED LOGIC
+   * Get an oscillator series for a trading pair
    * @param {string} pair - Trading pair
-   * @param {Array} priceHighs - Price high points
-   * @param {Array} rsiHighs - RSI high points
+   * @param {string} timeframe - Timeframe
+   * @param {string} oscillator - Oscillator key
+   * @returns {Array} Points { timestamp, value }, oldest first
    */
-  async checkBearishDivergences(pair, priceHighs, rsiHighs) {
-    try {
-      if (priceHighs.length < 2 || rsiHighs.length < 2) {
-        return;
-      }
+  getOscillatorSeries(pair, timeframe, oscillator) {
+    // RSI is already updated on every candle
+    if (oscillator === 'rsi') {
+      return this.getState(pair, timeframe).rsi.map(point => ({ timestamp: point.timestamp, value: point.rsi }));
+    }
 
-      // Get the two most recent highs
-      const recentPriceHighs = priceHighs.slice(-2);
-      const recentRSIHighs = rsiHighs.slice(-2);
-
-      for (let i = 0; i < recentPriceHighs.length - 1; i++) {
-        for (let j = i + 1; j < recentPriceHighs.length; j++) {
-          const priceHigh1 = recentPriceHighs[i];
-          const priceHigh2 = recentPriceHighs[j];
-
-          // Find corresponding RSI highs
-          const rsiHigh1 = this.findCorrespondingRSI(rsiHighs, priceHigh1.timestamp);
-          const rsiHigh2 = this.findCorrespondingRSI(rsiHighs, priceHigh2.timestamp);
-
-          if (!rsiHigh1 || !rsiHigh2) continue;
-
-          // BEARISH DIVERGENCE: Price makes higher high, RSI makes lower high
-          const priceMakesHigherHigh = priceHigh2.price > priceHigh1.price;
-          const rsiMakesLowerHigh = rsiHigh2.rsi < rsiHigh1.rsi;
-
-          if (priceMakesHigherHigh && rsiMakesLowerHigh) {
-            // Calculate divergence strength
-            const priceChange = Math.abs((priceHigh2.price - priceHigh1.price) / priceHigh1.price);
-            const rsiChange = Math.abs(rsiHigh2.rsi - rsiHigh1.rsi);
-            const strength = Math.min(1, (priceChange * 100 + rsiChange) / 20);
-
-            if (strength >= 0.1) { // Lower threshold for testing
-              const divergence = {
-                id: uuid.v4(),
-                pair: pair,
-                type: 'bearish',
-                strength: strength,
-                timestamp: priceHigh2.timestamp,
-                pricePoints: [priceHigh1, priceHigh2],
-                rsiPoints: [rsiHigh1, rsiHigh2],
-                signal: 'SELL',
-                confidence: this.calculateConfidence(priceChange, rsiChange)
-              };
-
-              await this.processDivergenceSignal(divergence);
-            }
-          }
-        }
+    const candles = this.getCandles(pair, timeframe).slice(-OSCILLATOR_HISTORY);
+    const values = oscillators.calculate(oscillator, candles);
+
+    return candles
+      .map((candle, index) => ({ timestamp: candle.timestamp, value: values[index] }))
+      .filter(point => point.value !== null && point.value !== undefined);
+  }
+
+  /**
+   * Get the in-memory candles of a trading pair
+   * @param {string} pair - Trading pair
+   * @param {string} timeframe - Timeframe
+   * @returns {Array} Candles { timestamp, high, low, close, volume }, oldest first
+   */
+  getCandles(pair, timeframe) {
+    const { prices, volumes } = this.getState(pair, timeframe);
+
+    // Price and volume points are appended and trimmed together
+    return prices.map((point, index) => ({
+      timestamp: point.timestamp,
+      high: volumes[index]?.high ?? point.price,
+      low: volumes[index]?.low ?? point.price,
+      close: point.price,
+      volume: volumes[index]?.volume ?? 0
+    }));
+  }
+
+  /**
+   * Find divergences between price and an oscillator on the two most recent pivots:
+   * regular ones (price lower low / oscillator higher low and vice versa) and
+   * hidden ones (price higher low / oscillator lower low and vice versa)
+   * @param {string} oscillator - Oscillator key
+   * @param {Array} series - Oscillator points of the analysis window
+   * @param {Object} priceExtremes - Price highs and lows
+   * @param {Object} extremes - Oscillator highs and lows
+   * @param {Array} prices - Price points of the analysis window, for the trend check
+   * @returns {Array} Divergences { oscillator, type, divergenceClass, strength, confidence, pricePoints, points }
+   */
+  findDivergences(oscillator, series, priceExtremes, extremes, prices) {
+    const divergences = [];
+    const { minStrength, pivotTolerance } = oscillators.getSettings(oscillator);
+    // Lagging oscillators peak a few bars after price, allow pivotTolerance bars between the pivots
+    const barDuration = series.length > 1 ? series[series.length - 1].timestamp - series[series.length - 2].timestamp : 0;
+    const tolerance = Math.max(5 * 60 * 1000, pivotTolerance * barDuration);
+
+    for (const type of ['bullish', 'bearish']) {
+      const pricePivots = type === 'bullish' ? priceExtremes.lows : priceExtremes.highs;
+      const oscillatorPivots = type === 'bullish' ? extremes.lows : extremes.highs;
+
+      if (pricePivots.length < 2 || oscillatorPivots.length < 2) continue;
+
+      const [price1, price2] = pricePivots.slice(-2);
+
+      // Find corresponding oscillator pivots (within reasonable time frame)
+      const point1 = this.findCorrespondingPoint(oscillatorPivots, price1.timestamp, tolerance);
+      const point2 = this.findCorrespondingPoint(oscillatorPivots, price2.timestamp, tolerance);
+
+      if (!point1 || !point2 || price2.price === price1.price || point2.value === point1.value) continue;
+
+      const priceRises = price2.price > price1.price;
+      const oscillatorRises = point2.value > point1.value;
+      if (priceRises === oscillatorRises) continue;
+
+      // Bullish: price lower low + oscillator higher low is regular, price higher low + oscillator lower low is hidden
+      // Bearish: price higher high + oscillator lower high is regular, price lower high + oscillator higher high is hidden
+      const divergenceClass = (type === 'bullish') === oscillatorRises ? 'regular' : 'hidden';
+      if (!config.signals.divergenceClasses.includes(divergenceClass)) continue;
+
+      const priceChange = Math.abs((price2.price - price1.price) / price1.price);
+      const oscillatorChange = oscillators.normalizeChange(oscillator, Math.abs(point2.value - point1.value), series);
+
+      const strength = divergenceClass === 'regular'
+        ? Math.min(1, (priceChange * 100 + oscillatorChange) / 20)
+        : this.calculateHiddenStrength(priceChange, oscillatorChange);
+
+      if (strength < minStrength) continue;
+
+      divergences.push({
+        oscillator: oscillator,
+        type: type,
+        divergenceClass: divergenceClass,
+        strength: strength,
+        confidence: divergenceClass === 'regular'
+          ? this.calculateConfidence(priceChange, oscillatorChange)
+          : this.calculateHiddenConfidence(priceChange, oscillatorChange, this.isTrendAligned(prices, type)),
+        pricePoints: [price1, price2],
+        points: [point1, point2]
+      });
+    }
+
+    return divergences;
+  }
+
+  /**
+   * Group divergences of different oscillators found at the same price pivots
+   * @param {Array} divergences - Divergences of every oscillator
+   * @returns {Array} Groups { key, divergences }
+   */
+  groupDivergencesByPivots(divergences) {
+    const groups = new Map();
+
+    for (const divergence of divergences) {
+      const [price1, price2] = divergence.pricePoints;
+      const key = `${divergence.type}:${divergence.divergenceClass}:${price1.timestamp}:${price2.timestamp}`;
+      if (!groups.has(key)) {
+        groups.set(key, { key, divergences: [] });
       }
+      groups.get(key).divergences.push(divergence);
+    }
 
-    } catch (error) {
-      logger.error(`Failed to check bearish divergences for ${pair}:`, error);
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Build a divergence signal from the oscillators diverging at the same pivots
+   * @param {string} pair - Trading pair
+   * @param {string} timeframe - Timeframe the divergences were found on
+   * @param {Array} divergences - Divergences sharing type, class and price pivots
+   * @returns {Object} Divergence signal
+   */
+  createConfluenceSignal(pair, timeframe, divergences) {
+    const [strongest] = [...divergences].sort((a, b) => b.strength - a.strength);
+    const rsi = divergences.find(divergence => divergence.oscillator === 'rsi');
+    const { type, divergenceClass, pricePoints } = strongest;
+
+    // Confluence: strength weighted share of the enabled oscillators that diverge
+    const weightOf = oscillator => oscillators.getSettings(oscillator).weight;
+    const totalWeight = oscillators.getEnabled().reduce((sum, oscillator) => sum + weightOf(oscillator), 0);
+    const score = divergences.reduce((sum, divergence) => sum + weightOf(divergence.oscillator) * divergence.strength, 0) / totalWeight;
+
+    return {
+      id: uuid.v4(),
+      pair: pair,
+      timeframe: timeframe,
+      type: type,
+      divergenceClass: divergenceClass,
+      strength: strongest.strength,
+      timestamp: pricePoints[1].timestamp,
+      pricePoints: pricePoints,
+      rsiPoints: rsi ? rsi.points.map(point => ({ index: point.index, timestamp: point.timestamp, rsi: point.value })) : [],
+      oscillator: strongest.oscillator,
+      oscillators: divergences.map(divergence => divergence.oscillator),
+      confluence: {
+        score: Math.min(1, score),
+        count: divergences.length,
+        divergences: divergences.map(divergence => ({
+          oscillator: divergence.oscillator,
+          name: oscillators.getName(divergence.oscillator),
+          strength: divergence.strength,
+          confidence: divergence.confidence,
+          points: divergence.points
+        }))
+      },
+      signal: type === 'bullish' ? 'BUY' : 'SELL',
+      // Each agreeing oscillator lowers the chance that all of them are wrong
+      confidence: 1 - divergences.reduce((product, divergence) => product * (1 - divergence.confidence), 1)
+    };
+  }
+
+  /**
+   * Score a primary timeframe signal against the confirmation timeframes
+   * @param {Object} signal - Divergence signal
+   * @returns {Object} Confirmation { score, strength, timeframes }, strength averages the
+   *   signal strength with the confirmation score and is what minSignalStrength applies to
+   */
+  confirmSignal(signal) {
+    const timeframes = {};
+    for (const timeframe of config.signals.confirmationTimeframes) {
+      timeframes[timeframe] = this.scoreConfirmationTimeframe(signal, timeframe);
+    }
+
+    const scores = Object.values(timeframes).map(breakdown => breakdown.score);
+    const score = scores.length > 0 ? scores.reduce((sum, value) => sum + value, 0) / scores.length : 0.5;
+
+    return {
+      score: score,
+      strength: (signal.strength + score) / 2,
+      timeframes: timeframes
+    };
+  }
+
+  /**
+   * Score how much a timeframe agrees with a signal, from 0 (against) through 0.5 (neutral) to 1 (agrees).
+   * Components without data yet are neutral.
+   * @param {Object} signal - Divergence signal
+   * @param {string} timeframe - Confirmation timeframe
+   * @returns {Object} Breakdown { trend, rsi, divergence, score }
+   */
+  scoreConfirmationTimeframe(signal, timeframe) {
+    const bullish = signal.type === 'bullish';
+    const indicators = this.getIndicators(signal.pair, timeframe) || {};
+
+    // Trend: +DI / -DI direction, weighted by ADX
+    let trend = { score: 0.5, direction: null, adx: null };
+    if (indicators.adx) {
+      const { adx, pdi, mdi } = indicators.adx;
+      const direction = pdi > mdi ? 'bullish' : 'bearish';
+      const weight = Math.min(1, adx / STRONG_TREND_ADX);
+      trend = { score: direction === signal.type ? 0.5 + weight / 2 : 0.5 - weight / 2, direction, adx };
     }
+
+    // RSI: room left in the signal's direction
+    const rsi = {
+      score: indicators.rsi === null || indicators.rsi === undefined ? 0.5 : (bullish ? 100 - indicators.rsi : indicators.rsi) / 100,
+      value: indicators.rsi ?? null
+    };
+
+    // Divergence: latest divergence on the timeframe within the lookback
+    const since = (indicators.timestamp || signal.timestamp) - CONFIRMATION_LOOKBACK * CandleAggregator.getDuration(timeframe);
+    const lastDivergence = this.timeframeState.get(`${signal.pair}:${timeframe}`)?.lastDivergence;
+    const latest = lastDivergence && lastDivergence.timestamp >= since ? lastDivergence : null;
+    const divergence = {
+      score: !latest ? 0.5 : (latest.type === signal.type ? 1 : 0),
+      type: latest ? latest.type : null,
+      id: latest ? latest.id : null
+    };
+
+    return {
+      trend: trend,
+      rsi: rsi,
+      divergence: divergence,
+      score: (trend.score + rsi.score + divergence.score) / 3
+    };
   }
 
   /**
    * Check volume confirmation for divergence
    * @param {string} pair - Trading pair
+   * @param {string} timeframe - Timeframe
    * @param {number} timestamp - Timestamp to check
    * @param {string} type - Divergence type ('bullish' or 'bearish')
    * @returns {boolean} Whether volume confirms the divergence
    */
-  async checkVolumeConfirmation(pair, timestamp, type) {
+  async checkVolumeConfirmation(pair, timeframe, timestamp, type) {
     try {
-      const volumes = this.volumeData.get(pair) || [];
+      const volumes = this.getState(pair, timeframe).volumes;
       
       if (volumes.length < config.strategy.volumeMAPeriod) {
         return false; // Not enough volume data
@@ -317,15 +622,13 @@ class RSIDivergenceEngine {
         return false;
       }
 
-      // Calculate volume moving average
-      const recentVolumes = volumes.slice(-config.strategy.volumeMAPeriod).map(v => v.volume);
-      const volumeMA = technicalIndicators.calculateSMA(recentVolumes, config.strategy.volumeMAPeriod);
+      // Streamed volume moving average
+      const avgVolume = this.getState(pair, timeframe).indicators.volumeMA.value;
       
-      if (volumeMA.length === 0) {
+      if (!avgVolume) {
         return false;
       }
 
-      const avgVolume = volumeMA[volumeMA.length - 1];
       const volumeRatio = divergenceVolume.volume / avgVolume;
 
       // Volume should be at least 1.5x average for confirmation
@@ -389,27 +692,27 @@ class RSIDivergenceEngine {
   }
 
   /**
-   * Find RSI extremes - IMPROVED
-   * @param {Array} rsiData - RSI data points
+   * Find oscillator extremes - IMPROVED
+   * @param {Array} series - Oscillator points { timestamp, value }
    * @param {number} lookback - Lookback period
    * @returns {Object} Object with highs and lows arrays
    */
-  findRSIExtremes(rsiData, lookback = 2) {
+  findOscillatorExtremes(series, lookback = 2) {
     const highs = [];
     const lows = [];
 
-    for (let i = lookback; i < rsiData.length - lookback; i++) {
-      const current = rsiData[i];
+    for (let i = lookback; i < series.length - lookback; i++) {
+      const current = series[i];
       let isHigh = true;
       let isLow = true;
 
-      // Check if current point is a local RSI extreme
+      // Check if current point is a local oscillator extreme
       for (let j = i - lookback; j <= i + lookback; j++) {
         if (j !== i) {
-          if (rsiData[j].rsi >= current.rsi) {
+          if (series[j].value >= current.value) {
             isHigh = false;
           }
-          if (rsiData[j].rsi <= current.rsi) {
+          if (series[j].value <= current.value) {
             isLow = false;
           }
         }
@@ -419,7 +722,7 @@ class RSIDivergenceEngine {
         highs.push({
           index: i,
           timestamp: current.timestamp,
-          rsi: current.rsi
+          value: current.value
         });
       }
 
@@ -427,7 +730,7 @@ class RSIDivergenceEngine {
         lows.push({
           index: i,
           timestamp: current.timestamp,
-          rsi: current.rsi
+          value: current.value
         });
       }
     }
@@ -436,32 +739,68 @@ class RSIDivergenceEngine {
   }
 
   /**
-   * Find corresponding RSI value for a given timestamp
-   * @param {Array} rsiData - RSI data array
+   * Find the oscillator point corresponding to a price timestamp
+   * @param {Array} points - Oscillator points
    * @param {number} timestamp - Target timestamp
-   * @returns {Object|null} Corresponding RSI point
+   * @param {number} tolerance - Maximum distance in milliseconds, 5 minutes by default
+   * @returns {Object|null} Closest oscillator point within the tolerance
    */
-  findCorrespondingRSI(rsiData, timestamp) {
-    // Find RSI point within 5 minutes of the price timestamp
-    const tolerance = 5 * 60 * 1000; // 5 minutes in milliseconds
-    
-    return rsiData.find(rsi => 
-      Math.abs(rsi.timestamp - timestamp) <= tolerance
-    );
+  findCorrespondingPoint(points, timestamp, tolerance = 5 * 60 * 1000) {
+    return points
+      .filter(point => Math.abs(point.timestamp - timestamp) <= tolerance)
+      .sort((a, b) => Math.abs(a.timestamp - timestamp) - Math.abs(b.timestamp - timestamp))[0];
   }
 
   /**
    * Calculate confidence score for divergence
    * @param {number} priceChange - Price change percentage
-   * @param {number} rsiChange - RSI change
+   * @param {number} oscillatorChange - Oscillator change, in points of a 0-100 oscillator
    * @returns {number} Confidence score (0-1)
    */
-  calculateConfidence(priceChange, rsiChange) {
-    // Higher price change + higher RSI change = higher confidence
+  calculateConfidence(priceChange, oscillatorChange) {
+    // Higher price change + higher oscillator change = higher confidence
     const normalizedPriceChange = Math.min(1, priceChange * 10);
-    const normalizedRSIChange = Math.min(1, rsiChange / 20);
+    const normalizedOscillatorChange = Math.min(1, oscillatorChange / 20);
     
-    return (normalizedPriceChange + normalizedRSIChange) / 2;
+    return (normalizedPriceChange + normalizedOscillatorChange) / 2;
+  }
+
+  /**
+   * Calculate strength of a hidden divergence. The oscillator overshoot carries the
+   * signal, the higher low / lower high of price between pullbacks is usually shallow.
+   * @param {number} priceChange - Price change between the pivots (fraction)
+   * @param {number} oscillatorChange - Oscillator change between the pivots, in points of a 0-100 oscillator
+   * @returns {number} Strength (0-1)
+   */
+  calculateHiddenStrength(priceChange, oscillatorChange) {
+    return Math.min(1, (oscillatorChange + priceChange * 50) / 15);
+  }
+
+  /**
+   * Calculate confidence score for a hidden divergence
+   * @param {number} priceChange - Price change between the pivots (fraction)
+   * @param {number} oscillatorChange - Oscillator change between the pivots, in points of a 0-100 oscillator
+   * @param {boolean} trendAligned - Whether the trend points the signal's way
+   * @returns {number} Confidence score (0-1)
+   */
+  calculateHiddenConfidence(priceChange, oscillatorChange, trendAligned) {
+    const normalizedPriceChange = Math.min(1, priceChange * 20);
+    const normalizedOscillatorChange = Math.min(1, oscillatorChange / 15);
+
+    // Hidden divergences signal continuation, against the trend they are half as reliable
+    return ((normalizedPriceChange + normalizedOscillatorChange) / 2) * (trendAligned ? 1 : 0.5);
+  }
+
+  /**
+   * Whether the latest price is on the signal's side of the average price
+   * @param {Array} prices - Price points
+   * @param {string} type - 'bullish' or 'bearish'
+   * @returns {boolean} Trend agrees with the signal
+   */
+  isTrendAligned(prices, type) {
+    const average = prices.reduce((sum, point) => sum + point.price, 0) / prices.length;
+    const latest = prices[prices.length - 1].price;
+    return type === 'bullish' ? latest > average : latest < average;
   }
 
   /**
@@ -477,11 +816,13 @@ class RSIDivergenceEngine {
       await redisClient.storeDivergenceSignal(divergence);
 
       // Log the divergence
-      logger.divergence(`${divergence.type.toUpperCase()} divergence detected for ${divergence.pair}`, {
+      logger.divergence(`${divergence.divergenceClass === 'hidden' ? 'HIDDEN ' : ''}${divergence.type.toUpperCase()} divergence detected for ${divergence.pair} on ${divergence.timeframe}`, {
         strength: divergence.strength,
         volumeConfirmed: divergence.volumeConfirmed,
-        pricePoints: divergence.pricePoints.map(p => p.price),
-        rsiPoints: divergence.rsiPoints.map(r => r.rsi)
+        oscillators: divergence.oscillators,
+        confluence: divergence.confluence.score,
+        confirmation: divergence.confirmation?.score,
+        pricePoints: divergence.pricePoints.map(p => p.price)
       });
 
       // Publish to trading engine
@@ -506,13 +847,17 @@ class RSIDivergenceEngine {
    * @param {string} pair - Trading pair
    * @param {number} limit - Maximum number of divergences to return
    * @param {string} timeframe - Timeframe for analysis (5m, 1h, 4h, 1d)
+   * @param {string} divergenceClass - Only 'regular' or 'hidden' divergences, both when omitted
    * @returns {Array} Recent divergences
    */
-  async getRecentDivergences(pair, limit = 10, timeframe = '1h') {
+  async getRecentDivergences(pair, limit = 10, timeframe = '1h', divergenceClass = null) {
     try {
+      const matches = d => d.pair === pair && d.timeframe === timeframe &&
+        (!divergenceClass || d.divergenceClass === divergenceClass);
+
       // First, try to get from existing buffer
       let divergences = Array.from(this.divergenceBuffer.values())
-        .filter(d => d.pair === pair)
+        .filter(matches)
         .sort((a, b) => b.timestamp - a.timestamp)
         .slice(0, limit);
 
@@ -523,19 +868,13 @@ class RSIDivergenceEngine {
         
         // Try again after analysis
         divergences = Array.from(this.divergenceBuffer.values())
-          .filter(d => d.pair === pair)
+          .filter(matches)
           .sort((a, b) => b.timestamp - a.timestamp)
           .slice(0, limit);
       }
 
-      // Add timeframe info to each divergence for UI display
-      const enrichedDivergences = divergences.map(d => ({
-        ...d,
-        timeframe: timeframe
-      }));
-
-      logger.info(`Found ${enrichedDivergences.length} divergences for ${pair} on ${timeframe} timeframe`);
-      return enrichedDivergences;
+      logger.info(`Found ${divergences.length} divergences for ${pair} on ${timeframe} timeframe`);
+      return divergences;
     } catch (error) {
       logger.error(`Failed to get recent divergences for ${pair}:`, error);
       return [];
@@ -549,8 +888,7 @@ class RSIDivergenceEngine {
    */
   async analyzeTimeframeForDivergences(pair, timeframe) {
     try {
-      const symbol = pair; // BingX uses dash format: BTC-USDT
-      const klines = await this.bingxClient.getKlines(symbol, timeframe, 100);
+      const klines = await getExchangeForPair(pair).getKlines(pair, timeframe, { limit: 100 });
       
       if (!klines || klines.length < 20) {
         logger.warn(`Insufficient data for divergence analysis: ${klines?.length || 0} candles`);
@@ -561,21 +899,29 @@ class RSIDivergenceEngine {
       const closePrices = klines.map(k => parseFloat(k.close));
       const rsi = technicalIndicators.calculateRSI(closePrices, 14);
       
+      const regular = config.signals.divergenceClasses.includes('regular');
+      const hidden = config.signals.divergenceClasses.includes('hidden');
+
+      // RSI starts `period` candles after the prices
+      const offset = closePrices.length - rsi.length;
+
       // Simple divergence detection on historical data
-      for (let i = 14; i < klines.length - 1; i++) {
+      for (let i = offset + 5; i < klines.length - 1; i++) {
         const price1 = closePrices[i - 5];
         const price2 = closePrices[i];
-        const rsi1 = rsi[i - 5];
-        const rsi2 = rsi[i];
+        const rsi1 = rsi[i - 5 - offset];
+        const rsi2 = rsi[i - offset];
         
         if (price1 && price2 && rsi1 && rsi2) {
           // Check for bullish divergence (price makes lower low, RSI makes higher low)
-          if (price2 < price1 && rsi2 > rsi1 && rsi1 < 40) {
+          if (regular && price2 < price1 && rsi2 > rsi1 && rsi1 < 40) {
             const divergence = {
               id: uuid.v4(),
               pair: pair,
               type: 'bullish',
-              timestamp: parseInt(klines[i].openTime),
+              divergenceClass: 'regular',
+              oscillators: ['rsi'],
+              timestamp: klines[i].timestamp,
               price: price2,
               rsi: rsi2,
               strength: Math.abs(rsi2 - rsi1) / 100,
@@ -583,14 +929,33 @@ class RSIDivergenceEngine {
             };
             this.divergenceBuffer.set(divergence.id, divergence);
           }
+
+          // Check for hidden bullish divergence (price makes higher low, RSI makes lower low)
+          if (hidden && price2 > price1 && rsi2 < rsi1 && rsi2 < 40) {
+            const divergence = {
+              id: uuid.v4(),
+              pair: pair,
+              type: 'bullish',
+              divergenceClass: 'hidden',
+              oscillators: ['rsi'],
+              timestamp: klines[i].timestamp,
+              price: price2,
+              rsi: rsi2,
+              strength: Math.abs(rsi1 - rsi2) / 100,
+              timeframe: timeframe
+            };
+            this.divergenceBuffer.set(divergence.id, divergence);
+          }
           
           // Check for bearish divergence (price makes higher high, RSI makes lower high)
-          if (price2 > price1 && rsi2 < rsi1 && rsi1 > 60) {
+          if (regular && price2 > price1 && rsi2 < rsi1 && rsi1 > 60) {
             const divergence = {
               id: uuid.v4(),
               pair: pair,
               type: 'bearish',
-              timestamp: parseInt(klines[i].openTime),
+              divergenceClass: 'regular',
+              oscillators: ['rsi'],
+              timestamp: klines[i].timestamp,
               price: price2,
               rsi: rsi2,
               strength: Math.abs(rsi1 - rsi2) / 100,
@@ -598,6 +963,23 @@ class RSIDivergenceEngine {
             };
             this.divergenceBuffer.set(divergence.id, divergence);
           }
+
+          // Check for hidden bearish divergence (price makes lower high, RSI makes higher high)
+          if (hidden && price2 < price1 && rsi2 > rsi1 && rsi2 > 60) {
+            const divergence = {
+              id: uuid.v4(),
+              pair: pair,
+              type: 'bearish',
+              divergenceClass: 'hidden',
+              oscillators: ['rsi'],
+              timestamp: klines[i].timestamp,
+              price: price2,
+              rsi: rsi2,
+              strength: Math.abs(rsi2 - rsi1) / 100,
+              timeframe: timeframe
+            };
+            this.divergenceBuffer.set(divergence.id, divergence);
+          }
         }
       }
       
@@ -614,7 +996,12 @@ class RSIDivergenceEngine {
    */
   async getCurrentRSI(pair, timeframe = '1h') {
     try {
-      // Always fetch fresh data from BingX for accurate real-time RSI
+      // Streamed RSI of the last closed bar, tracked timeframes need no exchange request
+      const streamed = this.getLatestRSI(pair, timeframe);
+      if (streamed !== null) {
+        return streamed;
+      }
+
       logger.info(`Fetching fresh RSI data for ${pair} on ${timeframe} timeframe`);
       return await this.fetchAndCalculateRSI(pair, timeframe);
       
@@ -632,13 +1019,12 @@ class RSIDivergenceEngine {
    */
   async fetchAndCalculateRSI(pair, timeframe) {
     try {
-      // BingX uses the dash format (BTC-USDT), so no conversion needed
-      const symbol = pair; // Keep original format: BTC-USDT
+      const symbol = pair;
       
       // Fetch more candles to ensure we have enough data for accurate RSI
       // Use 100 candles to get more historical context
       logger.info(`Fetching ${symbol} klines for ${timeframe} timeframe`);
-      const klines = await this.bingxClient.getKlines(symbol, timeframe, 100);
+      const klines = await getExchangeForPair(pair).getKlines(pair, timeframe, { limit: 100 });
       
       if (!klines || klines.length < 15) {
         logger.warn(`Insufficient data for RSI calculation: ${klines?.length || 0} candles`);
@@ -674,15 +1060,6 @@ class RSIDivergenceEngine {
           logger.info(`Previous RSI: ${previousRSI.toFixed(2)}, Change: ${(currentRSI - previousRSI).toFixed(2)}`);
         }
         
-        // Store the calculated data for future reference (but always fetch fresh)
-        const timeframedKey = `${pair}_${timeframe}`;
-        const newRSIData = klines.map((candle, index) => ({
-          timestamp: parseInt(candle.timestamp),
-          rsi: rsi[index] || null
-        })).filter(item => item.rsi !== null);
-
-        this.rsiData.set(timeframedKey, newRSIData);
-        
         return currentRSI;
       }
       
@@ -695,6 +1072,35 @@ class RSIDivergenceEngine {
     }
   }
 
+  /**
+   * Get the latest streamed RSI of a trading pair
+   * @param {string} pair - Trading pair
+   * @param {string} timeframe - Timeframe
+   * @returns {number|null} RSI of the last closed bar
+   */
+  getLatestRSI(pair, timeframe = CandleAggregator.BASE_TIMEFRAME) {
+    return this.timeframeState.get(`${pair}:${timeframe}`)?.indicators.rsi.value ?? null;
+  }
+
+  /**
+   * Get the streamed indicators of a trading pair
+   * @param {string} pair - Trading pair
+   * @param {string} timeframe - Timeframe
+   * @returns {Object|null} { timestamp, rsi, atr, adx: { adx, pdi, mdi }, volumeMA }, null for untracked timeframes
+   */
+  getIndicators(pair, timeframe) {
+    const indicators = this.timeframeState.get(`${pair}:${timeframe}`)?.indicators;
+    if (!indicators) return null;
+
+    return {
+      timestamp: indicators.timestamp,
+      rsi: indicators.rsi.value,
+      atr: indicators.atr.value,
+      adx: indicators.adx.value,
+      volumeMA: indicators.volumeMA.value
+    };
+  }
+
   /**
    * Get engine statistics
    * @returns {Object} Engine statistics
@@ -703,17 +1109,26 @@ class RSIDivergenceEngine {
     try {
       const stats = {
         divergencesDetected: this.divergenceBuffer.size,
-        pairsMonitored: this.priceData.size,
+        pairsMonitored: new Set(Array.from(this.timeframeState.values()).map(state => state.pair)).size,
+        timeframes: this.timeframes,
         dataPoints: {}
       };
 
-      for (const [pair, data] of this.priceData.entries()) {
-        stats.dataPoints[pair] = {
-          pricePoints: data.length,
-          rsiPoints: (this.rsiData.get(pair) || []).length,
-          volumePoints: (this.volumeData.get(pair) || []).length,
-          currentRSI: this.getCurrentRSI(pair)
+      for (const state of this.timeframeState.values()) {
+        const points = {
+          pricePoints: state.prices.length,
+          rsiPoints: state.rsi.length,
+          volumePoints: state.volumes.length,
+          currentRSI: this.getLatestRSI(state.pair, state.timeframe),
+          indicators: this.getIndicators(state.pair, state.timeframe)
         };
+
+        // Top level counts are the 1m stream's, as before timeframes were tracked
+        stats.dataPoints[state.pair] = stats.dataPoints[state.pair] || { timeframes: {} };
+        stats.dataPoints[state.pair].timeframes[state.timeframe] = points;
+        if (state.timeframe === CandleAggregator.BASE_TIMEFRAME) {
+          Object.assign(stats.dataPoints[state.pair], points);
+        }
       }
 
       return stats;
@@ -0,0 +1,231 @@
+const uuid = require('uuid');
+const redisClient = require('../utils/redis-client');
+const logger = require('../utils/logger');
+const auditLog = require('../utils/audit-log');
+
+// How long command IDs (and their results) are remembered for deduplication
+const COMMAND_TTL_SECONDS = 24 * 60 * 60;
+
+const COMMAND_TYPES = ['close-all-positions', 'close-position', 'pause-trading', 'resume-trading'];
+
+/**
+ * Trading Command Executor - consumes the `trading-commands` channel
+ * (emergency stops, dashboard actions) and applies each command to the
+ * manual trading engine's paper and live trades.
+ *
+ * Command:  { commandId, type, reason, requestedBy, tradeId|positionId (close-position), pair (close-all-positions, optional) }
+ * Ack:      { commandId, type, status: 'completed'|'partial'|'failed', results, error, receivedAt, completedAt }
+ *
+ * Every command ID is claimed in Redis with SET NX before it runs, so a
+ * command delivered twice (or to several instances) is executed once. The
+ * outcome is published on `trading-command-acks`.
+ */
+class TradingCommandExecutor {
+  constructor(manualTradingEngine) {
+    this.manualTradingEngine = manualTradingEngine;
+  }
+
+  /**
+   * Subscribe to the trading commands channel
+   */
+  async initialize() {
+    await redisClient.subscribe('trading-commands', (command) => {
+      this.handleCommand(command);
+    });
+
+    logger.info('✅ Trading command executor listening on trading-commands');
+  }
+
+  /**
+   * Build and publish a command
+   * @param {string} type - Command type
+   * @param {Object} params - Command parameters
+   * @returns {Promise<Object>} Published command
+   */
+  async sendCommand(type, params = {}) {
+    if (!COMMAND_TYPES.includes(type)) {
+      throw new Error(`Unknown trading command: ${type} (available: ${COMMAND_TYPES.join(', ')})`);
+    }
+
+    if (type === 'close-position' && !params.tradeId && !params.positionId) {
+      throw new Error('close-position requires a tradeId');
+    }
+
+    const command = { ...params, commandId: uuid.v4(), type: type, timestamp: Date.now() };
+    await redisClient.publish('trading-commands', command);
+    return command;
+  }
+
+  /**
+   * Execute a command once and acknowledge it
+   * @param {Object} command - Trading command
+   */
+  async handleCommand(command) {
+    if (!command || typeof command !== 'object' || !command.type) {
+      logger.warn('Ignoring malformed trading command', { command });
+      return;
+    }
+
+    // Commands published without an ID cannot be deduplicated, give them one for the ack
+    const commandId = command.commandId || uuid.v4();
+    const ack = {
+      commandId: commandId,
+      type: command.type,
+      status: 'completed',
+      results: [],
+      error: null,
+      receivedAt: Date.now(),
+      completedAt: null
+    };
+
+    try {
+      const claimed = await redisClient.client.set(
+        `trading-command:${commandId}`,
+        JSON.stringify({ ...ack, status: 'processing' }),
+        'EX', COMMAND_TTL_SECONDS, 'NX'
+      );
+
+      if (!claimed) {
+        logger.info(`Trading command ${commandId} (${command.type}) already handled, skipping`);
+        return;
+      }
+    } catch (error) {
+      // Without Redis there is no deduplication, but an emergency stop must still flatten
+      logger.error(`Failed to claim trading command ${commandId}:`, error);
+    }
+
+    try {
+      logger.risk(`Executing trading command: ${command.type}`, { commandId, reason: command.reason, requestedBy: command.requestedBy });
+      ack.results = await this.execute(command);
+
+      const failed = ack.results.filter(result => result.status === 'failed').length;
+      if (failed > 0) {
+        ack.status = failed === ack.results.length ? 'failed' : 'partial';
+      }
+    } catch (error) {
+      logger.error(`Trading command ${commandId} (${command.type}) failed:`, error);
+      ack.status = 'failed';
+      ack.error = error.message;
+    }
+
+    ack.completedAt = Date.now();
+    await auditLog.record(`command.${command.type}`, {
+      actor: command.requestedBy,
+      pair: command.pair,
+      targetId: commandId,
+      details: {
+        reason: command.reason || null,
+        tradeId: command.tradeId || command.positionId || null,
+        status: ack.status,
+        error: ack.error,
+        results: ack.results.map(result => ({ tradeId: result.tradeId, status: result.status }))
+      }
+    });
+    await this.acknowledge(ack);
+  }
+
+  /**
+   * Apply a command to the manual trading engine
+   * @param {Object} command - Trading command
+   * @returns {Promise<Array>} Per trade results
+   */
+  async execute(command) {
+    switch (command.type) {
+      case 'close-all-positions': {
+        const trades = this.manualTradingEngine.manualTrades.filter(trade =>
+          (trade.status === 'ACTIVE' || trade.status === 'PENDING') &&
+          (!command.pair || trade.pair === command.pair)
+        );
+        const results = [];
+        for (const trade of trades) {
+          results.push(await this.flatten(trade, command));
+        }
+        return results;
+      }
+
+      case 'close-position': {
+        const tradeId = command.tradeId || command.positionId;
+        const trade = tradeId && this.manualTradingEngine.getManualTrade(tradeId);
+        if (!trade) {
+          throw new Error(`Trade ${tradeId} not found`);
+        }
+        return [await this.flatten(trade, command)];
+      }
+
+      case 'pause-trading':
+        this.manualTradingEngine.setTradingPaused(true, command.reason || 'Paused by trading command');
+        return [];
+
+      case 'resume-trading':
+        this.manualTradingEngine.setTradingPaused(false);
+        return [];
+
+      default:
+        throw new Error(`Unknown trading command: ${command.type}`);
+    }
+  }
+
+  /**
+   * Close an active trade, or cancel the entry of a pending live trade
+   * @param {Object} trade - Manual trade
+   * @param {Object} command - Command closing it
+   * @returns {Promise<Object>} Result: { tradeId, pair, status: 'closed'|'cancelled'|'skipped'|'failed', pnl, error }
+   */
+  async flatten(trade, command = {}) {
+    const result = { tradeId: trade.id, pair: trade.pair, executionType: trade.executionType };
+
+    // Commands without a requester come from the risk manager (emergency stop)
+    const requestedBy = command.requestedBy || 'system';
+
+    try {
+      if (trade.status === 'PENDING') {
+        await this.manualTradingEngine.cancelPendingTrade(trade.id, { canceledBy: requestedBy });
+        // A partial fill leaves an open position behind, close that too
+        if (trade.status !== 'ACTIVE') {
+          return { ...result, status: 'cancelled' };
+        }
+      }
+
+      if (trade.status !== 'ACTIVE') {
+        return { ...result, status: 'skipped', error: `Trade is ${trade.status}` };
+      }
+
+      const closed = await this.manualTradingEngine.closeManualTrade(trade.id, { closedBy: requestedBy });
+      return { ...result, status: 'closed', pnl: closed.pnl };
+
+    } catch (error) {
+      return { ...result, status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Store and publish a command acknowledgement
+   * @param {Object} ack - Acknowledgement
+   */
+  async acknowledge(ack) {
+    try {
+      await redisClient.client.set(`trading-command:${ack.commandId}`, JSON.stringify(ack), 'EX', COMMAND_TTL_SECONDS);
+      await redisClient.publish('trading-command-acks', ack);
+      logger.risk(`Trading command ${ack.type} ${ack.status}`, { commandId: ack.commandId, results: ack.results.length });
+    } catch (error) {
+      logger.error(`Failed to acknowledge trading command ${ack.commandId}:`, error);
+    }
+  }
+
+  /**
+   * Get the state of a command
+   * @param {string} commandId - Command ID
+   * @returns {Promise<Object|null>} Acknowledgement, or the processing marker while it runs
+   */
+  async getCommand(commandId) {
+    try {
+      const data = await redisClient.client.get(`trading-command:${commandId}`);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      logger.error(`Error getting trading command ${commandId}:`, error);
+      return null;
+    }
+  }
+}
+
+module.exports = TradingCommandExecutor;
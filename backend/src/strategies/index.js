@@ -0,0 +1,38 @@
+const Strategy = require('./strategy');
+const RsiConfluenceStrategy = require('./rsi-confluence-strategy');
+const config = require('../utils/config');
+
+const STRATEGIES = {
+  'rsi-confluence': RsiConfluenceStrategy
+};
+
+/**
+ * Create a strategy by name, ready to receive candles
+ * @param {string} name - Strategy key (defaults to the configured strategy)
+ * @param {Object} params - Strategy parameters
+ * @param {Array} history - Closed candles to warm up with, oldest first
+ * @returns {Strategy} Initialized strategy
+ */
+function createStrategy(name = config.strategy.name, params = {}, history = []) {
+  const StrategyClass = STRATEGIES[(name || '').toLowerCase()];
+  if (!StrategyClass) {
+    throw new Error(`Unknown strategy: ${name} (available: ${Object.keys(STRATEGIES).join(', ')})`);
+  }
+
+  return new StrategyClass().init(params, history);
+}
+
+/**
+ * List available strategies with their parameter schemas
+ * @returns {Array} Strategy descriptions
+ */
+function listStrategies() {
+  return Object.values(STRATEGIES).map(StrategyClass => new StrategyClass().describe());
+}
+
+module.exports = {
+  Strategy,
+  RsiConfluenceStrategy,
+  createStrategy,
+  listStrategies
+};
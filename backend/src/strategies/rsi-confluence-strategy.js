@@ -0,0 +1,363 @@
+const { ADX, SMA } = require('technicalindicators');
+const Strategy = require('./strategy');
+const config = require('../utils/config');
+
+// Divergence classes traded by default, the same ones the divergence engine detects
+const { divergenceClasses } = config.signals;
+
+const PARAM_SCHEMA = {
+  rsiPeriod: { type: 'integer', default: 14, min: 2, max: 100, description: 'RSI period' },
+  adxPeriod: { type: 'integer', default: 14, min: 2, max: 100, description: 'ADX period' },
+  smaPeriod: { type: 'integer', default: 50, min: 2, max: 500, description: 'Long SMA period used by the trend filter' },
+  useLongSMA: { type: 'boolean', default: false, description: 'Filter entries against the long SMA' },
+  onlyLongs: { type: 'boolean', default: false, description: 'With useLongSMA, skip entries below the long SMA' },
+  onlyShorts: { type: 'boolean', default: false, description: 'With useLongSMA, skip entries above the long SMA' },
+  wmTolerance: { type: 'number', default: 10, min: 0, max: 50, description: 'RSI tolerance for W/M patterns' },
+  rsiLower: { type: 'number', default: 30, min: 0, max: 100, description: 'RSI level for W patterns' },
+  rsiUpper: { type: 'number', default: 70, min: 0, max: 100, description: 'RSI level for M patterns' },
+  minStrength: { type: 'number', default: 0.02, min: 0, max: 1, description: 'Minimum RSI extreme strength' },
+  minDivergenceStrength: { type: 'number', default: 0.05, min: 0, max: 1, description: 'Minimum price move between divergence pivots' },
+  regularDivergences: { type: 'boolean', default: divergenceClasses.includes('regular'), description: 'Trade regular divergences (price lower low / RSI higher low and vice versa)' },
+  hiddenDivergences: { type: 'boolean', default: divergenceClasses.includes('hidden'), description: 'Trade hidden divergences (price higher low / RSI lower low and vice versa)' },
+  entryMinStrength: { type: 'number', default: 0.05, min: 0, max: 1, description: 'Minimum combined signal strength to enter' },
+  minAdx: { type: 'number', default: 20, min: 0, max: 100, description: 'Minimum ADX to enter' },
+  minVolumeRatio: { type: 'number', default: 1.5, min: 0, max: 10, description: 'Minimum volume against the 5 candle average to enter' }
+};
+
+/**
+ * RSI Confluence Strategy - RSI W/M patterns, volume surges, candlestick
+ * patterns, RSI/price divergences, RSI extremes and a short trend signal,
+ * combined and filtered by ADX, volume, RSI momentum and signal quality.
+ */
+class RsiConfluenceStrategy extends Strategy {
+  constructor() {
+    super('rsi-confluence', 'RSI W/M patterns, divergences and extremes confirmed by volume, candlesticks and ADX', PARAM_SCHEMA);
+    this.warmupCandles = 50;
+  }
+
+  reset() {
+    this.rsiValues = [];
+    this.rsiState = { lastClose: undefined, count: 0, avgGain: 0, avgLoss: 0 };
+    this.adxIndicator = new ADX({ period: this.params.adxPeriod, high: [], low: [], close: [] });
+    this.smaIndicator = new SMA({ period: this.params.smaPeriod, values: [] });
+    this.adx = undefined;
+    this.smaLong = undefined;
+  }
+
+  onCandle(candle) {
+    super.onCandle(candle);
+
+    this.rsiValues.push(this.nextRSI(candle.close));
+    if (this.rsiValues.length > this.candles.length) {
+      this.rsiValues.shift();
+    }
+
+    this.adx = this.adxIndicator.nextValue({ high: candle.high, low: candle.low, close: candle.close })?.adx;
+    this.smaLong = this.smaIndicator.nextValue(candle.close);
+  }
+
+  /**
+   * Next Wilder RSI value. The first rsiPeriod candles read 50.
+   * @param {number} close - Close price
+   * @returns {number} RSI
+   */
+  nextRSI(close) {
+    const period = this.params.rsiPeriod;
+    const state = this.rsiState;
+    const prev = state.lastClose;
+    state.lastClose = close;
+
+    if (prev === undefined) return 50;
+
+    const d = close - prev;
+    const gain = Math.max(d, 0), loss = Math.max(-d, 0);
+    state.count++;
+
+    if (state.count <= period) {
+      // Seed with the simple average of the first period changes
+      state.avgGain += gain;
+      state.avgLoss += loss;
+      if (state.count < period) return 50;
+      state.avgGain /= period;
+      state.avgLoss /= period;
+      return 100 - (100 / (1 + state.avgGain / state.avgLoss));
+    }
+
+    state.avgGain = ((state.avgGain * (period - 1)) + gain) / period;
+    state.avgLoss = ((state.avgLoss * (period - 1)) + loss) / period;
+    return state.avgLoss === 0 ? 100 : 100 - (100 / (1 + state.avgGain / state.avgLoss));
+  }
+
+  generateSignal() {
+    if (this.candleCount <= this.warmupCandles) return null;
+
+    const p = this.params;
+    const n = this.candles.length;
+    const candle = this.candles[n - 1];
+    const price = candle.close;
+    const rsi = this.rsiValues[n - 1];
+
+    // Trend filter via SMA long
+    if (p.useLongSMA && this.smaLong !== undefined) {
+      if (p.onlyLongs && price < this.smaLong) return null;
+      if (p.onlyShorts && price > this.smaLong) return null;
+    }
+
+    // Recent slices for pattern functions
+    const recentPrices = this.candles.slice(-31);
+    const recentRSI = this.rsiValues.slice(-31);
+
+    const wmSignal = this.detectWMPatterns(recentPrices, recentRSI, p.wmTolerance, p.rsiLower, p.rsiUpper);
+    const volumeSignal = this.analyzeVolumePattern(recentPrices, recentPrices.length - 1);
+    const candleSignal = this.analyzeCandlestickPatterns(recentPrices, recentPrices.length - 1);
+    const divSignal = this.detectDivergence(recentPrices, recentRSI, p.minDivergenceStrength, { regular: p.regularDivergences, hidden: p.hiddenDivergences });
+    const rsiExtreme = this.detectRSIExtremes(rsi, p.minStrength);
+    const trendSignal = this.detectTrendSignal(recentPrices, rsi);
+
+    // Combine signals with priority
+    const signal = trendSignal && trendSignal.strength > 0.3
+      ? trendSignal
+      : this.combineSignalsSimplified(wmSignal, volumeSignal, candleSignal, divSignal, rsiExtreme);
+
+    if (!signal || signal.strength < p.entryMinStrength) return null;
+
+    const avgVol = this.candles.slice(n - 6, n - 1).reduce((sum, c) => sum + c.volume, 0) / 5;
+    const volumeRatio = candle.volume / avgVol;
+    const adxCheck = this.adx >= p.minAdx;
+    const volCheck = volumeRatio >= p.minVolumeRatio;
+
+    // Filtro RSI con confirmación de debilidad del momentum Y SOLO señales débiles/moderadas
+    const recentChange = (price - this.candles[n - 4].close) / this.candles[n - 4].close;
+    let rsiConfirm = false;
+    if (signal.type === 'bullish' && rsi < 30) {
+      // Para compra: momentum bajista débil (no cae más del 3% en 3 velas) + señal débil
+      rsiConfirm = recentChange > -0.03 && signal.strength < 0.50;
+    } else if (signal.type === 'bearish' && rsi > 70) {
+      // Para venta: momentum alcista débil (no sube más del 3% en 3 velas) + señal débil
+      rsiConfirm = recentChange < 0.03 && signal.strength < 0.50;
+    }
+
+    // Filtro de calidad: SOLO señales débiles para evitar manipulación
+    const multiSignalConfirm = signal.source === 'combined' && signal.confirmations >= 2;
+    const weakSignal = signal.strength >= 0.3 && signal.strength < 0.50;
+    const signalQuality = multiSignalConfirm || weakSignal;
+
+    if (!(adxCheck && volCheck && rsiConfirm && signalQuality)) return null;
+
+    return { ...signal, rsi: rsi, adx: this.adx, volumeRatio: volumeRatio };
+  }
+
+  // W/M pattern detection con umbrales más permisivos
+  detectWMPatterns(prices, rsi, tol=10, low=30, high=70) {
+    if (rsi.length < 5) return null;
+    const order = 2;
+    const minima = this.findLocalExtrema(rsi,'minima',order);
+    const maxima = this.findLocalExtrema(rsi,'maxima',order);
+    const i = rsi.length-1;
+    if (minima.includes(i-1)||minima.includes(i-2)) {
+      const idx = minima.includes(i-1)?i-1:i-2;
+      if (rsi[idx] < low + tol) {
+        return { type:'bullish', strength:Math.min(1,(low+tol-rsi[idx])/20), confidence:0.8, source:'W', pattern:'W', rsi:rsi[idx] };
+      }
+    }
+    if (maxima.includes(i-1)||maxima.includes(i-2)) {
+      const idx = maxima.includes(i-1)?i-1:i-2;
+      if (rsi[idx] > high - tol) {
+        return { type:'bearish', strength:Math.min(1,(rsi[idx]-(high-tol))/20), confidence:0.8, source:'M', pattern:'M', rsi:rsi[idx] };
+      }
+    }
+    return null;
+  }
+
+  // Volume analysis con validación de momentum
+  analyzeVolumePattern(data, idx) {
+    if (data.length<5||idx<4) return null;
+    const curr = data[idx], prev = data.slice(idx-4,idx);
+    const avg = prev.reduce((sum,c)=>sum+c.volume,0)/4;
+    const ratio = curr.volume/avg;
+    const change= (curr.close-curr.open)/curr.open;
+
+    // Calcular momentum reciente
+    const recentMomentum = (curr.close - data[idx-2].close) / data[idx-2].close;
+
+    if (ratio>1.3) {  // Volumen elevado
+      // Para señal alcista: volumen alto + momentum positivo pero no excesivo
+      if (change>0.005 && recentMomentum < 0.03) { // No más del 3% en 2 velas
+        return { type:'bullish', strength:Math.min(ratio/2.5,0.8), confidence:0.7, source:'vol+', volumeRatio:ratio };
+      }
+      // Para señal bajista: volumen alto + momentum negativo pero no excesivo
+      if (change< -0.005 && recentMomentum > -0.03) { // No menos del -3% en 2 velas
+        return { type:'bearish', strength:Math.min(ratio/2.5,0.8), confidence:0.7, source:'vol-', volumeRatio:ratio };
+      }
+    }
+    return null;
+  }
+
+  // Candlestick patterns
+  analyzeCandlestickPatterns(data, idx) {
+    if (data.length<3||idx<2) return null;
+    const c = data[idx], p = data[idx-1];
+    const body = Math.abs(c.close-c.open);
+    const total= c.high-c.low;
+    const up   = c.high - Math.max(c.close,c.open);
+    const down = Math.min(c.close,c.open) - c.low;
+    if (body< total*0.1 && up>body*2 && down>body*2) return { type:'neutral', strength:0.3, confidence:0.6, source:'doji' };
+    if (down>body*2 && up<body*0.5) return { type:'bullish', strength:0.6, confidence:0.7, source:'hammer' };
+    if (up>body*2 && down<body*0.5) return { type:'bearish', strength:0.6, confidence:0.7, source:'shooting_star' };
+    // engulfing
+    const prevBody = Math.abs(p.close-p.open);
+    if (p.close<p.open && c.close>c.open && body>prevBody*1.2 && c.close>p.open && c.open<p.close) {
+      return { type:'bullish', strength:0.8, confidence:0.8, source:'bullish_engulfing' };
+    }
+    if (p.close>p.open && c.close<c.open && body>prevBody*1.2 && c.close<p.open && c.open>p.close) {
+      return { type:'bearish', strength:0.8, confidence:0.8, source:'bearish_engulfing' };
+    }
+    return null;
+  }
+
+  // Trend-following con RSI y momentum: evitar entrar contra momentum fuerte
+  detectTrendSignal(data, currentRsi) {
+    if (data.length<10) return null;
+    const prices = data.map(c=>c.close);
+    const sma5 = prices.slice(-5).reduce((a,b)=>a+b)/5;
+    const sma10= prices.slice(-10,-5).reduce((a,b)=>a+b)/5;
+    const price= prices.at(-1);
+    const str  = Math.abs((sma5 - sma10)/sma10);
+
+    // Calcular momentum reciente (cambio en 3 períodos)
+    const recentMomentum = data.length >= 4 ? (price - data[data.length-4].close) / data[data.length-4].close : 0;
+
+    // Solo señal bullish si RSI < 30 Y momentum bajista se está debilitando
+    if (sma5>sma10 && price> sma5 && currentRsi < 30 && recentMomentum > -0.03) {
+      return { type:'bullish', strength:Math.min(str*5,0.8), confidence:0.75, source:'trend' };
+    }
+    // Solo señal bearish si RSI > 70 Y momentum alcista se está debilitando
+    if (sma5<sma10 && price< sma5 && currentRsi > 70 && recentMomentum < 0.03) {
+      return { type:'bearish', strength:Math.min(str*5,0.8), confidence:0.75, source:'trend' };
+    }
+    return null;
+  }
+
+  // Simplified combination
+  combineSignalsSimplified(...signals) {
+    const s = signals.filter(x=>x);
+    if (!s.length) return null;
+    const bulls = s.filter(x=>x.type==='bullish');
+    const bears = s.filter(x=>x.type==='bearish');
+    if (bulls.length>=1) {
+      const strong = bulls.find(x=>x.strength>0.4);
+      if (strong||bulls.length>=2) {
+        const avgS = bulls.reduce((a,b)=>a+b.strength,0)/bulls.length;
+        const avgC = bulls.reduce((a,b)=>a+b.confidence,0)/bulls.length;
+        return { type:'bullish', strength:avgS, confidence:avgC, source:'combined', confirmations:bulls.length, divergenceClass:bulls.find(x=>x.divergenceClass)?.divergenceClass };
+      }
+    }
+    if (bears.length>=1) {
+      const strong = bears.find(x=>x.strength>0.4);
+      if (strong||bears.length>=2) {
+        const avgS = bears.reduce((a,b)=>a+b.strength,0)/bears.length;
+        const avgC = bears.reduce((a,b)=>a+b.confidence,0)/bears.length;
+        return { type:'bearish', strength:avgS, confidence:avgC, source:'combined', confirmations:bears.length, divergenceClass:bears.find(x=>x.divergenceClass)?.divergenceClass };
+      }
+    }
+    return null;
+  }
+
+  // Local extrema helper
+  findLocalExtrema(arr, type='minima', order=2) {
+    const ext = [];
+    for (let i = order; i < arr.length-order; i++) {
+      let ok = true;
+      for (let j = 1; j <= order; j++) {
+        if (type==='minima' && (arr[i]>=arr[i-j]||arr[i]>=arr[i+j])) ok=false;
+        if (type==='maxima' && (arr[i]<=arr[i-j]||arr[i]<=arr[i+j])) ok=false;
+      }
+      if (ok) ext.push(i);
+    }
+    return ext;
+  }
+
+  // Divergence detection, regular divergences first
+  detectDivergence(priceData, rsiData, minStr=0.1, { regular=true, hidden=false } = {}) {
+    const piv = this.findPivots(priceData.map(c=>c.close));
+    const rPiv= this.findPivots(rsiData);
+    if (regular) {
+      const bull= this.checkBullishDivergence(piv, rPiv, minStr);
+      if (bull) return bull;
+      const bear= this.checkBearishDivergence(piv, rPiv, minStr);
+      if (bear) return bear;
+    }
+    if (hidden) {
+      const hiddenBull= this.checkHiddenBullishDivergence(piv, rPiv, minStr);
+      if (hiddenBull) return hiddenBull;
+      const hiddenBear= this.checkHiddenBearishDivergence(piv, rPiv, minStr);
+      if (hiddenBear) return hiddenBear;
+    }
+    return null;
+  }
+  findPivots(arr, look=2) {
+    const piv = { highs:[], lows:[] };
+    for (let i=look; i< arr.length-look; i++) {
+      let isH=true, isL=true;
+      for (let j=1; j<=look; j++) {
+        if (arr[i]<=arr[i-j]||arr[i]<=arr[i+j]) isH=false;
+        if (arr[i]>=arr[i-j]||arr[i]>=arr[i+j]) isL=false;
+      }
+      if (isH) piv.highs.push({ index:i, value:arr[i] });
+      if (isL) piv.lows.push({ index:i, value:arr[i] });
+    }
+    return piv;
+  }
+  checkBullishDivergence(pp, rp, minStr) {
+    const pl=pp.lows.slice(-2), rl=rp.lows.slice(-2);
+    if (pl.length<2||rl.length<2) return null;
+    if (pl[1].value<pl[0].value && rl[1].value>rl[0].value) {
+      const str = Math.abs((pl[0].value-pl[1].value)/pl[0].value);
+      if (str>=minStr) return { type:'bullish', strength:Math.min(str,1), confidence:0.7, source:'divergence', divergenceClass:'regular' };
+    }
+    return null;
+  }
+  checkBearishDivergence(pp, rp, minStr) {
+    const ph=pp.highs.slice(-2), rh=rp.highs.slice(-2);
+    if (ph.length<2||rh.length<2) return null;
+    if (ph[1].value>ph[0].value && rh[1].value<rh[0].value) {
+      const str = Math.abs((ph[1].value-ph[0].value)/ph[0].value);
+      if (str>=minStr) return { type:'bearish', strength:Math.min(str,1), confidence:0.7, source:'divergence', divergenceClass:'regular' };
+    }
+    return null;
+  }
+  // Hidden divergences: continuation after a pullback, scored on the RSI overshoot and with less confidence
+  checkHiddenBullishDivergence(pp, rp, minStr) {
+    const pl=pp.lows.slice(-2), rl=rp.lows.slice(-2);
+    if (pl.length<2||rl.length<2) return null;
+    if (pl[1].value>pl[0].value && rl[1].value<rl[0].value) {
+      const str = Math.abs((pl[1].value-pl[0].value)/pl[0].value) + (rl[0].value-rl[1].value)/100;
+      if (str>=minStr) return { type:'bullish', strength:Math.min(str,1), confidence:0.6, source:'hidden_divergence', divergenceClass:'hidden' };
+    }
+    return null;
+  }
+  checkHiddenBearishDivergence(pp, rp, minStr) {
+    const ph=pp.highs.slice(-2), rh=rp.highs.slice(-2);
+    if (ph.length<2||rh.length<2) return null;
+    if (ph[1].value<ph[0].value && rh[1].value>rh[0].value) {
+      const str = Math.abs((ph[0].value-ph[1].value)/ph[0].value) + (rh[1].value-rh[0].value)/100;
+      if (str>=minStr) return { type:'bearish', strength:Math.min(str,1), confidence:0.6, source:'hidden_divergence', divergenceClass:'hidden' };
+    }
+    return null;
+  }
+
+  // RSI extremos con validación de momentum
+  detectRSIExtremes(rsi, minStr=0.02) {
+    if (rsi > 70) {  // Sobrecompra moderada
+      const str = Math.min((rsi-70)/30,1)*0.8;  // Fuerza aumentada para extremos
+      if (str>=minStr) return { type:'bearish', strength:str, confidence:str*0.8, source:'rsi_overbought' }; // Reducir confianza hasta validar momentum
+    }
+    if (rsi < 30) {  // Sobreventa moderada
+      const str = Math.min((30-rsi)/30,1)*0.8;  // Fuerza aumentada para extremos
+      if (str>=minStr) return { type:'bullish', strength:str, confidence:str*0.8, source:'rsi_oversold' }; // Reducir confianza hasta validar momentum
+    }
+    return null;
+  }
+}
+
+module.exports = RsiConfluenceStrategy;
@@ -0,0 +1,123 @@
+/**
+ * Strategy - common interface every trading strategy follows.
+ *
+ * The backtester and the live engine both drive strategies the same way, so a
+ * backtested strategy is exactly the one producing live suggestions:
+ *
+ *   strategy.init(params, history)  resolve parameters, reset state and warm up
+ *   strategy.onCandle(candle)       feed the next closed candle, oldest first
+ *   strategy.generateSignal()       entry signal for the latest candle, or null
+ *
+ * Candles:  { timestamp, open, high, low, close, volume }
+ * Signals:  { type: 'bullish'|'bearish', strength, confidence, source, ... }
+ *
+ * Parameters are declared in a schema so they can be validated, listed by the
+ * API and searched by the optimizer:
+ *   { key: { type: 'integer'|'number'|'boolean', default, min, max, description } }
+ */
+class Strategy {
+  /**
+   * @param {string} name - Strategy key used by the registry (e.g. 'rsi-confluence')
+   * @param {string} description - Human readable summary
+   * @param {Object} paramSchema - Parameter schema
+   */
+  constructor(name, description, paramSchema = {}) {
+    this.name = name;
+    this.description = description;
+    this.paramSchema = paramSchema;
+    this.historyLimit = 100; // Candles kept in memory
+    this.params = this.resolveParams();
+    this.candles = [];
+    this.candleCount = 0;
+  }
+
+  /**
+   * Merge parameters over the schema defaults and validate them.
+   * Keys that are not in the schema are ignored.
+   * @param {Object} params - Strategy parameters
+   * @returns {Object} Resolved parameters
+   */
+  resolveParams(params = {}) {
+    const resolved = {};
+
+    for (const [key, spec] of Object.entries(this.paramSchema)) {
+      const value = params[key] ?? spec.default;
+
+      if (spec.type === 'boolean') {
+        resolved[key] = value === true || value === 'true';
+        continue;
+      }
+
+      const number = Number(value);
+      if (!Number.isFinite(number) || (spec.type === 'integer' && !Number.isInteger(number))) {
+        throw new Error(`Invalid ${this.name} parameter ${key}: ${value} is not a valid ${spec.type}`);
+      }
+      if ((spec.min !== undefined && number < spec.min) || (spec.max !== undefined && number > spec.max)) {
+        throw new Error(`Invalid ${this.name} parameter ${key}: ${value} is outside ${spec.min}..${spec.max}`);
+      }
+      resolved[key] = number;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Resolve parameters, reset state and replay historical candles
+   * @param {Object} params - Strategy parameters
+   * @param {Array} history - Closed candles to warm up with, oldest first
+   * @returns {Strategy} This strategy
+   */
+  init(params = {}, history = []) {
+    this.params = this.resolveParams(params);
+    this.candles = [];
+    this.candleCount = 0;
+    this.reset();
+
+    for (const candle of history) {
+      this.onCandle(candle);
+    }
+
+    return this;
+  }
+
+  /**
+   * Reset indicator state. Strategies keeping their own state override this.
+   */
+  reset() {}
+
+  /**
+   * Feed the next closed candle. Strategies override this to update their
+   * indicators and must call super.onCandle(candle) first.
+   * @param {Object} candle - OHLCV candle
+   */
+  onCandle(candle) {
+    this.candles.push(candle);
+    this.candleCount++;
+
+    if (this.candles.length > this.historyLimit) {
+      this.candles.shift();
+    }
+  }
+
+  /**
+   * Entry signal for the latest candle
+   * @returns {Object|null} Signal or null when there is no entry
+   */
+  generateSignal() {
+    throw new Error(`Strategy ${this.name} does not implement generateSignal()`);
+  }
+
+  /**
+   * Describe the strategy for the registry endpoint
+   * @returns {Object} Name, description and parameter schema
+   */
+  describe() {
+    return {
+      name: this.name,
+      description: this.description,
+      params: this.paramSchema
+    };
+  }
+}
+
+module.exports = Strategy;
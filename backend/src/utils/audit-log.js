@@ -0,0 +1,155 @@
+const redisClient = require('./redis-client');
+const logger = require('./logger');
+const config = require('./config');
+
+// Entries read from the stream per round trip while filtering
+const QUERY_BATCH_SIZE = 500;
+
+/**
+ * Audit Log - append-only trail of trading and risk actions in a Redis
+ * stream: trade executions, modifications and closes, risk rejections,
+ * emergency stops, trading commands, risk limit and watchlist changes.
+ *
+ * Entry: { id, timestamp, action, actor, pair, targetId, details }
+ *
+ * Actions are dotted names (trade.executed, risk.emergency-stop...), the
+ * actor is the authenticated user or `system` for automatic actions.
+ * Stream IDs are timestamps, so time ranges map directly onto XREVRANGE.
+ */
+class AuditLog {
+  /**
+   * Append an entry. Failures are logged and never block the audited action.
+   * @param {string} action - Action name, e.g. trade.executed
+   * @param {Object} entry - Entry fields
+   * @param {string} entry.actor - User behind the action, defaults to system
+   * @param {string} entry.pair - Trading pair
+   * @param {string} entry.targetId - Trade, command... the action applies to
+   * @param {Object} entry.details - Action specific data
+   * @returns {Promise<string|null>} Entry ID
+   */
+  async record(action, { actor = null, pair = null, targetId = null, details = {} } = {}) {
+    try {
+      return await redisClient.client.xadd(
+        config.audit.streamKey,
+        'MAXLEN', '~', config.audit.maxEntries,
+        '*',
+        'action', action,
+        'actor', actor || 'system',
+        'pair', pair || '',
+        'targetId', targetId || '',
+        'details', JSON.stringify(details)
+      );
+    } catch (error) {
+      logger.error(`Failed to record audit entry ${action}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Query entries, newest first
+   * @param {Object} filters - Query filters, see scan()
+   * @param {number} filters.limit - Maximum number of entries
+   * @returns {Promise<Object>} { entries, nextCursor }, nextCursor is the ID to pass
+   *                            as `cursor` for the next page, null after the last one
+   */
+  async query({ limit = 100, ...filters } = {}) {
+    const max = Math.min(limit, config.audit.maxQueryLimit);
+    const entries = [];
+
+    // One entry past the page tells whether there is a next one
+    for await (const entry of this.scan(filters)) {
+      entries.push(entry);
+      if (entries.length > max) break;
+    }
+
+    const page = entries.slice(0, max);
+    return {
+      entries: page,
+      nextCursor: entries.length > max ? page[page.length - 1].id : null
+    };
+  }
+
+  /**
+   * Iterate over matching entries, newest first, reading the stream in batches
+   * @param {Object} filters - Filters
+   * @param {number} filters.from - Start timestamp (ms, inclusive)
+   * @param {number} filters.to - End timestamp (ms, inclusive)
+   * @param {string} filters.cursor - Only entries older than this entry ID
+   * @param {string} filters.action - Comma separated actions, `trade.*` matches a prefix
+   * @param {string} filters.actor - Actor
+   * @param {string} filters.pair - Trading pair
+   * @param {string} filters.targetId - Target ID
+   * @returns {AsyncGenerator<Object>} Entries
+   */
+  async *scan({ from, to, cursor, action, actor, pair, targetId } = {}) {
+    const matchesAction = this.createActionMatcher(action);
+    const start = from ? String(from) : '-';
+    let end = cursor ? `(${cursor}` : (to ? String(to) : '+');
+
+    while (true) {
+      const batch = await redisClient.client.xrevrange(config.audit.streamKey, end, start, 'COUNT', QUERY_BATCH_SIZE);
+
+      for (const raw of batch) {
+        const entry = this.parseEntry(raw);
+        if (matchesAction(entry.action) &&
+            (!actor || entry.actor === actor) &&
+            (!pair || entry.pair === pair) &&
+            (!targetId || entry.targetId === targetId)) {
+          yield entry;
+        }
+      }
+
+      if (batch.length < QUERY_BATCH_SIZE) break;
+      // Continue below the oldest entry read (exclusive range)
+      end = `(${batch[batch.length - 1][0]}`;
+    }
+  }
+
+  /**
+   * Build the action filter of a query
+   * @param {string} action - Comma separated actions, `trade.*` matches a prefix
+   * @returns {Function} Predicate on an action name
+   */
+  createActionMatcher(action) {
+    if (!action) {
+      return () => true;
+    }
+
+    const patterns = String(action).split(',').map(pattern => pattern.trim()).filter(Boolean);
+    return (name) => patterns.some(pattern =>
+      pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern
+    );
+  }
+
+  /**
+   * Turn a stream entry into an audit entry
+   * @param {Array} raw - [id, [field, value, ...]]
+   * @returns {Object} Audit entry
+   */
+  parseEntry([id, fields]) {
+    const data = {};
+    for (let i = 0; i < fields.length; i += 2) {
+      data[fields[i]] = fields[i + 1];
+    }
+
+    let details;
+    try {
+      details = JSON.parse(data.details || '{}');
+    } catch (error) {
+      details = { raw: data.details };
+    }
+
+    return {
+      id: id,
+      timestamp: parseInt(id.split('-')[0]),
+      action: data.action,
+      actor: data.actor,
+      pair: data.pair || null,
+      targetId: data.targetId || null,
+      details: details
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new AuditLog();
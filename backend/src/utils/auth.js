@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const config = require('./config');
+
+// Roles from least to most privileged, each role can do everything the previous ones can
+const ROLES = ['viewer', 'trader', 'admin'];
+
+// Acting user while authentication is disabled
+const ANONYMOUS = { name: 'anonymous', role: 'admin', method: 'none' };
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+/**
+ * Auth - API key and JWT (HS256) authentication with viewer, trader and
+ * admin roles for the REST API and the WebSocket.
+ *
+ * Dashboard users (AUTH_USERS) log in with a password and receive a JWT,
+ * scripts send an API key (API_KEYS) in the X-API-Key header. Tokens are
+ * re-checked against the configured users, so removing a user or changing
+ * their role takes effect immediately.
+ */
+class Auth {
+  constructor() {
+    this.roles = ROLES;
+  }
+
+  /**
+   * Whether requests have to authenticate
+   * @returns {boolean} Authentication enabled
+   */
+  isEnabled() {
+    return config.auth.enabled;
+  }
+
+  /**
+   * Hash a password for AUTH_USERS
+   * @param {string} password - Plain password
+   * @returns {string} scrypt$<salt>$<hash>
+   */
+  hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+  }
+
+  /**
+   * Check a password against a stored hash
+   * @param {string} password - Plain password
+   * @param {string} stored - scrypt$<salt>$<hash>
+   * @returns {boolean} Password matches
+   */
+  verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Log a user in
+   * @param {string} username - User name
+   * @param {string} password - Password
+   * @returns {Object|null} { token, expiresAt, user }, null for bad credentials
+   */
+  login(username, password) {
+    const account = config.auth.users.find(user => user.name === username);
+
+    // Hash anyway for unknown users so response times do not reveal them
+    const valid = this.verifyPassword(password, account?.passwordHash || `scrypt$${'0'.repeat(32)}$${'0'.repeat(128)}`);
+    if (!account || !valid) {
+      return null;
+    }
+
+    const expiresAt = Date.now() + config.auth.tokenTtl * 1000;
+    const token = this.signToken({ sub: account.name, role: account.role, exp: Math.floor(expiresAt / 1000) });
+
+    return { token, expiresAt, user: { name: account.name, role: account.role } };
+  }
+
+  /**
+   * Sign a JWT with HS256
+   * @param {Object} payload - Token claims
+   * @returns {string} JWT
+   */
+  signToken(payload) {
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify({ iat: Math.floor(Date.now() / 1000), ...payload }));
+    const signature = crypto.createHmac('sha256', config.auth.jwtSecret).update(`${header}.${body}`).digest('base64url');
+    return `${header}.${body}.${signature}`;
+  }
+
+  /**
+   * Verify a JWT and resolve its user
+   * @param {string} token - JWT
+   * @returns {Object|null} User { name, role, method, expiresAt }, null when invalid or expired
+   */
+  verifyToken(token) {
+    if (!config.auth.jwtSecret) return null;
+
+    const [header, body, signature] = String(token).split('.');
+    if (!header || !body || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', config.auth.jwtSecret).update(`${header}.${body}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    try {
+      if (JSON.parse(Buffer.from(header, 'base64url')).alg !== 'HS256') return null;
+
+      const claims = JSON.parse(Buffer.from(body, 'base64url'));
+      if (!(claims.exp * 1000 > Date.now())) return null;
+
+      const account = config.auth.users.find(user => user.name === claims.sub);
+      if (!account) return null;
+
+      return { name: account.name, role: account.role, method: 'jwt', expiresAt: claims.exp * 1000 };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Resolve the user of an API key
+   * @param {string} key - API key
+   * @returns {Object|null} User { name, role, method }, null for unknown keys
+   */
+  verifyApiKey(key) {
+    if (!key) return null;
+
+    // Compare digests so every comparison takes the same time whatever the key length
+    const candidate = digest(key);
+    const account = config.auth.apiKeys.find(apiKey => crypto.timingSafeEqual(digest(apiKey.key), candidate));
+
+    return account ? { name: account.name, role: account.role, method: 'api-key' } : null;
+  }
+
+  /**
+   * Authenticate a request from its credentials
+   * @param {Object} credentials - Request credentials
+   * @param {string} credentials.authorization - Authorization header (Bearer <jwt>)
+   * @param {string} credentials.apiKey - X-API-Key header
+   * @param {string} credentials.token - JWT from elsewhere (e.g. the WebSocket URL)
+   * @returns {Object|null} User, the anonymous admin when authentication is disabled
+   */
+  authenticate({ authorization, apiKey, token } = {}) {
+    if (!this.isEnabled()) {
+      return ANONYMOUS;
+    }
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(authorization || '')?.[1];
+    if (bearer || token) {
+      return this.verifyToken(bearer || token);
+    }
+
+    return this.verifyApiKey(apiKey);
+  }
+
+  /**
+   * Whether a user has a role (or a more privileged one)
+   * @param {Object} user - User
+   * @param {string} role - Required role
+   * @returns {boolean} Role granted
+   */
+  hasRole(user, role) {
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+
+  /**
+   * Express middleware requiring an authenticated user with a role, the user is set on req.user
+   * @param {string} role - Required role
+   * @returns {Function} Middleware
+   */
+  requireRole(role) {
+    return (req, res, next) => {
+      const user = req.user || this.authenticate({
+        authorization: req.headers.authorization,
+        apiKey: req.headers['x-api-key']
+      });
+
+      if (!user) {
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+      }
+
+      if (!this.hasRole(user, role)) {
+        return res.status(403).json({ success: false, error: `Requires the ${role} role` });
+      }
+
+      req.user = user;
+      next();
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new Auth();
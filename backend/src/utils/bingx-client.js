@@ -10,6 +10,7 @@ class BingXClient {
     this.apiKey = config.apis.bingx.apiKey;
     this.secretKey = config.apis.bingx.secretKey;
     this.baseURL = config.apis.bingx.baseURL;
+    this.wsURL = config.apis.bingx.wsURL;
     this.ws = null;
     this.reconnectInterval = null;
     this.subscriptions = new Set();
@@ -194,15 +195,228 @@ class BingXClient {
     }
   }
 
+  /**
+   * Map a BingX order status to the order states tracked by the bot
+   * @param {string} status - BingX order status
+   * @returns {string} NEW, PARTIALLY_FILLED, FILLED, CANCELED or REJECTED
+   */
+  normalizeOrderStatus(status) {
+    switch (status) {
+      case 'NEW':
+      case 'PENDING':
+        return 'NEW';
+      case 'PARTIALLY_FILLED':
+        return 'PARTIALLY_FILLED';
+      case 'FILLED':
+        return 'FILLED';
+      case 'CANCELED':
+      case 'CANCELLED':
+        return 'CANCELED';
+      default:
+        return 'REJECTED'; // FAILED and anything unknown
+    }
+  }
+
+  /**
+   * Convert a BingX order payload to the bot's order format
+   * @param {Object} data - BingX order data
+   * @returns {Object} Order
+   */
+  normalizeOrder(data) {
+    const executedQty = parseFloat(data.executedQty) || 0;
+    const quoteQty = parseFloat(data.cummulativeQuoteQty) || 0;
+
+    return {
+      orderId: String(data.orderId),
+      clientOrderId: data.clientOrderID || data.clientOrderId || null,
+      symbol: data.symbol,
+      side: data.side,
+      type: data.type,
+      status: this.normalizeOrderStatus(data.status),
+      exchangeStatus: data.status,
+      price: parseFloat(data.price) || 0,
+      stopPrice: parseFloat(data.stopPrice) || 0,
+      origQty: parseFloat(data.origQty) || 0,
+      executedQty: executedQty,
+      quoteQty: quoteQty,
+      avgPrice: executedQty > 0 ? quoteQty / executedQty : 0,
+      fee: Math.abs(parseFloat(data.fee) || 0),
+      time: parseInt(data.transactTime || data.time) || Date.now(),
+      updateTime: parseInt(data.updateTime) || Date.now()
+    };
+  }
+
+  /**
+   * Throw if a BingX response reports an error
+   * @param {Object} response - BingX API response
+   * @param {string} action - Action description for the error message
+   * @returns {Object} Response data
+   */
+  checkResponse(response, action) {
+    if (!response || response.code !== 0) {
+      const error = new Error(`BingX ${action} failed: ${response?.msg || 'empty response'} (code ${response?.code})`);
+      error.code = response?.code;
+      throw error;
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Place a spot order
+   * @param {Object} order - Order parameters
+   * @param {string} order.symbol - Trading symbol (e.g., 'BTC-USDT')
+   * @param {string} order.side - BUY or SELL
+   * @param {string} order.type - MARKET, LIMIT, TRIGGER_MARKET, TRIGGER_LIMIT
+   * @param {number} order.quantity - Base asset quantity
+   * @param {number} order.quoteOrderQty - Quote amount to spend (MARKET orders, instead of quantity)
+   * @param {number} order.price - Limit price
+   * @param {number} order.stopPrice - Trigger price
+   * @param {string} order.timeInForce - GTC, IOC, FOK, PostOnly
+   * @param {string} order.clientOrderId - Custom order ID
+   * @returns {Promise<Object>} Placed order
+   */
+  async placeOrder({ symbol, side, type = 'MARKET', quantity, quoteOrderQty, price, stopPrice, timeInForce, clientOrderId }) {
+    try {
+      if (!this.apiKey || !this.secretKey) {
+        throw new Error('BingX API key and secret are required for live trading');
+      }
+
+      const params = { symbol, side, type };
+
+      if (quantity) params.quantity = quantity;
+      if (quoteOrderQty) params.quoteOrderQty = quoteOrderQty;
+      if (price) params.price = price;
+      if (stopPrice) params.stopPrice = stopPrice;
+      if (timeInForce && type !== 'MARKET' && type !== 'TRIGGER_MARKET') params.timeInForce = timeInForce;
+      if (clientOrderId) params.newClientOrderId = clientOrderId;
+
+      const response = await this.makeRequest('/openApi/spot/v1/trade/order', 'POST', params);
+      const order = this.normalizeOrder(this.checkResponse(response, 'place order'));
+
+      logger.trade(`BingX order placed: ${side} ${type} ${symbol} #${order.orderId} (${order.status})`, order);
+      return order;
+    } catch (error) {
+      logger.error(`Failed to place BingX order for ${symbol}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Place the stop loss protecting an open position. A take profit trigger order
+   * next to it would sell the same coins, which the stop already holds, and be
+   * rejected: the position monitor takes the profit at market instead.
+   * @param {string} symbol - Trading symbol
+   * @param {string} side - Side of the position being protected (BUY or SELL)
+   * @param {number} quantity - Base asset quantity to protect
+   * @param {Object} levels - Exit levels
+   * @param {number} levels.stopLoss - Stop loss trigger price
+   * @returns {Promise<Object>} Placed orders keyed by stopLoss / takeProfit, takeProfit is always null
+   */
+  async placeAttachedOrders(symbol, side, quantity, { stopLoss } = {}) {
+    const orders = { stopLoss: null, takeProfit: null };
+
+    if (stopLoss) {
+      orders.stopLoss = await this.placeOrder({
+        symbol,
+        side: side === 'BUY' ? 'SELL' : 'BUY',
+        type: 'TRIGGER_MARKET',
+        quantity,
+        stopPrice: stopLoss
+      });
+    }
+
+    return orders;
+  }
+
+  /**
+   * Cancel an open order
+   * @param {string} symbol - Trading symbol
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Canceled order
+   */
+  async cancelOrder(symbol, orderId) {
+    try {
+      const response = await this.makeRequest('/openApi/spot/v1/trade/cancel', 'POST', { symbol, orderId });
+      const order = this.normalizeOrder(this.checkResponse(response, 'cancel order'));
+
+      logger.trade(`BingX order canceled: ${symbol} #${orderId}`, order);
+      return order;
+    } catch (error) {
+      logger.error(`Failed to cancel BingX order ${orderId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get open orders
+   * @param {string} symbol - Trading symbol
+   * @returns {Promise<Array>} Open orders
+   */
+  async getOpenOrders(symbol) {
+    try {
+      const response = await this.makeRequest('/openApi/spot/v1/trade/openOrders', 'GET', { symbol });
+      const data = this.checkResponse(response, 'get open orders');
+
+      return (data?.orders || []).map(order => this.normalizeOrder(order));
+    } catch (error) {
+      logger.error(`Failed to get BingX open orders for ${symbol}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an order by ID
+   * @param {string} symbol - Trading symbol
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Order
+   */
+  async getOrder(symbol, orderId) {
+    try {
+      const response = await this.makeRequest('/openApi/spot/v1/trade/query', 'GET', { symbol, orderId });
+      return this.normalizeOrder(this.checkResponse(response, 'query order'));
+    } catch (error) {
+      logger.error(`Failed to get BingX order ${orderId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the fills (executions) of an order
+   * @param {string} symbol - Trading symbol
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Array>} Fills
+   */
+  async getOrderFills(symbol, orderId) {
+    try {
+      const response = await this.makeRequest('/openApi/spot/v1/trade/myTrades', 'GET', { symbol, orderId });
+      const data = this.checkResponse(response, 'get order fills');
+
+      return (data?.fills || []).map(fill => ({
+        id: String(fill.id),
+        orderId: String(fill.orderId),
+        price: parseFloat(fill.price),
+        qty: parseFloat(fill.qty),
+        quoteQty: parseFloat(fill.quoteQty),
+        commission: Math.abs(parseFloat(fill.commission) || 0),
+        commissionAsset: fill.commissionAsset,
+        time: parseInt(fill.time)
+      }));
+    } catch (error) {
+      logger.error(`Failed to get BingX fills for order ${orderId}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Initialize WebSocket connection for real-time data
    * @param {Array} symbols - Symbols to subscribe to
    * @param {Function} onMessage - Callback for incoming messages
+   * @param {string} interval - Kline interval to stream
    */
-  initWebSocket(symbols = ['VST-USDT'], onMessage) {
+  initWebSocket(symbols = ['VST-USDT'], onMessage, interval = '1m') {
     try {
-      const wsUrl = 'wss://open-api-ws.bingx.com/market';
-      this.ws = new WebSocket(wsUrl);
+      this.ws = new WebSocket(this.wsURL);
 
       this.ws.on('open', () => {
         logger.info('BingX WebSocket connected');
@@ -212,7 +426,7 @@ class BingXClient {
           const subscription = {
             id: Date.now(),
             reqType: 'sub',
-            dataType: `${symbol}@kline_1m`
+            dataType: `${symbol}@kline_${interval}`
           };
           
           this.ws.send(JSON.stringify(subscription));
@@ -266,7 +480,7 @@ class BingXClient {
 
       this.ws.on('close', () => {
         logger.warn('BingX WebSocket closed, attempting to reconnect...');
-        this.scheduleReconnect(symbols, onMessage);
+        this.scheduleReconnect(symbols, onMessage, interval);
       });
 
     } catch (error) {
@@ -278,15 +492,16 @@ class BingXClient {
    * Schedule WebSocket reconnection
    * @param {Array} symbols - Symbols to subscribe to
    * @param {Function} onMessage - Callback for incoming messages
+   * @param {string} interval - Kline interval to stream
    */
-  scheduleReconnect(symbols, onMessage) {
+  scheduleReconnect(symbols, onMessage, interval = '1m') {
     if (this.reconnectInterval) {
       clearTimeout(this.reconnectInterval);
     }
 
     this.reconnectInterval = setTimeout(() => {
       logger.info('Reconnecting to BingX WebSocket...');
-      this.initWebSocket(symbols, onMessage);
+      this.initWebSocket(symbols, onMessage, interval);
     }, 5000); // Reconnect after 5 seconds
   }
 
@@ -300,6 +515,7 @@ class BingXClient {
     }
 
     if (this.ws) {
+      this.ws.removeAllListeners('close'); // closing on purpose, do not reconnect
       this.ws.close();
       this.ws = null;
     }
@@ -0,0 +1,97 @@
+// Bar durations of the timeframes built from the 1m stream
+const TIMEFRAME_MS = {
+  '1m': 60000,
+  '5m': 300000,
+  '15m': 900000,
+  '1h': 3600000,
+  '4h': 14400000,
+  '1d': 86400000
+};
+
+const BASE_TIMEFRAME = '1m';
+
+/**
+ * Candle Aggregator - builds higher timeframe bars from closed 1m candles.
+ *
+ * Bars are aligned on UTC epoch boundaries like exchange klines (1d bars open
+ * at 00:00 UTC) and close with their last minute. A bar missing minutes at
+ * either end (e.g. the stream started mid-bar, or the next bar started before
+ * its last minute arrived) is returned as partial.
+ */
+class CandleAggregator {
+  /**
+   * @param {Array} timeframes - Timeframes to build, e.g. ['5m', '1h']
+   */
+  constructor(timeframes) {
+    this.timeframes = timeframes.filter(timeframe => timeframe !== BASE_TIMEFRAME);
+    this.openBars = new Map(); // Forming bar per `${pair}:${timeframe}`
+  }
+
+  /**
+   * Duration of a timeframe
+   * @param {string} timeframe - Timeframe (1m, 5m, 15m, 1h, 4h, 1d)
+   * @returns {number} Duration in milliseconds
+   */
+  static getDuration(timeframe) {
+    return TIMEFRAME_MS[timeframe];
+  }
+
+  /**
+   * Add a closed 1m candle
+   * @param {string} pair - Trading pair
+   * @param {Object} candle - Candle { timestamp, open, high, low, close, volume }, timestamp is the open time
+   * @returns {Array} Bars closed by the candle { timeframe, timestamp, open, high, low, close, volume, partial }
+   */
+  add(pair, candle) {
+    const closed = [];
+
+    for (const timeframe of this.timeframes) {
+      const duration = TIMEFRAME_MS[timeframe];
+      const key = `${pair}:${timeframe}`;
+      const start = Math.floor(candle.timestamp / duration) * duration;
+      let bar = this.openBars.get(key);
+
+      if (bar && candle.timestamp < bar.timestamp) {
+        continue; // Older than the forming bar
+      }
+
+      // Missing last minutes: close the previous bar as partial when the next one starts
+      if (bar && bar.timestamp !== start) {
+        bar.partial = true;
+        closed.push(bar);
+        bar = null;
+      }
+
+      if (!bar) {
+        bar = {
+          timeframe: timeframe,
+          timestamp: start,
+          open: candle.open,
+          high: candle.high,
+          low: candle.low,
+          close: candle.close,
+          volume: Number(candle.volume) || 0,
+          partial: candle.timestamp !== start
+        };
+      } else {
+        bar.high = Math.max(bar.high, candle.high);
+        bar.low = Math.min(bar.low, candle.low);
+        bar.close = candle.close;
+        bar.volume += Number(candle.volume) || 0;
+      }
+
+      if (candle.timestamp + TIMEFRAME_MS[BASE_TIMEFRAME] >= start + duration) {
+        closed.push(bar);
+        this.openBars.delete(key);
+      } else {
+        this.openBars.set(key, bar);
+      }
+    }
+
+    return closed;
+  }
+}
+
+CandleAggregator.BASE_TIMEFRAME = BASE_TIMEFRAME;
+
+module.exports = CandleAggregator;
@@ -1,5 +1,7 @@
 const dotenv = require('dotenv');
 const path = require('path');
+const stopPolicies = require('./stop-policies');
+const takeProfitLadder = require('./take-profit-ladder');
 
 // Load environment variables
 dotenv.config({ path: path.join(__dirname, '../../.env') });
@@ -13,6 +15,26 @@ const config = {
     logLevel: process.env.LOG_LEVEL || 'info'
   },
 
+  // Authentication: dashboard users log in for a JWT, scripts use API keys
+  auth: {
+    // Always on unless explicitly turned off with AUTH_ENABLED=false (local development only)
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    jwtSecret: process.env.JWT_SECRET,
+    tokenTtl: parseInt(process.env.JWT_TTL_SECONDS) || 12 * 60 * 60,
+    // Users with scrypt password hashes, e.g. AUTH_USERS=alice:admin:scrypt$<salt>$<hash>,bob:viewer:scrypt$...
+    users: (process.env.AUTH_USERS || '')
+      .split(',')
+      .map(entry => entry.trim().split(':'))
+      .filter(([name, role, passwordHash]) => name && role && passwordHash)
+      .map(([name, role, passwordHash]) => ({ name, role, passwordHash })),
+    // API keys, e.g. API_KEYS=ops-bot:trader:<key>
+    apiKeys: (process.env.API_KEYS || '')
+      .split(',')
+      .map(entry => entry.trim().split(':'))
+      .filter(([name, role, key]) => name && role && key)
+      .map(([name, role, key]) => ({ name, role, key }))
+  },
+
   // Redis Configuration
   redis: {
     host: process.env.REDIS_HOST || 'localhost',
@@ -30,11 +52,26 @@ const config = {
     positionSizePercent: parseFloat(process.env.POSITION_SIZE_PERCENT) || 0.02,
     stopLossPercent: parseFloat(process.env.STOP_LOSS_PERCENT) || 0.015,
     takeProfitPercent: parseFloat(process.env.TAKE_PROFIT_PERCENT) || 0.04,
-    tradingPairs: (process.env.TRADING_PAIRS || 'BTC-USD,ETH-USD').split(',').map(pair => pair.trim())
+    tradingPairs: (process.env.TRADING_PAIRS || 'BTC-USD,ETH-USD').split(',').map(pair => pair.trim()),
+    // Position sizing used by suggestions, backtests and the risk gate
+    sizing: {
+      mode: process.env.POSITION_SIZING_MODE || 'fixed-fractional', // fixed-fractional, volatility, kelly, fixed-notional
+      riskPercent: parseFloat(process.env.SIZING_RISK_PERCENT) || parseFloat(process.env.MAX_ACCOUNT_RISK) || 0.02,
+      atrMultiplier: parseFloat(process.env.SIZING_ATR_MULTIPLIER) || 2, // volatility: riskPercent is lost over this many ATRs
+      kellyFraction: parseFloat(process.env.SIZING_KELLY_FRACTION) || 0.5, // Half Kelly
+      kellyMinTrades: parseInt(process.env.SIZING_KELLY_MIN_TRADES) || 20, // Fixed fractional until there is enough history
+      notional: parseFloat(process.env.SIZING_NOTIONAL) || 1000 // fixed-notional, in quote currency
+    },
+    // Default stop policies of new manual trades, e.g. STOP_POLICIES='[{"type":"breakeven","triggerR":1},{"type":"atr","multiplier":2}]'
+    stopPolicies: process.env.STOP_POLICIES ? JSON.parse(process.env.STOP_POLICIES) : [],
+    // Take profit ladder of new suggestions, empty for a single target, e.g.
+    // TAKE_PROFIT_LADDER='[{"fraction":0.5,"r":1},{"fraction":0.3,"fib":1.618},{"fraction":0.2,"trailing":true}]'
+    takeProfitLadder: process.env.TAKE_PROFIT_LADDER ? JSON.parse(process.env.TAKE_PROFIT_LADDER) : []
   },
 
   // RSI Divergence Strategy Configuration
   strategy: {
+    name: process.env.TRADING_STRATEGY || 'rsi-confluence', // Strategy used for manual trading suggestions
     rsiPeriod: parseInt(process.env.RSI_PERIOD) || 14,
     rsiOverbought: parseFloat(process.env.RSI_OVERBOUGHT) || 70,
     rsiOversold: parseFloat(process.env.RSI_OVERSOLD) || 30,
@@ -53,7 +90,36 @@ const config = {
     maxWeeklyLoss: parseFloat(process.env.MAX_WEEKLY_LOSS) || 0.10,
     emergencyStopLoss: parseFloat(process.env.EMERGENCY_STOP_LOSS) || 0.08,
     correlationLimit: 0.7, // Maximum correlation between positions
-    maxConcentration: 0.5   // Maximum % in single asset
+    correlationWarning: 0.5, // Correlation that only warns
+    correlationWindow: parseInt(process.env.CORRELATION_WINDOW_MS) || 86400000, // Price history used, up to the 1 day series retention
+    correlationInterval: parseInt(process.env.CORRELATION_INTERVAL_MS) || 300000, // Return period (5 minutes)
+    correlationRefreshInterval: parseInt(process.env.CORRELATION_REFRESH_MS) || 900000, // 15 minutes
+    maxConcentration: 0.5,  // Maximum % in single asset
+    // Exposure caps as a fraction of the account balance
+    exposureLimits: {
+      total: parseFloat(process.env.MAX_TOTAL_EXPOSURE) || 0.5,       // Gross long + short
+      quote: parseFloat(process.env.MAX_QUOTE_EXPOSURE) || 0.5,       // Per quote currency (USDT, USD...)
+      group: parseFloat(process.env.MAX_GROUP_EXPOSURE) || 0.4,       // Per asset group
+      netLong: parseFloat(process.env.MAX_NET_LONG_EXPOSURE) || 0.5,
+      netShort: parseFloat(process.env.MAX_NET_SHORT_EXPOSURE) || 0.3
+    },
+    // Asset groups for exposure caps, e.g. ASSET_GROUPS=L1:BTC|ETH|SOL,DeFi:UNI|AAVE
+    assetGroups: process.env.ASSET_GROUPS
+      ? Object.fromEntries(
+        process.env.ASSET_GROUPS
+          .split(',')
+          .map(entry => entry.trim().split(':').map(part => part.trim()))
+          .filter(([group, assets]) => group && assets)
+          .map(([group, assets]) => [group, assets.split('|').map(asset => asset.trim().toUpperCase())])
+      )
+      : {
+        L1: ['BTC', 'ETH', 'SOL', 'ADA', 'AVAX', 'DOT', 'BNB'],
+        DeFi: ['UNI', 'AAVE', 'LINK', 'MKR', 'CRV', 'COMP']
+      },
+    // Daily and weekly P&L periods roll at the session start, in the session timezone
+    sessionTimezone: process.env.RISK_TIMEZONE || 'UTC',
+    sessionStart: process.env.RISK_SESSION_START || '00:00', // HH:MM
+    weekStartDay: process.env.RISK_WEEK_START_DAY !== undefined ? parseInt(process.env.RISK_WEEK_START_DAY) : 1 // 0 = Sunday, 1 = Monday
   },
 
   // Signal Generation
@@ -62,20 +128,44 @@ const config = {
     primaryTimeframe: process.env.PRIMARY_TIMEFRAME || '1h',
     confirmationTimeframes: (process.env.CONFIRMATION_TIMEFRAMES || '15m,4h').split(',').map(tf => tf.trim()),
     minSignalStrength: parseFloat(process.env.MIN_SIGNAL_STRENGTH) || 0.8,
+    // Divergences to detect: regular (reversal) and/or hidden (continuation)
+    divergenceClasses: (process.env.DIVERGENCE_CLASSES || 'regular,hidden').split(',').map(divergenceClass => divergenceClass.trim()),
+    // Oscillators compared with price: rsi, macd, stochastic, obv, mfi, cci
+    divergenceOscillators: (process.env.DIVERGENCE_OSCILLATORS || 'rsi').split(',').map(oscillator => oscillator.trim()),
+    // Per oscillator overrides, e.g. OSCILLATOR_SETTINGS='{"macd":{"fastPeriod":8,"slowPeriod":21},"obv":{"weight":0.5}}'
+    oscillatorSettings: process.env.OSCILLATOR_SETTINGS ? JSON.parse(process.env.OSCILLATOR_SETTINGS) : {},
+    // Timeframes the divergence engine detects on, higher ones are built from the 1m stream
+    divergenceTimeframes: (process.env.DIVERGENCE_TIMEFRAMES || '1m,5m,15m,1h,4h,1d').split(',').map(timeframe => timeframe.trim()),
     signalExpiryTime: 300000 // 5 minutes in milliseconds
   },
 
+  // Exchange Selection
+  exchanges: {
+    default: (process.env.DEFAULT_EXCHANGE || 'bingx').toLowerCase(),
+    // Per pair overrides, e.g. EXCHANGE_PAIRS=BTC-USDT:binance,ETH-USDT:bingx
+    pairs: Object.fromEntries(
+      (process.env.EXCHANGE_PAIRS || '')
+        .split(',')
+        .map(entry => entry.trim().split(':').map(part => part.trim()))
+        .filter(([pair, exchange]) => pair && exchange)
+        .map(([pair, exchange]) => [pair, exchange.toLowerCase()])
+    )
+  },
+
   // External APIs
   apis: {
     bingx: {
       apiKey: process.env.BINGX_API_KEY,
       secretKey: process.env.BINGX_SECRET_KEY,
-      baseURL: 'https://open-api.bingx.com',
+      baseURL: process.env.BINGX_BASE_URL || 'https://open-api.bingx.com',
+      wsURL: process.env.BINGX_WS_URL || 'wss://open-api-ws.bingx.com/market',
       testnet: process.env.DEMO_MODE === 'true'
     },
     binance: {
       apiKey: process.env.BINANCE_API_KEY,
       secretKey: process.env.BINANCE_SECRET_KEY,
+      baseURL: process.env.BINANCE_BASE_URL,
+      wsURL: process.env.BINANCE_WS_URL,
       testnet: process.env.DEMO_MODE === 'true'
     },
     coinbase: {
@@ -112,6 +202,13 @@ const config = {
     maxSize: '10MB'
   },
 
+  // Audit trail of trading and risk actions (Redis stream)
+  audit: {
+    streamKey: process.env.AUDIT_STREAM_KEY || 'audit:log',
+    maxEntries: parseInt(process.env.AUDIT_MAX_ENTRIES) || 1000000, // Approximate cap, oldest entries are trimmed
+    maxQueryLimit: 10000 // Most entries one page returns, unlimited exports stream the whole range
+  },
+
   // Performance
   performance: {
     dataRetentionDays: 30,
@@ -146,6 +243,96 @@ function validateConfig() {
     throw new Error('STOP_LOSS_PERCENT must be less than TAKE_PROFIT_PERCENT');
   }
 
+  const sizingModes = ['fixed-fractional', 'volatility', 'kelly', 'fixed-notional'];
+  if (!sizingModes.includes(config.trading.sizing.mode)) {
+    throw new Error(`POSITION_SIZING_MODE must be one of ${sizingModes.join(', ')}`);
+  }
+
+  const divergenceClasses = ['regular', 'hidden'];
+  const unknownClasses = config.signals.divergenceClasses.filter(divergenceClass => !divergenceClasses.includes(divergenceClass));
+  if (unknownClasses.length > 0) {
+    throw new Error(`Unknown DIVERGENCE_CLASSES ${unknownClasses.join(', ')} (available: ${divergenceClasses.join(', ')})`);
+  }
+
+  const oscillators = ['rsi', 'macd', 'stochastic', 'obv', 'mfi', 'cci'];
+  const unknownOscillators = [...config.signals.divergenceOscillators, ...Object.keys(config.signals.oscillatorSettings)]
+    .filter(oscillator => !oscillators.includes(oscillator));
+  if (unknownOscillators.length > 0) {
+    throw new Error(`Unknown oscillators ${unknownOscillators.join(', ')} in DIVERGENCE_OSCILLATORS / OSCILLATOR_SETTINGS (available: ${oscillators.join(', ')})`);
+  }
+
+  const timeframes = ['1m', '5m', '15m', '1h', '4h', '1d'];
+  const unknownTimeframes = config.signals.divergenceTimeframes.filter(timeframe => !timeframes.includes(timeframe));
+  if (unknownTimeframes.length > 0) {
+    throw new Error(`Unknown DIVERGENCE_TIMEFRAMES ${unknownTimeframes.join(', ')} (available: ${timeframes.join(', ')})`);
+  }
+
+  // Multi-timeframe confirmation reads the engine's state of the primary and confirmation timeframes
+  if (config.signals.multiTimeframeAnalysis) {
+    const { primaryTimeframe, confirmationTimeframes, divergenceTimeframes } = config.signals;
+    const untracked = [primaryTimeframe, ...confirmationTimeframes].filter(timeframe => !divergenceTimeframes.includes(timeframe));
+    if (untracked.length > 0) {
+      throw new Error(`PRIMARY_TIMEFRAME / CONFIRMATION_TIMEFRAMES ${untracked.join(', ')} must be in DIVERGENCE_TIMEFRAMES`);
+    }
+
+    if (confirmationTimeframes.includes(primaryTimeframe)) {
+      throw new Error('CONFIRMATION_TIMEFRAMES must not include PRIMARY_TIMEFRAME');
+    }
+
+    if (!(config.signals.minSignalStrength >= 0 && config.signals.minSignalStrength <= 1)) {
+      throw new Error('MIN_SIGNAL_STRENGTH must be between 0 and 1');
+    }
+  }
+
+  // Validate the risk session calendar
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(config.riskManagement.sessionStart)) {
+    throw new Error('RISK_SESSION_START must be a HH:MM time');
+  }
+
+  if (!(config.riskManagement.weekStartDay >= 0 && config.riskManagement.weekStartDay <= 6)) {
+    throw new Error('RISK_WEEK_START_DAY must be between 0 (Sunday) and 6 (Saturday)');
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: config.riskManagement.sessionTimezone });
+  } catch (error) {
+    throw new Error(`RISK_TIMEZONE is not a valid timezone: ${config.riskManagement.sessionTimezone}`);
+  }
+
+  // Validate the default stop policies and ladder, a bad one would fail every manual trade
+  try {
+    stopPolicies.normalize(config.trading.stopPolicies);
+  } catch (error) {
+    throw new Error(`Invalid STOP_POLICIES: ${error.message}`);
+  }
+
+  if (config.trading.takeProfitLadder.length > 0) {
+    try {
+      takeProfitLadder.normalize(config.trading.takeProfitLadder);
+    } catch (error) {
+      throw new Error(`Invalid TAKE_PROFIT_LADDER: ${error.message}`);
+    }
+  }
+
+  // Validate authentication
+  const roles = ['viewer', 'trader', 'admin'];
+  for (const account of [...config.auth.users, ...config.auth.apiKeys]) {
+    if (!roles.includes(account.role)) {
+      throw new Error(`Unknown role ${account.role} for ${account.name} (available: ${roles.join(', ')})`);
+    }
+  }
+
+  if (config.auth.enabled) {
+    if (config.auth.users.length === 0 && config.auth.apiKeys.length === 0) {
+      throw new Error('Authentication is enabled but neither AUTH_USERS nor API_KEYS is set (AUTH_ENABLED=false turns it off for local development)');
+    }
+    if (config.auth.users.length > 0 && !(config.auth.jwtSecret?.length >= 32)) {
+      throw new Error('JWT_SECRET must be at least 32 characters long');
+    }
+  } else {
+    console.warn('⚠️ Authentication is disabled (AUTH_ENABLED=false), every request runs as admin');
+  }
+
   console.log('✅ Configuration validation passed');
 }
 
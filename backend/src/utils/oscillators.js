@@ -0,0 +1,125 @@
+const technicalIndicators = require('./technical-indicators');
+const config = require('./config');
+
+// Settings every oscillator has: its weight in the confluence score, the weakest divergence it
+// reports and how many bars its pivots may lag the price pivots
+const COMMON_DEFAULTS = { weight: 1, minStrength: 0.1, pivotTolerance: 0 };
+
+// Oscillators price can diverge from. `range` is the spread of a bounded
+// oscillator, unbounded ones (null) are scaled by their range over the analysis window.
+const OSCILLATORS = {
+  rsi: {
+    name: 'RSI',
+    range: 100,
+    defaults: { period: config.strategy.rsiPeriod },
+    calculate: ({ closes }, { period }) => technicalIndicators.calculateRSI(closes, period)
+  },
+  macd: {
+    name: 'MACD histogram',
+    range: null,
+    defaults: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9, pivotTolerance: 2 },
+    calculate: ({ closes }, { fastPeriod, slowPeriod, signalPeriod }) =>
+      technicalIndicators.calculateMACDHistogram(closes, fastPeriod, slowPeriod, signalPeriod)
+  },
+  stochastic: {
+    name: 'Stochastic %K',
+    range: 100,
+    defaults: { period: 14, signalPeriod: 3 },
+    calculate: ({ highs, lows, closes }, { period, signalPeriod }) =>
+      technicalIndicators.calculateStochastic(highs, lows, closes, period, signalPeriod)
+  },
+  obv: {
+    name: 'OBV',
+    range: null,
+    defaults: { pivotTolerance: 2 },
+    calculate: ({ closes, volumes }) => technicalIndicators.calculateOBV(closes, volumes)
+  },
+  mfi: {
+    name: 'MFI',
+    range: 100,
+    defaults: { period: 14 },
+    calculate: ({ highs, lows, closes, volumes }, { period }) =>
+      technicalIndicators.calculateMFI(highs, lows, closes, volumes, period)
+  },
+  cci: {
+    name: 'CCI',
+    range: 400, // Usually within +/-200
+    defaults: { period: 20 },
+    calculate: ({ highs, lows, closes }, { period }) => technicalIndicators.calculateCCI(highs, lows, closes, period)
+  }
+};
+
+/**
+ * Oscillators - the oscillator series the divergence engine compares price
+ * against, with their per-oscillator settings.
+ *
+ * DIVERGENCE_OSCILLATORS picks the oscillators, OSCILLATOR_SETTINGS overrides
+ * their defaults, e.g. {"macd":{"fastPeriod":8,"slowPeriod":21},"obv":{"weight":0.5}}.
+ */
+class Oscillators {
+  constructor() {
+    this.keys = Object.keys(OSCILLATORS);
+  }
+
+  /**
+   * Oscillators enabled for divergence detection
+   * @returns {Array} Oscillator keys
+   */
+  getEnabled() {
+    return config.signals.divergenceOscillators;
+  }
+
+  /**
+   * Display name of an oscillator
+   * @param {string} key - Oscillator key
+   * @returns {string} Name
+   */
+  getName(key) {
+    return OSCILLATORS[key].name;
+  }
+
+  /**
+   * Settings of an oscillator: defaults overridden by OSCILLATOR_SETTINGS
+   * @param {string} key - Oscillator key
+   * @returns {Object} Settings, including weight and minStrength
+   */
+  getSettings(key) {
+    return { ...COMMON_DEFAULTS, ...OSCILLATORS[key].defaults, ...config.signals.oscillatorSettings[key] };
+  }
+
+  /**
+   * Calculate an oscillator over candles
+   * @param {string} key - Oscillator key
+   * @param {Array} candles - Candles { high, low, close, volume }, oldest first
+   * @returns {Array} One value per candle, null while the oscillator warms up
+   */
+  calculate(key, candles) {
+    const values = OSCILLATORS[key].calculate({
+      highs: candles.map(candle => candle.high),
+      lows: candles.map(candle => candle.low),
+      closes: candles.map(candle => candle.close),
+      volumes: candles.map(candle => candle.volume)
+    }, this.getSettings(key));
+
+    // Indicator outputs end on the last candle, pad the warmup period
+    return [...new Array(Math.max(0, candles.length - values.length)).fill(null), ...values.slice(-candles.length)];
+  }
+
+  /**
+   * Express an oscillator move in points of a 0-100 oscillator, so moves of
+   * different oscillators score alike (RSI moves are unchanged)
+   * @param {string} key - Oscillator key
+   * @param {number} change - Absolute oscillator move between two pivots
+   * @param {Array} series - Oscillator points { value } of the analysis window
+   * @returns {number} Normalized move
+   */
+  normalizeChange(key, change, series) {
+    const range = OSCILLATORS[key].range ?? (
+      Math.max(...series.map(point => point.value)) - Math.min(...series.map(point => point.value))
+    );
+    return range > 0 ? (change / range) * 100 : 0;
+  }
+}
+
+// Export singleton instance
+module.exports = new Oscillators();
@@ -0,0 +1,251 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+// Profit factor reported when there are winners and no losers, keeps results JSON friendly
+const MAX_PROFIT_FACTOR = 100;
+
+/**
+ * Performance Metrics - trade and equity statistics shared by backtests,
+ * the parameter optimizer and manual (paper/live) trading, so their numbers
+ * are directly comparable.
+ *
+ * Trades:  { pnl, entryTime, exitTime, type: 'bullish'|'bearish' or action: 'BUY'|'SELL',
+ *            returnPct or positionSize/quantity }
+ * Equity:  [{ timestamp, value }] oldest first
+ *
+ * Percentages are expressed in percent (12.5 = 12.5%). Ratios that are
+ * undefined (no volatility, no drawdown) are reported as 0.
+ */
+class PerformanceMetrics {
+  /**
+   * Calculate the full metrics suite
+   * @param {Array} trades - Closed trades
+   * @param {Array} equity - Equity curve
+   * @param {Object} options - Options
+   * @param {number} options.periodsPerYear - Equity points per year, derived from the equity timestamps when omitted
+   * @returns {Object} Metrics
+   */
+  calculate(trades = [], equity = [], options = {}) {
+    const initialBalance = equity.length ? equity[0].value : 0;
+    const finalBalance = equity.length ? equity[equity.length - 1].value : 0;
+    const totalReturn = initialBalance > 0 ? ((finalBalance - initialBalance) / initialBalance) * 100 : 0;
+    const maxDrawdown = this.calculateMaxDrawdown(equity);
+    const annualizedReturn = this.calculateAnnualizedReturn(equity);
+    const periodsPerYear = options.periodsPerYear || this.getPeriodsPerYear(equity);
+    const returns = this.getReturns(equity);
+
+    return {
+      ...this.calculateTradeStats(trades),
+      totalReturn: totalReturn,
+      annualizedReturn: annualizedReturn,
+      maxDrawdown: maxDrawdown,
+      sharpeRatio: this.calculateSharpeRatio(returns, periodsPerYear),
+      sortinoRatio: this.calculateSortinoRatio(returns, periodsPerYear),
+      calmarRatio: maxDrawdown > 0 ? annualizedReturn / maxDrawdown : 0,
+      returnDrawdown: maxDrawdown > 0 ? totalReturn / maxDrawdown : totalReturn,
+      exposureTime: this.calculateExposureTime(trades, equity),
+      long: this.calculateTradeStats(trades.filter(trade => this.getSide(trade) === 'long')),
+      short: this.calculateTradeStats(trades.filter(trade => this.getSide(trade) === 'short'))
+    };
+  }
+
+  /**
+   * Trade statistics: win rate, profit factor, expectancy, win/loss sizes, streaks and holding period
+   * @param {Array} trades - Closed trades
+   * @returns {Object} Trade statistics
+   */
+  calculateTradeStats(trades = []) {
+    const wins = trades.filter(trade => trade.pnl > 0);
+    const losses = trades.filter(trade => trade.pnl < 0);
+    const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.pnl, 0));
+    const totalPnL = grossProfit - grossLoss;
+    const averageWin = wins.length ? grossProfit / wins.length : 0;
+    const averageLoss = losses.length ? grossLoss / losses.length : 0;
+    const winRate = trades.length ? (wins.length / trades.length) * 100 : 0;
+
+    let consecutiveWins = 0, consecutiveLosses = 0, maxConsecutiveWins = 0, maxConsecutiveLosses = 0;
+    for (const trade of [...trades].sort((a, b) => (a.exitTime || 0) - (b.exitTime || 0))) {
+      consecutiveWins = trade.pnl > 0 ? consecutiveWins + 1 : 0;
+      consecutiveLosses = trade.pnl < 0 ? consecutiveLosses + 1 : 0;
+      maxConsecutiveWins = Math.max(maxConsecutiveWins, consecutiveWins);
+      maxConsecutiveLosses = Math.max(maxConsecutiveLosses, consecutiveLosses);
+    }
+
+    const held = trades.filter(trade => trade.entryTime && trade.exitTime);
+    const returns = trades.map(trade => this.getReturnPct(trade)).filter(Number.isFinite);
+
+    return {
+      totalTrades: trades.length,
+      winningTrades: wins.length,
+      losingTrades: losses.length,
+      winRate: winRate,
+      totalPnL: totalPnL,
+      grossProfit: grossProfit,
+      grossLoss: grossLoss,
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? MAX_PROFIT_FACTOR : 0),
+      // Expected PnL per trade: winRate * averageWin - lossRate * averageLoss
+      expectancy: trades.length ? totalPnL / trades.length : 0,
+      expectancyPct: returns.length ? returns.reduce((sum, r) => sum + r, 0) / returns.length : 0,
+      averageWin: averageWin,
+      averageLoss: averageLoss,
+      payoffRatio: averageLoss > 0 ? averageWin / averageLoss : 0,
+      largestWin: wins.length ? Math.max(...wins.map(trade => trade.pnl)) : 0,
+      largestLoss: losses.length ? Math.min(...losses.map(trade => trade.pnl)) : 0,
+      maxConsecutiveWins: maxConsecutiveWins,
+      maxConsecutiveLosses: maxConsecutiveLosses,
+      averageHoldingPeriod: held.length
+        ? held.reduce((sum, trade) => sum + (trade.exitTime - trade.entryTime), 0) / held.length
+        : 0 // milliseconds
+    };
+  }
+
+  /**
+   * Long or short side of a trade
+   * @param {Object} trade - Backtest (type) or manual (action) trade
+   * @returns {string} 'long' or 'short'
+   */
+  getSide(trade) {
+    return trade.type === 'bullish' || trade.action === 'BUY' ? 'long' : 'short';
+  }
+
+  /**
+   * Return of a trade on its notional, in percent
+   * @param {Object} trade - Trade
+   * @returns {number} Return percentage
+   */
+  getReturnPct(trade) {
+    if (Number.isFinite(trade.returnPct)) return trade.returnPct;
+    const notional = trade.positionSize || trade.quantity;
+    return notional ? (trade.pnl / notional) * 100 : NaN;
+  }
+
+  /**
+   * Period returns of an equity curve
+   * @param {Array} equity - Equity curve
+   * @returns {Array} Returns (fractions)
+   */
+  getReturns(equity) {
+    const returns = [];
+    for (let i = 1; i < equity.length; i++) {
+      if (equity[i - 1].value > 0) {
+        returns.push((equity[i].value - equity[i - 1].value) / equity[i - 1].value);
+      }
+    }
+    return returns;
+  }
+
+  /**
+   * Equity points per year from the average spacing of the curve
+   * @param {Array} equity - Equity curve
+   * @returns {number} Periods per year
+   */
+  getPeriodsPerYear(equity) {
+    if (equity.length < 2) return 0;
+    const span = equity[equity.length - 1].timestamp - equity[0].timestamp;
+    return span > 0 ? YEAR_MS / (span / (equity.length - 1)) : 0;
+  }
+
+  /**
+   * Annualized Sharpe ratio (risk free rate 0)
+   * @param {Array} returns - Period returns
+   * @param {number} periodsPerYear - Periods per year
+   * @returns {number} Sharpe ratio
+   */
+  calculateSharpeRatio(returns, periodsPerYear) {
+    if (returns.length < 2) return 0;
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const std = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / returns.length);
+    return std > 0 ? (mean / std) * Math.sqrt(periodsPerYear) : 0;
+  }
+
+  /**
+   * Annualized Sortino ratio, only losing periods count as risk
+   * @param {Array} returns - Period returns
+   * @param {number} periodsPerYear - Periods per year
+   * @returns {number} Sortino ratio
+   */
+  calculateSortinoRatio(returns, periodsPerYear) {
+    if (returns.length < 2) return 0;
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const downside = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(Math.min(r, 0), 2), 0) / returns.length);
+    return downside > 0 ? (mean / downside) * Math.sqrt(periodsPerYear) : 0;
+  }
+
+  /**
+   * Compound annual growth rate of an equity curve
+   * @param {Array} equity - Equity curve
+   * @returns {number} Annualized return percentage
+   */
+  calculateAnnualizedReturn(equity) {
+    if (equity.length < 2 || !(equity[0].value > 0)) return 0;
+    const span = equity[equity.length - 1].timestamp - equity[0].timestamp;
+    const growth = equity[equity.length - 1].value / equity[0].value;
+    if (span <= 0 || growth <= 0) return 0;
+    return (Math.pow(growth, YEAR_MS / span) - 1) * 100;
+  }
+
+  /**
+   * Maximum peak to trough decline of an equity curve
+   * @param {Array} equity - Equity curve
+   * @returns {number} Max drawdown percentage
+   */
+  calculateMaxDrawdown(equity) {
+    if (!equity.length) return 0;
+    let peak = equity[0].value, maxDD = 0;
+    for (const point of equity) {
+      if (point.value > peak) peak = point.value;
+      else if (peak > 0) maxDD = Math.max(maxDD, (peak - point.value) / peak);
+    }
+    return maxDD * 100;
+  }
+
+  /**
+   * Share of the equity curve's time spent in a position
+   * @param {Array} trades - Closed trades
+   * @param {Array} equity - Equity curve
+   * @returns {number} Exposure percentage
+   */
+  calculateExposureTime(trades, equity) {
+    if (equity.length < 2) return 0;
+    const span = equity[equity.length - 1].timestamp - equity[0].timestamp;
+    const held = trades
+      .filter(trade => trade.entryTime && trade.exitTime)
+      .reduce((sum, trade) => sum + (trade.exitTime - trade.entryTime), 0);
+    return span > 0 ? Math.min(100, (held / span) * 100) : 0;
+  }
+
+  /**
+   * Equity curve sampled at a fixed interval from closed trades, so every return
+   * covers the same length of time and the annualization does not depend on how
+   * often trades close
+   * @param {Array} trades - Closed trades
+   * @param {number} initialBalance - Balance before the first trade
+   * @param {number} interval - Sampling interval in ms (default one day)
+   * @param {number} end - Sample up to this time (default now)
+   * @returns {Array} Equity curve, the periods per year are YEAR_MS / interval
+   */
+  buildEquitySeries(trades, initialBalance, interval = DAY_MS, end = Date.now()) {
+    const ordered = trades.filter(trade => trade.exitTime).sort((a, b) => a.exitTime - b.exitTime);
+    if (!ordered.length) return [];
+
+    const start = Math.floor(Math.min(...ordered.map(trade => trade.entryTime || trade.exitTime)) / interval) * interval;
+    const last = Math.max(end, ordered[ordered.length - 1].exitTime);
+    const equity = [];
+    let balance = initialBalance;
+    let next = 0;
+
+    for (let timestamp = start; ; timestamp += interval) {
+      while (next < ordered.length && ordered[next].exitTime <= timestamp) {
+        balance += ordered[next++].pnl;
+      }
+      equity.push({ timestamp: timestamp, value: balance });
+      if (timestamp >= last) break;
+    }
+
+    return equity;
+  }
+}
+
+// Export singleton instance
+module.exports = new PerformanceMetrics();
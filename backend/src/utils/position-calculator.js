@@ -2,9 +2,101 @@ const Decimal = require('decimal.js');
 const logger = require('./logger');
 const config = require('./config');
 
+const SIZING_MODES = ['fixed-fractional', 'volatility', 'kelly', 'fixed-notional'];
+
 class PositionCalculator {
   constructor() {
     this.precision = 8;
+    this.sizingModes = SIZING_MODES;
+  }
+
+  /**
+   * Size a position with one of the sizing modes:
+   *   fixed-fractional - risk riskPercent of the balance between entry and stop loss
+   *   volatility       - risk riskPercent of the balance over atrMultiplier ATRs
+   *   kelly            - risk kellyFraction of the Kelly fraction from the win rate and payoff ratio,
+   *                      fixed fractional until kellyMinTrades trades are available
+   *   fixed-notional   - a fixed position value
+   * Risk is capped at maxAccountRisk and the position value at maxConcentration of the balance.
+   * @param {Object} request - Sizing request
+   * @param {string} request.mode - Sizing mode (default config.trading.sizing.mode)
+   * @param {number} request.accountBalance - Total account balance
+   * @param {number} request.entryPrice - Entry price
+   * @param {number} request.stopLoss - Stop loss price (fixed-fractional, kelly)
+   * @param {number} request.atr - Average true range (volatility)
+   * @param {Object} request.stats - Trade statistics with totalTrades, winRate (percent) and payoffRatio (kelly)
+   * @param {Object} request.options - Overrides of config.trading.sizing
+   * @returns {Object} { mode, positionValue, positionSizeUnits, riskAmount, riskPercent, capped, note }
+   */
+  calculateSize({ mode, accountBalance, entryPrice, stopLoss, atr, stats, options = {} }) {
+    const sizing = { ...config.trading.sizing, ...options };
+    mode = mode || sizing.mode;
+
+    if (!SIZING_MODES.includes(mode)) {
+      throw new Error(`Unknown sizing mode: ${mode} (available: ${SIZING_MODES.join(', ')})`);
+    }
+    if (!(accountBalance > 0) || !(entryPrice > 0)) {
+      throw new Error('Invalid inputs for position size calculation');
+    }
+
+    const stopDistance = stopLoss ? Math.abs(entryPrice - stopLoss) : 0;
+    const maxRisk = config.trading.maxAccountRisk;
+    let riskPercent = Math.min(sizing.riskPercent, maxRisk);
+    let note = null;
+    let positionValue;
+
+    // Value that loses riskPercent of the balance over a price distance
+    const sizeForRisk = (distance) => {
+      if (!(distance > 0)) {
+        throw new Error(`Sizing mode ${mode} needs a ${mode === 'volatility' ? 'positive ATR' : 'stop loss'}`);
+      }
+      return (accountBalance * riskPercent / distance) * entryPrice;
+    };
+
+    switch (mode) {
+      case 'fixed-fractional':
+        positionValue = sizeForRisk(stopDistance);
+        break;
+
+      case 'volatility':
+        positionValue = sizeForRisk(atr * sizing.atrMultiplier);
+        break;
+
+      case 'kelly': {
+        if (!stats || stats.totalTrades < sizing.kellyMinTrades || !(stats.payoffRatio > 0)) {
+          note = `Fixed fractional until ${sizing.kellyMinTrades} trades with wins and losses are available`;
+        } else {
+          const winRate = stats.winRate / 100;
+          const kelly = winRate - (1 - winRate) / stats.payoffRatio;
+          riskPercent = Math.min(Math.max(kelly * sizing.kellyFraction, 0), maxRisk);
+          note = `Kelly ${(kelly * 100).toFixed(2)}% x ${sizing.kellyFraction}`;
+        }
+        positionValue = riskPercent > 0 ? sizeForRisk(stopDistance) : 0;
+        break;
+      }
+
+      case 'fixed-notional':
+        positionValue = sizing.notional;
+        break;
+    }
+
+    const maxPositionValue = accountBalance * config.riskManagement.maxConcentration;
+    const capped = positionValue > maxPositionValue;
+    positionValue = Math.min(positionValue, maxPositionValue);
+
+    const positionSizeUnits = positionValue / entryPrice;
+    const riskDistance = stopDistance || (atr ? atr * sizing.atrMultiplier : 0);
+    const riskAmount = positionSizeUnits * riskDistance;
+
+    return {
+      mode: mode,
+      positionValue: parseFloat(positionValue.toFixed(2)),
+      positionSizeUnits: parseFloat(positionSizeUnits.toFixed(this.precision)),
+      riskAmount: parseFloat(riskAmount.toFixed(2)),
+      riskPercent: parseFloat((riskAmount / accountBalance * 100).toFixed(4)),
+      capped: capped,
+      note: note
+    };
   }
 
   /**
@@ -156,15 +248,7 @@ class PositionCalculator {
         validations.isValid = false;
       }
 
-      // Check position concentration
-      const currentValue = currentPositions.reduce((sum, pos) => sum + (pos.positionValue || 0), 0);
-      const newTotalValue = currentValue + position.positionValue;
-      const concentrationPercent = newTotalValue / accountBalance;
-
-      if (concentrationPercent > config.riskManagement.maxConcentration) {
-        validations.errors.push(`Total position concentration ${(concentrationPercent * 100).toFixed(2)}% exceeds maximum ${(config.riskManagement.maxConcentration * 100)}%`);
-        validations.isValid = false;
-      }
+      // Exposure caps (total, asset, quote, group, net) are enforced by the risk manager
 
       // Check minimum position size
       const minPositionValue = accountBalance * 0.001; // 0.1% minimum
@@ -247,6 +331,62 @@ class PositionCalculator {
     }
   }
 
+  /**
+   * Calculate exposure by direction, base asset, quote currency and asset group
+   * @param {Array} positions - Positions with pair, side ('buy'/'sell') and positionValue
+   * @param {number} accountBalance - Total account balance
+   * @param {Object} assetGroups - Group name -> base assets
+   * @returns {Object} Exposure breakdown, values in quote currency and percent of the balance
+   */
+  calculateExposure(positions, accountBalance, assetGroups = {}) {
+    const bucket = () => ({ long: 0, short: 0, gross: 0, net: 0, positions: 0 });
+    const exposure = { ...bucket(), byAsset: {}, byQuote: {}, byGroup: {} };
+
+    const add = (target, isLong, value) => {
+      target[isLong ? 'long' : 'short'] += value;
+      target.gross += value;
+      target.net += isLong ? value : -value;
+      target.positions++;
+    };
+
+    for (const pos of positions || []) {
+      if (!pos.pair) continue;
+
+      const [asset, quote] = pos.pair.split('-');
+      const value = pos.positionValue || 0;
+      const isLong = pos.side !== 'sell';
+
+      add(exposure, isLong, value);
+      add(exposure.byAsset[asset] = exposure.byAsset[asset] || bucket(), isLong, value);
+      add(exposure.byQuote[quote] = exposure.byQuote[quote] || bucket(), isLong, value);
+
+      for (const [group, assets] of Object.entries(assetGroups)) {
+        if (assets.includes(asset)) {
+          add(exposure.byGroup[group] = exposure.byGroup[group] || bucket(), isLong, value);
+        }
+      }
+    }
+
+    const percent = value => accountBalance > 0 ? parseFloat((value / accountBalance * 100).toFixed(2)) : 0;
+    const withPercent = target => ({
+      ...target,
+      grossPercent: percent(target.gross),
+      netPercent: percent(target.net)
+    });
+    const mapBuckets = buckets => Object.fromEntries(
+      Object.entries(buckets).map(([name, target]) => [name, withPercent(target)])
+    );
+
+    return {
+      ...withPercent(exposure),
+      longPercent: percent(exposure.long),
+      shortPercent: percent(exposure.short),
+      byAsset: mapBuckets(exposure.byAsset),
+      byQuote: mapBuckets(exposure.byQuote),
+      byGroup: mapBuckets(exposure.byGroup)
+    };
+  }
+
   /**
    * Calculate portfolio risk metrics
    * @param {Array} positions - Array of open positions
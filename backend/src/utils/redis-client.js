@@ -136,17 +136,18 @@ class RedisClient {
   }
 
   // RSI data methods
-  async setRSIData(pair, timestamp, rsi) {
+  // 1m RSI keeps the rsi:<pair> key, other timeframes go to rsi:<pair>:<timeframe>
+  async setRSIData(pair, timestamp, rsi, timeframe = '1m') {
     try {
-      await this.client.call('TS.ADD', `rsi:${pair}`, timestamp, rsi);
+      await this.client.call('TS.ADD', timeframe === '1m' ? `rsi:${pair}` : `rsi:${pair}:${timeframe}`, timestamp, rsi);
     } catch (error) {
       logger.error(`Failed to set RSI data for ${pair}:`, error);
     }
   }
 
-  async getRSIHistory(pair, fromTimestamp, toTimestamp) {
+  async getRSIHistory(pair, fromTimestamp, toTimestamp, timeframe = '1m') {
     try {
-      const result = await this.client.call('TS.RANGE', `rsi:${pair}`, fromTimestamp, toTimestamp);
+      const result = await this.client.call('TS.RANGE', timeframe === '1m' ? `rsi:${pair}` : `rsi:${pair}:${timeframe}`, fromTimestamp, toTimestamp);
       return result.map(([timestamp, value]) => ({
         timestamp: parseInt(timestamp),
         rsi: parseFloat(value)
@@ -157,13 +158,37 @@ class RedisClient {
     }
   }
 
+  // Streaming indicator state, resumed after a restart
+  async setIndicatorState(pair, timeframe, state) {
+    try {
+      await this.client.set(`indicators:${pair}:${timeframe}`, JSON.stringify(state));
+    } catch (error) {
+      logger.error(`Failed to store indicator state for ${pair} ${timeframe}:`, error);
+    }
+  }
+
+  async getIndicatorState(pair, timeframe) {
+    try {
+      const state = await this.client.get(`indicators:${pair}:${timeframe}`);
+      return state ? JSON.parse(state) : null;
+    } catch (error) {
+      logger.error(`Failed to get indicator state for ${pair} ${timeframe}:`, error);
+      return null;
+    }
+  }
+
   // Divergence signals
   async storeDivergenceSignal(signal) {
     try {
       const signalData = {
         id: signal.id,
         pair: signal.pair,
+        timeframe: signal.timeframe || '1m',
         type: signal.type, // 'bullish' or 'bearish'
+        divergenceClass: signal.divergenceClass || 'regular', // 'regular' or 'hidden'
+        oscillators: (signal.oscillators || ['rsi']).join(','),
+        confluenceScore: signal.confluence?.score ?? '',
+        confirmation: signal.confirmation ? JSON.stringify(signal.confirmation) : '',
         strength: signal.strength,
         timestamp: signal.timestamp,
         pricePoints: signal.pricePoints,
@@ -183,17 +208,26 @@ class RedisClient {
     }
   }
 
-  async getDivergenceSignals(pair, limit = 10) {
+  async getDivergenceSignals(pair, limit = 10, divergenceClass = null, timeframe = null) {
     try {
       const pattern = pair ? `divergence:*${pair}*` : 'divergence:*';
       const keys = await this.client.keys(pattern);
       
       const signals = [];
-      for (const key of keys.slice(0, limit)) {
+      // A class or timeframe filter has to look at every signal before limiting
+      for (const key of divergenceClass || timeframe ? keys : keys.slice(0, limit)) {
         const signal = await this.client.hgetall(key);
-        if (signal.id) {
+        // Signals stored before hidden divergences existed are regular ones, before timeframes were tracked 1m ones
+        if (signal.id &&
+            (!divergenceClass || (signal.divergenceClass || 'regular') === divergenceClass) &&
+            (!timeframe || (signal.timeframe || '1m') === timeframe)) {
           signals.push({
             ...signal,
+            timeframe: signal.timeframe || '1m',
+            divergenceClass: signal.divergenceClass || 'regular',
+            oscillators: (signal.oscillators || 'rsi').split(','),
+            confluenceScore: signal.confluenceScore ? parseFloat(signal.confluenceScore) : null,
+            confirmation: signal.confirmation ? JSON.parse(signal.confirmation) : null,
             strength: parseFloat(signal.strength),
             timestamp: parseInt(signal.timestamp),
             pricePoints: JSON.parse(signal.pricePoints || '[]'),
@@ -203,7 +237,7 @@ class RedisClient {
         }
       }
       
-      return signals.sort((a, b) => b.timestamp - a.timestamp);
+      return signals.sort((a, b) => b.timestamp - a.timestamp).slice(0, limit);
     } catch (error) {
       logger.error('Failed to get divergence signals:', error);
       return [];
@@ -324,9 +358,9 @@ class RedisClient {
   }
 
   // Generic Redis operations for backtesting
-  async set(key, value) {
+  async set(key, value, ...options) {
     try {
-      return await this.client.set(key, value);
+      return await this.client.set(key, value, ...options);
     } catch (error) {
       logger.error(`Failed to set key ${key}:`, error);
       throw error;
@@ -0,0 +1,161 @@
+// Wilder period of the ATR tracked for ATR and chandelier stops
+const ATR_PERIOD = 14;
+
+// Policy types and their default parameters
+const POLICY_DEFAULTS = {
+  percent: { percent: 0.02, activateR: 0 },      // Trail the best price by a percentage
+  atr: { multiplier: 2, activateR: 0 },          // Trail the close by an ATR multiple
+  chandelier: { multiplier: 3, lookback: 22, activateR: 0 }, // Highest high (lowest low) of the lookback minus an ATR multiple
+  breakeven: { triggerR: 1, offset: 0 }          // Move to entry (+ offset fraction) once the trade is triggerR R in profit
+};
+
+/**
+ * Stop Policies - trailing and break-even stop rules attached to trades.
+ * Policies are evaluated on closed candles; the most protective proposal
+ * wins and stops only ever move in the trade's favour.
+ *
+ * Policy: { type: 'percent'|'atr'|'chandelier'|'breakeven', ...parameters }
+ * R is the distance between the entry and the initial stop loss.
+ */
+class StopPolicies {
+  constructor() {
+    this.types = Object.keys(POLICY_DEFAULTS);
+  }
+
+  /**
+   * Validate policies and fill in their defaults
+   * @param {Array} policies - Stop policies
+   * @returns {Array} Resolved policies
+   */
+  normalize(policies = []) {
+    if (!Array.isArray(policies)) {
+      throw new Error('stopPolicies must be an array');
+    }
+
+    return policies.map(policy => {
+      const defaults = POLICY_DEFAULTS[policy?.type];
+      if (!defaults) {
+        throw new Error(`Unknown stop policy: ${policy?.type} (available: ${this.types.join(', ')})`);
+      }
+
+      const resolved = { ...defaults, ...policy };
+      for (const key of Object.keys(defaults)) {
+        if (typeof resolved[key] !== 'number' || !(resolved[key] >= 0)) {
+          throw new Error(`Invalid ${policy.type} stop policy ${key}: must be a non-negative number`);
+        }
+      }
+
+      if (policy.type === 'percent' && !(resolved.percent > 0 && resolved.percent < 1)) {
+        throw new Error('Invalid percent stop policy percent: must be between 0 and 1');
+      }
+      if ((policy.type === 'atr' || policy.type === 'chandelier') && !(resolved.multiplier > 0)) {
+        throw new Error(`Invalid ${policy.type} stop policy multiplier: must be positive`);
+      }
+      if (policy.type === 'chandelier' && !(Number.isInteger(resolved.lookback) && resolved.lookback > 0)) {
+        throw new Error('Invalid chandelier stop policy lookback: must be a positive integer');
+      }
+      if (policy.type === 'breakeven' && !(resolved.triggerR > 0)) {
+        throw new Error('Invalid breakeven stop policy triggerR: must be positive');
+      }
+
+      return resolved;
+    });
+  }
+
+  /**
+   * Tracking state for a trade's policies, created once the trade is open
+   * @param {Object} trade - Active trade
+   * @param {number} atr - ATR to seed with (e.g. from the suggestion)
+   * @returns {Object} Policy state
+   */
+  createState(trade, atr = null) {
+    return {
+      initialStop: trade.stopLoss,
+      initialRisk: Math.abs(trade.entryPrice - trade.stopLoss),
+      bestPrice: trade.entryPrice, // Highest high for longs, lowest low for shorts
+      atr: atr || null,
+      prevClose: trade.entryPrice,
+      highs: [],
+      lows: []
+    };
+  }
+
+  /**
+   * Update a trade's policy state with a closed candle and propose a new stop
+   * @param {Object} trade - Active trade with stopPolicies and stopPolicyState
+   * @param {Object} candle - Closed OHLC candle
+   * @returns {Object|null} { stopLoss, policy } when the stop should move
+   */
+  evaluate(trade, candle) {
+    const state = trade.stopPolicyState;
+    const isLong = trade.action === 'BUY';
+    const high = candle.high ?? candle.close;
+    const low = candle.low ?? candle.close;
+
+    // Wilder ATR, seeded with the candle's true range when there is no ATR yet
+    const trueRange = Math.max(high - low, Math.abs(high - state.prevClose), Math.abs(low - state.prevClose));
+    state.atr = state.atr ? (state.atr * (ATR_PERIOD - 1) + trueRange) / ATR_PERIOD : trueRange;
+    state.prevClose = candle.close;
+    state.bestPrice = isLong ? Math.max(state.bestPrice, high) : Math.min(state.bestPrice, low);
+
+    const lookback = Math.max(0, ...trade.stopPolicies.filter(p => p.type === 'chandelier').map(p => p.lookback));
+    state.highs = [...state.highs, high].slice(-lookback || -1);
+    state.lows = [...state.lows, low].slice(-lookback || -1);
+
+    const excursion = isLong ? state.bestPrice - trade.entryPrice : trade.entryPrice - state.bestPrice;
+    const rMultiple = state.initialRisk > 0 ? excursion / state.initialRisk : 0;
+
+    const proposals = [];
+    for (const policy of trade.stopPolicies) {
+      if (policy.activateR && rMultiple < policy.activateR) continue;
+
+      switch (policy.type) {
+        case 'percent':
+          proposals.push({
+            stopLoss: state.bestPrice * (isLong ? 1 - policy.percent : 1 + policy.percent),
+            policy: 'percent'
+          });
+          break;
+
+        case 'atr':
+          proposals.push({
+            stopLoss: isLong ? candle.close - policy.multiplier * state.atr : candle.close + policy.multiplier * state.atr,
+            policy: 'atr'
+          });
+          break;
+
+        case 'chandelier': {
+          const extreme = isLong
+            ? Math.max(...state.highs.slice(-policy.lookback))
+            : Math.min(...state.lows.slice(-policy.lookback));
+          proposals.push({
+            stopLoss: isLong ? extreme - policy.multiplier * state.atr : extreme + policy.multiplier * state.atr,
+            policy: 'chandelier'
+          });
+          break;
+        }
+
+        case 'breakeven':
+          if (rMultiple >= policy.triggerR) {
+            proposals.push({
+              stopLoss: trade.entryPrice * (isLong ? 1 + policy.offset : 1 - policy.offset),
+              policy: 'breakeven'
+            });
+          }
+          break;
+      }
+    }
+
+    // Most protective proposal that tightens the stop and is still on the right side of the close
+    const best = proposals
+      .filter(p => isLong
+        ? p.stopLoss > (trade.stopLoss || 0) && p.stopLoss < candle.close
+        : (!trade.stopLoss || p.stopLoss < trade.stopLoss) && p.stopLoss > candle.close)
+      .sort((a, b) => isLong ? b.stopLoss - a.stopLoss : a.stopLoss - b.stopLoss)[0];
+
+    return best || null;
+  }
+}
+
+// Export singleton instance
+module.exports = new StopPolicies();
@@ -0,0 +1,304 @@
+const Decimal = require('decimal.js');
+const technicalIndicators = require('./technical-indicators');
+
+/**
+ * Streaming indicators - RSI, SMA, EMA, ATR and ADX updated in constant
+ * time per bar, giving the same values as the batch functions
+ * (technicalIndicators.calculateRSI / calculateSMA / calculateEMA and
+ * technicalindicators' ATR / ADX) fed with the same bars.
+ *
+ * Indicators hold plain data only: JSON.stringify() serializes them and
+ * restoreIndicator() resumes them, e.g. from Redis after a restart.
+ * update() returns the current value, null while the indicator warms up.
+ */
+
+// Same rounding as the batch RSI, SMA and EMA
+const round = (value) => parseFloat(new Decimal(value).toFixed(technicalIndicators.precision));
+
+/**
+ * Exponential average seeded with the simple average of its first `period`
+ * values, as technicalindicators' EMA and WEMA
+ * @param {Object} average - Average state { count, sum, value }
+ * @param {number} value - New value
+ * @param {number} period - Period
+ * @param {number} exponent - Smoothing factor
+ * @returns {number|null} Average
+ */
+function exponentialStep(average, value, period, exponent) {
+  if (average.value === null) {
+    average.count++;
+    average.sum = average.sum + value;
+    if (average.count === period) {
+      average.value = average.sum / period;
+    }
+    return average.value;
+  }
+
+  average.value = ((value - average.value) * exponent) + average.value;
+  return average.value;
+}
+
+/**
+ * Wilder's running sum (previous - previous / period + value), as technicalindicators' WilderSmoothing
+ * @param {Object} smoothing - Smoothing state { count, sum }
+ * @param {number} value - New value
+ * @param {number} period - Period
+ * @returns {number|null} Smoothed sum
+ */
+function wilderSumStep(smoothing, value, period) {
+  if (smoothing.count < period) {
+    smoothing.count++;
+    smoothing.sum = smoothing.sum + value;
+    return smoothing.count === period ? smoothing.sum : null;
+  }
+
+  smoothing.sum = smoothing.sum - (smoothing.sum / period) + value;
+  return smoothing.sum;
+}
+
+/**
+ * True range of a candle, null for the first candle
+ * @param {Object} candle - Candle { high, low, close }
+ * @param {number|null} previousClose - Close of the previous candle
+ * @returns {number|null} True range
+ */
+function trueRange({ high, low }, previousClose) {
+  if (previousClose === null) {
+    return null;
+  }
+
+  const highGap = Math.abs(high - previousClose);
+  const lowGap = Math.abs(low - previousClose);
+  return Math.max(high - low, isNaN(highGap) ? 0 : highGap, isNaN(lowGap) ? 0 : lowGap);
+}
+
+const newAverage = () => ({ count: 0, sum: 0, value: null });
+
+/**
+ * Wilder RSI, seeded with the simple average of the first `period` gains and losses
+ */
+class StreamingRSI {
+  constructor(period = 14) {
+    this.type = 'rsi';
+    this.period = period;
+    this.previousClose = null;
+    this.changes = 0;
+    this.gainSum = 0;
+    this.lossSum = 0;
+    this.avgGain = null;
+    this.avgLoss = null;
+    this.value = null;
+  }
+
+  /**
+   * @param {number} close - Closing price, invalid prices are skipped like the batch RSI does
+   * @returns {number|null} RSI
+   */
+  update(close) {
+    const price = parseFloat(close);
+    if (isNaN(price) || price <= 0) {
+      return this.value;
+    }
+
+    if (this.previousClose === null) {
+      this.previousClose = price;
+      return null;
+    }
+
+    const change = price - this.previousClose;
+    const gain = change > 0 ? change : 0;
+    const loss = change < 0 ? Math.abs(change) : 0;
+    this.previousClose = price;
+    this.changes++;
+
+    if (this.changes < this.period) {
+      this.gainSum = this.gainSum + gain;
+      this.lossSum = this.lossSum + loss;
+      return null;
+    }
+
+    if (this.changes === this.period) {
+      this.avgGain = (this.gainSum + gain) / this.period;
+      this.avgLoss = (this.lossSum + loss) / this.period;
+    } else {
+      // Wilder's smoothing formula: ((previous * (period - 1)) + current) / period
+      this.avgGain = ((this.avgGain * (this.period - 1)) + gain) / this.period;
+      this.avgLoss = ((this.avgLoss * (this.period - 1)) + loss) / this.period;
+    }
+
+    this.value = this.avgLoss === 0 ? 100 : round(100 - (100 / (1 + this.avgGain / this.avgLoss)));
+    return this.value;
+  }
+}
+
+/**
+ * Simple moving average over a ring buffer of the last `period` values
+ */
+class StreamingSMA {
+  constructor(period) {
+    this.type = 'sma';
+    this.period = period;
+    this.window = [];
+    this.next = 0; // Ring buffer slot of the oldest value once full
+    this.sum = 0;
+    this.value = null;
+  }
+
+  /**
+   * @param {number} value - New value, NaN is skipped like the batch SMA does
+   * @returns {number|null} SMA
+   */
+  update(value) {
+    const number = parseFloat(value);
+    if (isNaN(number)) {
+      return this.value;
+    }
+
+    if (this.window.length < this.period) {
+      this.window.push(number);
+      this.sum = this.sum + number;
+      if (this.window.length < this.period) {
+        return null;
+      }
+    } else {
+      this.sum = this.sum - this.window[this.next] + number;
+      this.window[this.next] = number;
+      this.next = (this.next + 1) % this.period;
+    }
+
+    this.value = round(this.sum / this.period);
+    return this.value;
+  }
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first `period` values
+ */
+class StreamingEMA {
+  constructor(period) {
+    this.type = 'ema';
+    this.period = period;
+    this.average = newAverage();
+    this.value = null;
+  }
+
+  /**
+   * @param {number} value - New value, NaN is skipped like the batch EMA does
+   * @returns {number|null} EMA
+   */
+  update(value) {
+    const number = parseFloat(value);
+    if (isNaN(number)) {
+      return this.value;
+    }
+
+    const ema = exponentialStep(this.average, number, this.period, 2 / (this.period + 1));
+    this.value = ema === null ? null : round(ema);
+    return this.value;
+  }
+}
+
+/**
+ * Average true range, Wilder smoothed
+ */
+class StreamingATR {
+  constructor(period = 14) {
+    this.type = 'atr';
+    this.period = period;
+    this.previousClose = null;
+    this.average = newAverage();
+    this.value = null;
+  }
+
+  /**
+   * @param {Object} candle - Candle { high, low, close }
+   * @returns {number|null} ATR
+   */
+  update(candle) {
+    const range = trueRange(candle, this.previousClose);
+    this.previousClose = candle.close;
+
+    if (range !== null) {
+      this.value = exponentialStep(this.average, range, this.period, 1 / this.period);
+    }
+    return this.value;
+  }
+}
+
+/**
+ * Average directional index with the +DI and -DI lines
+ */
+class StreamingADX {
+  constructor(period = 14) {
+    this.type = 'adx';
+    this.period = period;
+    this.previous = null; // Previous candle { high, low, close }
+    this.trueRange = { count: 0, sum: 0 };
+    this.plusDM = { count: 0, sum: 0 };
+    this.minusDM = { count: 0, sum: 0 };
+    this.dx = newAverage();
+    this.value = null;
+  }
+
+  /**
+   * @param {Object} candle - Candle { high, low, close }
+   * @returns {Object|null} { adx, pdi, mdi }
+   */
+  update(candle) {
+    const previous = this.previous;
+    this.previous = { high: candle.high, low: candle.low, close: candle.close };
+    if (!previous) {
+      return this.value;
+    }
+
+    const upMove = candle.high - previous.high;
+    const downMove = previous.low - candle.low;
+
+    const smoothedTR = wilderSumStep(this.trueRange, trueRange(candle, previous.close), this.period);
+    const smoothedPlusDM = wilderSumStep(this.plusDM, (upMove > downMove && upMove > 0) ? upMove : 0, this.period);
+    const smoothedMinusDM = wilderSumStep(this.minusDM, (downMove > upMove && downMove > 0) ? downMove : 0, this.period);
+    if (smoothedTR === null) {
+      return this.value;
+    }
+
+    const pdi = smoothedPlusDM * 100 / smoothedTR;
+    const mdi = smoothedMinusDM * 100 / smoothedTR;
+    const dx = (Math.abs(pdi - mdi) / (pdi + mdi)) * 100;
+    const adx = exponentialStep(this.dx, dx, this.period, 1 / this.period);
+
+    if (adx !== null) {
+      this.value = { adx, pdi, mdi };
+    }
+    return this.value;
+  }
+}
+
+const INDICATORS = {
+  rsi: StreamingRSI,
+  sma: StreamingSMA,
+  ema: StreamingEMA,
+  atr: StreamingATR,
+  adx: StreamingADX
+};
+
+/**
+ * Resume an indicator from its serialized state
+ * @param {Object} state - Parsed JSON of an indicator
+ * @returns {Object} Indicator
+ */
+function restoreIndicator(state) {
+  const Indicator = INDICATORS[state.type];
+  if (!Indicator) {
+    throw new Error(`Unknown streaming indicator ${state.type}`);
+  }
+  return Object.assign(new Indicator(state.period), state);
+}
+
+module.exports = {
+  StreamingRSI,
+  StreamingSMA,
+  StreamingEMA,
+  StreamingATR,
+  StreamingADX,
+  restoreIndicator
+};
@@ -0,0 +1,228 @@
+const stopPolicies = require('./stop-policies');
+
+// Target kinds of a take profit leg, exactly one per leg
+const TARGET_KEYS = ['r', 'fib', 'level', 'price', 'trailing'];
+
+// Fraction sums within this tolerance count as the whole position
+const FRACTION_TOLERANCE = 1e-6;
+
+/**
+ * Take Profit Ladder - splits a trade's exit into legs that each close a
+ * fraction of the position at their own target.
+ *
+ * Leg: { fraction, r } (multiple of the entry-stop distance), { fraction, fib }
+ * (Fibonacci extension of the recent swing, e.g. 1.618), { fraction, level }
+ * (nth resistance above a long / support below a short), { fraction, price }
+ * or { fraction, trailing } (runner that rides the trailing stop, true or a
+ * stop policy). Fractions are of the initial position and add up to 1.
+ */
+class TakeProfitLadder {
+  constructor() {
+    this.targetKeys = TARGET_KEYS;
+  }
+
+  /**
+   * Validate ladder legs
+   * @param {Array} legs - Leg definitions
+   * @returns {Array} Legs
+   */
+  normalize(legs) {
+    if (!Array.isArray(legs) || legs.length === 0) {
+      throw new Error('takeProfitLadder must be a non-empty array');
+    }
+
+    for (const leg of legs) {
+      if (typeof leg?.fraction !== 'number' || !(leg.fraction > 0 && leg.fraction <= 1)) {
+        throw new Error('Invalid take profit leg fraction: must be between 0 and 1');
+      }
+
+      const targets = TARGET_KEYS.filter(key => leg[key] !== undefined && leg[key] !== false);
+      if (targets.length !== 1) {
+        throw new Error(`Each take profit leg needs exactly one target (${TARGET_KEYS.join(', ')})`);
+      }
+
+      if (leg.r !== undefined && !(typeof leg.r === 'number' && leg.r > 0)) {
+        throw new Error('Invalid take profit leg r: must be a positive number');
+      }
+      if (leg.fib !== undefined && !(typeof leg.fib === 'number' && leg.fib > 1)) {
+        throw new Error('Invalid take profit leg fib: must be an extension ratio above 1');
+      }
+      if (leg.level !== undefined && !(Number.isInteger(leg.level) && leg.level > 0)) {
+        throw new Error('Invalid take profit leg level: must be a positive integer');
+      }
+      if (leg.price !== undefined && !(typeof leg.price === 'number' && leg.price > 0)) {
+        throw new Error('Invalid take profit leg price: must be a positive number');
+      }
+      if (leg.trailing !== undefined && leg.trailing !== true && typeof leg.trailing !== 'object') {
+        throw new Error('Invalid take profit leg trailing: must be true or a stop policy');
+      }
+      if (typeof leg.trailing === 'object') {
+        try {
+          stopPolicies.normalize([leg.trailing]);
+        } catch (error) {
+          throw new Error(`Invalid take profit leg trailing: ${error.message}`);
+        }
+      }
+    }
+
+    const total = legs.reduce((sum, leg) => sum + leg.fraction, 0);
+    if (Math.abs(total - 1) > FRACTION_TOLERANCE) {
+      throw new Error(`Take profit leg fractions must add up to 1 (got ${+total.toFixed(6)})`);
+    }
+
+    const trailing = legs.filter(leg => leg.trailing);
+    if (trailing.length > 1) {
+      throw new Error('Only one take profit leg can be trailing');
+    }
+    if (trailing.length === legs.length) {
+      throw new Error('A take profit ladder needs at least one leg with a target price');
+    }
+
+    return legs;
+  }
+
+  /**
+   * Price the legs of a ladder for a trade
+   * @param {Array} legs - Leg definitions
+   * @param {Object} context - Trade levels
+   * @param {string} context.action - BUY or SELL
+   * @param {number} context.entryPrice - Entry price
+   * @param {number} context.stopLoss - Initial stop loss
+   * @param {Object} context.fibonacciLevels - Swing { high, low } for fib targets
+   * @param {Object} context.supportResistance - { support, resistance } levels for level targets
+   * @returns {Array} Legs with price and status, nearest target first and the runner last.
+   *   The last leg is `final`: it closes what is left of the position
+   */
+  build(legs, { action, entryPrice, stopLoss, fibonacciLevels, supportResistance } = {}) {
+    this.normalize(legs);
+    const isLong = action === 'BUY';
+
+    const priced = legs.map(leg => {
+      const [target] = TARGET_KEYS.filter(key => leg[key] !== undefined && leg[key] !== false);
+      const price = target === 'trailing' ? null : this.getTargetPrice(leg, target, { isLong, entryPrice, stopLoss, fibonacciLevels, supportResistance });
+
+      if (price !== null && (isLong ? price <= entryPrice : price >= entryPrice)) {
+        throw new Error(`Take profit ${target} target ${price} is not ${isLong ? 'above' : 'below'} the entry ${entryPrice}`);
+      }
+
+      return {
+        fraction: leg.fraction,
+        target: { type: target, value: leg[target] },
+        price: price,
+        status: 'OPEN', // OPEN, FILLED (target reached), CLOSED (exited with the rest of the position)
+        quantity: null,
+        exitPrice: null,
+        pnl: null,
+        filledAt: null
+      };
+    });
+
+    return priced
+      .sort((a, b) => {
+        if (a.price === null) return 1;
+        if (b.price === null) return -1;
+        return isLong ? a.price - b.price : b.price - a.price;
+      })
+      .map((leg, index, sorted) => ({ id: `tp${index + 1}`, ...leg, final: index === sorted.length - 1 }));
+  }
+
+  /**
+   * Price of a leg target
+   * @param {Object} leg - Leg definition
+   * @param {string} target - Target kind
+   * @param {Object} context - Trade levels
+   * @returns {number} Target price
+   */
+  getTargetPrice(leg, target, { isLong, entryPrice, stopLoss, fibonacciLevels, supportResistance }) {
+    switch (target) {
+      case 'r': {
+        const risk = Math.abs(entryPrice - stopLoss);
+        if (!(risk > 0)) {
+          throw new Error('R take profit targets need a stop loss');
+        }
+        return isLong ? entryPrice + leg.r * risk : entryPrice - leg.r * risk;
+      }
+
+      case 'fib': {
+        const { high, low } = fibonacciLevels || {};
+        if (!(high > low)) {
+          throw new Error('Fibonacci take profit targets need a price swing');
+        }
+        // Extend the swing in the trade's direction
+        return isLong ? low + (high - low) * leg.fib : high - (high - low) * leg.fib;
+      }
+
+      case 'level': {
+        const levels = (isLong ? supportResistance?.resistance : supportResistance?.support) || [];
+        const beyond = levels
+          .filter(level => isLong ? level > entryPrice : level < entryPrice)
+          .sort((a, b) => isLong ? a - b : b - a);
+        if (beyond.length < leg.level) {
+          throw new Error(`No ${isLong ? 'resistance' : 'support'} level ${leg.level} ${isLong ? 'above' : 'below'} the entry`);
+        }
+        return beyond[leg.level - 1];
+      }
+
+      case 'price':
+        return leg.price;
+    }
+  }
+
+  /**
+   * Target that closes what is left of the position: the last priced leg, none when a runner trails
+   * @param {Array} ladder - Priced legs
+   * @returns {number|null} Take profit price
+   */
+  getFinalTarget(ladder) {
+    if (ladder.some(leg => leg.target.type === 'trailing')) {
+      return null;
+    }
+    return ladder[ladder.length - 1].price;
+  }
+
+  /**
+   * Stop policy that trails the runner leg
+   * @param {Array} ladder - Priced legs
+   * @returns {Object|null} Stop policy, the ATR trail for `trailing: true`
+   */
+  getRunnerPolicy(ladder) {
+    const runner = ladder.find(leg => leg.target.type === 'trailing');
+    if (!runner) return null;
+    return runner.target.value === true ? { type: 'atr' } : runner.target.value;
+  }
+
+  /**
+   * Reward to risk of the priced legs, weighted by their fractions (runners are not counted)
+   * @param {Array} ladder - Priced legs
+   * @param {number} entryPrice - Entry price
+   * @param {number} stopLoss - Stop loss
+   * @returns {number} Blended reward/risk ratio
+   */
+  getRiskRewardRatio(ladder, entryPrice, stopLoss) {
+    const risk = Math.abs(entryPrice - stopLoss);
+    const reward = ladder
+      .filter(leg => leg.price !== null)
+      .reduce((sum, leg) => sum + leg.fraction * Math.abs(leg.price - entryPrice), 0);
+    return risk > 0 ? reward / risk : 0;
+  }
+
+  /**
+   * Open priced legs whose target a candle reached, nearest first
+   * @param {Array} ladder - Priced legs
+   * @param {string} action - BUY or SELL
+   * @param {Object} candle - OHLC candle
+   * @returns {Array} Reached legs
+   */
+  getReachedLegs(ladder, action, candle) {
+    const isLong = action === 'BUY';
+    const high = candle.high ?? candle.close;
+    const low = candle.low ?? candle.close;
+
+    return ladder.filter(leg =>
+      leg.status === 'OPEN' && leg.price !== null && (isLong ? high >= leg.price : low <= leg.price)
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new TakeProfitLadder();
@@ -1,4 +1,4 @@
-const { RSI, SMA, EMA } = require('technicalindicators');
+const { RSI, SMA, EMA, MACD, Stochastic, OBV, MFI, CCI } = require('technicalindicators');
 const Decimal = require('decimal.js');
 const logger = require('./logger');
 
@@ -158,6 +158,120 @@ class TechnicalIndicators {
     }
   }
 
+  /**
+   * Calculate the MACD histogram (MACD line minus its signal line)
+   * @param {Array} closes - Array of closing prices
+   * @param {number} fastPeriod - Fast EMA period
+   * @param {number} slowPeriod - Slow EMA period
+   * @param {number} signalPeriod - Signal EMA period
+   * @returns {Array} Histogram values, starting once the signal line is available
+   */
+  calculateMACDHistogram(closes, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    try {
+      if (!closes || closes.length < slowPeriod + signalPeriod - 1) {
+        return [];
+      }
+
+      return MACD.calculate({
+        values: closes,
+        fastPeriod: fastPeriod,
+        slowPeriod: slowPeriod,
+        signalPeriod: signalPeriod,
+        SimpleMAOscillator: false,
+        SimpleMASignal: false
+      })
+        .filter(value => value.histogram !== undefined)
+        .map(value => value.histogram);
+    } catch (error) {
+      logger.error('Error calculating MACD histogram:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Calculate Stochastic %K
+   * @param {Array} highs - Array of high prices
+   * @param {Array} lows - Array of low prices
+   * @param {Array} closes - Array of closing prices
+   * @param {number} period - Lookback period
+   * @param {number} signalPeriod - %D period
+   * @returns {Array} %K values (0-100)
+   */
+  calculateStochastic(highs, lows, closes, period = 14, signalPeriod = 3) {
+    try {
+      if (!closes || closes.length < period) {
+        return [];
+      }
+
+      return Stochastic.calculate({ high: highs, low: lows, close: closes, period, signalPeriod }).map(value => value.k);
+    } catch (error) {
+      logger.error('Error calculating Stochastic:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Calculate On-Balance Volume
+   * @param {Array} closes - Array of closing prices
+   * @param {Array} volumes - Array of volumes
+   * @returns {Array} OBV values, from the second candle on
+   */
+  calculateOBV(closes, volumes) {
+    try {
+      if (!closes || closes.length < 2) {
+        return [];
+      }
+
+      return OBV.calculate({ close: closes, volume: volumes });
+    } catch (error) {
+      logger.error('Error calculating OBV:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Calculate the Money Flow Index
+   * @param {Array} highs - Array of high prices
+   * @param {Array} lows - Array of low prices
+   * @param {Array} closes - Array of closing prices
+   * @param {Array} volumes - Array of volumes
+   * @param {number} period - MFI period
+   * @returns {Array} MFI values (0-100)
+   */
+  calculateMFI(highs, lows, closes, volumes, period = 14) {
+    try {
+      if (!closes || closes.length < period + 1) {
+        return [];
+      }
+
+      return MFI.calculate({ high: highs, low: lows, close: closes, volume: volumes, period });
+    } catch (error) {
+      logger.error('Error calculating MFI:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Calculate the Commodity Channel Index
+   * @param {Array} highs - Array of high prices
+   * @param {Array} lows - Array of low prices
+   * @param {Array} closes - Array of closing prices
+   * @param {number} period - CCI period
+   * @returns {Array} CCI values
+   */
+  calculateCCI(highs, lows, closes, period = 20) {
+    try {
+      if (!closes || closes.length < period) {
+        return [];
+      }
+
+      return CCI.calculate({ high: highs, low: lows, close: closes, period });
+    } catch (error) {
+      logger.error('Error calculating CCI:', error);
+      return [];
+    }
+  }
+
   /**
    * Find local extremes (peaks and troughs) in price data
    * @param {Array} prices - Array of price objects with timestamp and price
@@ -0,0 +1,278 @@
+jest.mock('../../src/exchanges', () => ({ getExchangeForPair: jest.fn() }));
+jest.mock('../../src/utils/audit-log', () => ({ record: jest.fn() }));
+
+// Config is validated on load, the engine does not need users
+process.env.AUTH_ENABLED = 'false';
+
+const { getExchangeForPair } = require('../../src/exchanges');
+const ManualTradingEngine = require('../../src/services/manual-trading-engine');
+
+/**
+ * Order in the exchange adapters' common format
+ * @param {Object} fields - Fields that differ from a new BTC-USDT buy
+ */
+function order(fields = {}) {
+  return {
+    orderId: '1',
+    clientOrderId: null,
+    pair: 'BTC-USDT',
+    symbol: 'BTCUSDT',
+    side: 'BUY',
+    type: 'MARKET',
+    status: 'NEW',
+    price: 0,
+    stopPrice: 0,
+    origQty: 0,
+    executedQty: 0,
+    quoteQty: 0,
+    avgPrice: 0,
+    fee: 0,
+    orderListId: null,
+    time: 0,
+    updateTime: 0,
+    ...fields
+  };
+}
+
+/**
+ * Exchange adapter double: orders are answered from `orders` (which holds the
+ * protective orders once placed), fills from `fills`
+ */
+function createExchange() {
+  const exchange = {
+    displayName: 'Test Exchange',
+    orders: {},
+    fills: {},
+    placeOrder: jest.fn(),
+    getOrder: jest.fn(async (pair, orderId) => exchange.orders[orderId]),
+    getOrderFills: jest.fn(async (pair, orderId) => exchange.fills[orderId] || []),
+    placeAttachedOrders: jest.fn(async (pair, side, quantity, { stopLoss, takeProfit }) => {
+      exchange.orders.sl = order({ orderId: 'sl', side: 'SELL', type: 'STOP_LOSS', stopPrice: stopLoss, origQty: quantity });
+      exchange.orders.tp = order({ orderId: 'tp', side: 'SELL', type: 'TAKE_PROFIT', stopPrice: takeProfit, origQty: quantity });
+      return { stopLoss: exchange.orders.sl, takeProfit: exchange.orders.tp };
+    }),
+    cancelAttachedOrders: jest.fn(async (pair, orders) => Object.fromEntries(
+      Object.entries(orders).map(([role, open]) => [role, { ...open, status: 'CANCELED' }])
+    ))
+  };
+  return exchange;
+}
+
+function createRiskManager() {
+  return {
+    positions: new Map(),
+    validateTrade: jest.fn(async () => ({ approved: true, warnings: [], reasons: [], position: { riskAmount: 10 } })),
+    addPosition: jest.fn(async function (position) { this.positions.set(position.id, position); }),
+    removePosition: jest.fn(async function (id) { this.positions.delete(id); }),
+    updatePosition: jest.fn(async () => {})
+  };
+}
+
+// Engine with a 500 USDT BTC-USDT long suggestion, 1R is 1000
+function createEngine() {
+  const engine = new ManualTradingEngine(null);
+  engine.setRiskManager(createRiskManager());
+  engine.activeSuggestions.set('suggestion-1', {
+    id: 'suggestion-1',
+    pair: 'BTC-USDT',
+    action: 'BUY',
+    currentPrice: 50000,
+    suggestedPositionSize: 500,
+    stopLoss: 49000,
+    takeProfit: 52000,
+    copyTradeData: { type: 'MARKET', quantity: 500, stopPrice: 49000, takeProfitPrice: 52000, timeInForce: 'GTC' },
+    status: 'PENDING'
+  });
+  return engine;
+}
+
+// Market buy of 500 USDT at 50000, the 0.1% fee is paid in BTC
+const entryFill = order({ orderId: 'entry', status: 'FILLED', origQty: 0.01, executedQty: 0.01, quoteQty: 500, avgPrice: 50000 });
+const entryFills = [{ id: 'f1', orderId: 'entry', price: 50000, qty: 0.01, quoteQty: 500, commission: 0.00001, commissionAsset: 'BTC', time: 0 }];
+
+describe('ManualTradingEngine live orders', () => {
+  let engine;
+  let exchange;
+
+  beforeEach(() => {
+    exchange = createExchange();
+    getExchangeForPair.mockReturnValue(exchange);
+    engine = createEngine();
+  });
+
+  it('opens a filled entry with the fee netted out of the position and protects it', async () => {
+    exchange.placeOrder.mockResolvedValue(entryFill);
+    exchange.fills.entry = entryFills;
+
+    const trade = await engine.executeManualTrade('suggestion-1', 'LIVE');
+
+    expect(exchange.placeOrder).toHaveBeenCalledWith(expect.objectContaining({ side: 'BUY', type: 'MARKET', quoteOrderQty: 500 }));
+    expect(trade.status).toBe('ACTIVE');
+    expect(trade.entryPrice).toBe(50000);
+    expect(trade.baseQuantity).toBeCloseTo(0.00999, 10);
+    expect(trade.entryCommission).toBeCloseTo(0.5, 10);
+    expect(exchange.placeAttachedOrders).toHaveBeenCalledWith('BTC-USDT', 'BUY', trade.baseQuantity, { stopLoss: 49000, takeProfit: 52000 });
+    expect(trade.orders.stopLoss.orderId).toBe('sl');
+    expect(trade.orders.takeProfit.orderId).toBe('tp');
+  });
+
+  it('estimates the fee from the order when the fills are unavailable', async () => {
+    exchange.placeOrder.mockResolvedValue({ ...entryFill, fee: 0.00001 });
+
+    const trade = await engine.executeManualTrade('suggestion-1', 'LIVE');
+
+    expect(trade.baseQuantity).toBeCloseTo(0.00999, 10);
+    expect(trade.entryCommission).toBeCloseTo(0.5, 10);
+  });
+
+  it('keeps a resting entry pending until it fills', async () => {
+    exchange.placeOrder.mockResolvedValue(order({ orderId: 'entry', type: 'LIMIT', price: 50000, origQty: 0.01 }));
+
+    const trade = await engine.executeManualTrade('suggestion-1', 'LIVE', { type: 'LIMIT' });
+
+    expect(trade.status).toBe('PENDING');
+    expect(exchange.placeAttachedOrders).not.toHaveBeenCalled();
+
+    exchange.orders.entry = { ...entryFill, type: 'LIMIT' };
+    exchange.fills.entry = entryFills;
+    await engine.syncLiveOrders();
+
+    expect(trade.status).toBe('ACTIVE');
+    expect(trade.orders.entry.history.map(entry => entry.status)).toEqual(['NEW', 'FILLED']);
+    expect(exchange.placeAttachedOrders).toHaveBeenCalledTimes(1);
+  });
+
+  it('cancels a trade whose entry the exchange rejects', async () => {
+    exchange.placeOrder.mockResolvedValue(order({ orderId: 'entry', status: 'REJECTED', exchangeStatus: 'EXPIRED' }));
+
+    await expect(engine.executeManualTrade('suggestion-1', 'LIVE')).rejects.toThrow('Test Exchange rejected the BUY order for BTC-USDT');
+    expect(engine.manualTrades).toHaveLength(0);
+  });
+
+  it('closes on a stop loss fill, cancels the take profit and nets both fees', async () => {
+    exchange.placeOrder.mockResolvedValue(entryFill);
+    exchange.fills.entry = entryFills;
+    const trade = await engine.executeManualTrade('suggestion-1', 'LIVE');
+
+    // Stop sells the 0.00999 BTC left at 49000, the fee is paid in USDT
+    exchange.orders.sl = order({ orderId: 'sl', side: 'SELL', type: 'STOP_LOSS', status: 'FILLED', executedQty: 0.00999, quoteQty: 489.51, avgPrice: 49000 });
+    exchange.fills.sl = [{ id: 'f2', orderId: 'sl', price: 49000, qty: 0.00999, quoteQty: 489.51, commission: 0.48951, commissionAsset: 'USDT', time: 0 }];
+    await engine.syncLiveOrders();
+
+    expect(trade.status).toBe('CLOSED');
+    expect(trade.exitReason).toBe('STOP_LOSS');
+    expect(trade.exitPrice).toBe(49000);
+    expect(exchange.cancelAttachedOrders).toHaveBeenCalledWith('BTC-USDT', { takeProfit: expect.objectContaining({ orderId: 'tp' }) });
+    expect(trade.orders.takeProfit.status).toBe('CANCELED');
+    expect(trade.pnl).toBeCloseTo(-10 - 0.5 - 0.48951, 8);
+    expect(trade.commission).toBeCloseTo(0.5 + 0.48951, 8);
+  });
+
+  it('closes at market after cancelling the protective orders', async () => {
+    exchange.placeOrder.mockResolvedValue(entryFill);
+    exchange.fills.entry = entryFills;
+    const trade = await engine.executeManualTrade('suggestion-1', 'LIVE');
+
+    exchange.placeOrder.mockResolvedValue(order({ orderId: 'exit', side: 'SELL', status: 'FILLED', executedQty: 0.00999, quoteQty: 509.49, avgPrice: 51000 }));
+    exchange.fills.exit = [{ id: 'f3', orderId: 'exit', price: 51000, qty: 0.00999, quoteQty: 509.49, commission: 0.50949, commissionAsset: 'USDT', time: 0 }];
+    await engine.closeLiveTrade(trade);
+
+    expect(exchange.cancelAttachedOrders).toHaveBeenCalledWith('BTC-USDT', {
+      stopLoss: expect.objectContaining({ orderId: 'sl' }),
+      takeProfit: expect.objectContaining({ orderId: 'tp' })
+    });
+    expect(exchange.placeOrder).toHaveBeenLastCalledWith(expect.objectContaining({ side: 'SELL', type: 'MARKET', quantity: trade.baseQuantity }));
+    expect(trade.status).toBe('CLOSED');
+    expect(trade.exitReason).toBe('MANUAL');
+    expect(trade.pnl).toBeCloseTo(10 - 0.5 - 0.50949, 8);
+  });
+
+  it('restores the protective orders when the market exit is not filled', async () => {
+    exchange.placeOrder.mockResolvedValue(entryFill);
+    exchange.fills.entry = entryFills;
+    const trade = await engine.executeManualTrade('suggestion-1', 'LIVE');
+
+    exchange.placeOrder.mockResolvedValue(order({ orderId: 'exit', side: 'SELL', status: 'REJECTED' }));
+    await expect(engine.closeLiveTrade(trade)).rejects.toThrow('Exit order for BTC-USDT was not filled (REJECTED)');
+
+    expect(trade.status).toBe('ACTIVE');
+    expect(exchange.placeAttachedOrders).toHaveBeenCalledTimes(2);
+    expect(trade.orders.stopLoss.status).toBe('NEW');
+  });
+});
+
+describe('ManualTradingEngine take profit ladders', () => {
+  const legs = [{ fraction: 0.5, r: 1 }, { fraction: 0.5, r: 2 }];
+  let engine;
+  let exchange;
+
+  beforeEach(() => {
+    exchange = createExchange();
+    getExchangeForPair.mockReturnValue(exchange);
+    engine = createEngine();
+  });
+
+  it('takes the final leg as the trade take profit', async () => {
+    const trade = await engine.executeManualTrade('suggestion-1', 'PAPER', { takeProfitLadder: legs });
+
+    expect(trade.takeProfitLadder.map(leg => [leg.id, leg.price, leg.final])).toEqual([['tp1', 51000, false], ['tp2', 52000, true]]);
+    expect(trade.takeProfit).toBe(52000);
+  });
+
+  it('closes each leg at its target and the rest with the final leg', async () => {
+    const trade = await engine.executeManualTrade('suggestion-1', 'PAPER', { takeProfitLadder: legs });
+
+    const first = await engine.fillTakeProfitLegs(trade, { open: 50500, high: 51200, low: 50400, close: 51100 });
+
+    expect(first.map(leg => leg.id)).toEqual(['tp1']);
+    expect(trade.status).toBe('ACTIVE');
+    expect(trade.quantity).toBe(250);
+    expect(trade.takeProfitLadder[0]).toMatchObject({ status: 'FILLED', quantity: 250, exitPrice: 51000 });
+    expect(trade.takeProfitLadder[0].pnl).toBeCloseTo(5 - 0.25, 10);
+
+    const second = await engine.fillTakeProfitLegs(trade, { open: 51100, high: 52100, low: 51000, close: 52050 });
+
+    expect(second.map(leg => leg.id)).toEqual(['tp2']);
+    expect(trade.status).toBe('CLOSED');
+    expect(trade.exitReason).toBe('TAKE_PROFIT');
+    expect(trade.takeProfitLadder[1]).toMatchObject({ status: 'FILLED', quantity: 250, exitPrice: 52000 });
+    // Both legs net of their exit fees, less the entry fee
+    expect(trade.pnl).toBeCloseTo(4.75 + 10 - 0.25 - 0.5, 10);
+  });
+
+  it('fills a gap through a target at the open', async () => {
+    const trade = await engine.executeManualTrade('suggestion-1', 'PAPER', { takeProfitLadder: legs });
+
+    await engine.fillTakeProfitLegs(trade, { open: 51500, high: 51600, low: 51400, close: 51500 });
+
+    expect(trade.takeProfitLadder[0].exitPrice).toBe(51500);
+  });
+
+  it('leaves the final leg of a live trade to the exchange take profit', async () => {
+    exchange.placeOrder.mockResolvedValue(entryFill);
+    exchange.fills.entry = entryFills;
+    const trade = await engine.executeManualTrade('suggestion-1', 'LIVE', { takeProfitLadder: legs });
+
+    exchange.placeOrder.mockResolvedValue(order({ orderId: 'exit', side: 'SELL', status: 'FILLED', executedQty: 0.004995, quoteQty: 254.745, avgPrice: 51000 }));
+    const filled = await engine.fillTakeProfitLegs(trade, { open: 50500, high: 52100, low: 50400, close: 52000 });
+
+    expect(filled.map(leg => leg.id)).toEqual(['tp1']);
+    expect(trade.status).toBe('ACTIVE');
+    expect(trade.baseQuantity).toBeCloseTo(0.004995, 10);
+    expect(exchange.placeAttachedOrders).toHaveBeenLastCalledWith('BTC-USDT', 'BUY', trade.baseQuantity, { stopLoss: 49000, takeProfit: 52000 });
+    expect(trade.takeProfitLadder[1].status).toBe('OPEN');
+  });
+
+  it('rejects a take profit change of a laddered trade', async () => {
+    const trade = await engine.executeManualTrade('suggestion-1', 'PAPER', { takeProfitLadder: legs });
+
+    expect(engine.validateTradeModification(trade, { takeProfit: 53000 })).toEqual([
+      'takeProfit of a trade with a take profit ladder is set by its final leg and cannot be changed'
+    ]);
+    expect(engine.validateTradeModification(trade, { stopLoss: 49500 })).toEqual([]);
+
+    await expect(engine.modifyManualTrade(trade.id, { takeProfit: 53000 })).rejects.toThrow('cannot be changed');
+    expect(trade.takeProfit).toBe(52000);
+    expect(trade.takeProfitLadder[1].price).toBe(52000);
+  });
+});
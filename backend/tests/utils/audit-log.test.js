@@ -0,0 +1,151 @@
+jest.mock('../../src/utils/redis-client', () => ({ client: { xadd: jest.fn(), xrevrange: jest.fn() } }));
+
+// Config is validated on load, the audit log does not need users
+process.env.AUTH_ENABLED = 'false';
+
+const redisClient = require('../../src/utils/redis-client');
+const config = require('../../src/utils/config');
+const auditLog = require('../../src/utils/audit-log');
+
+/**
+ * Position of a stream ID or XREVRANGE bound, a bare timestamp covers every sequence of its millisecond
+ * @param {string} bound - Stream ID, timestamp, '+' or '-', exclusive when prefixed with '('
+ * @param {boolean} upper - Whether the bound is the upper end of the range
+ */
+function position(bound, upper) {
+  if (bound === '+') return [Infinity, Infinity];
+  if (bound === '-') return [-Infinity, -Infinity];
+
+  const [ms, seq] = bound.replace('(', '').split('-').map(Number);
+  return [ms, seq ?? (upper ? Infinity : 0)];
+}
+
+const compare = ([msA, seqA], [msB, seqB]) => msA - msB || seqA - seqB;
+
+/**
+ * In-memory stream answering XREVRANGE like Redis
+ * @param {Array} stream - Entries as [id, fields], oldest first
+ */
+function createXrevrange(stream) {
+  return async (key, end, start, count, limit) => {
+    const upper = position(end, true);
+    const lower = position(start, false);
+
+    return stream
+      .filter(([id]) => {
+        const at = position(id);
+        const belowEnd = end.startsWith('(') ? compare(at, upper) < 0 : compare(at, upper) <= 0;
+        const aboveStart = start.startsWith('(') ? compare(at, lower) > 0 : compare(at, lower) >= 0;
+        return belowEnd && aboveStart;
+      })
+      .reverse()
+      .slice(0, limit);
+  };
+}
+
+/**
+ * Stream of audit entries, one per second from 1700000000000 with two entries in the same millisecond at the end
+ * @param {number} count - Number of entries
+ */
+function createStream(count) {
+  const stream = [];
+  for (let i = 0; i < count; i++) {
+    const id = i === count - 1 ? `${1700000000000 + (i - 1) * 1000}-1` : `${1700000000000 + i * 1000}-0`;
+    stream.push([id, [
+      'action', i % 3 === 0 ? 'risk.rejected' : 'trade.executed',
+      'actor', i % 2 === 0 ? 'alice' : 'system',
+      'pair', i % 4 === 0 ? 'ETH-USDT' : 'BTC-USDT',
+      'targetId', `trade-${i}`,
+      'details', JSON.stringify({ index: i })
+    ]]);
+  }
+  return stream;
+}
+
+/**
+ * Follow nextCursor through every page of a query
+ * @param {Object} filters - Query filters
+ * @returns {Promise<Object>} { pages, entries }
+ */
+async function pageThrough(filters) {
+  const pages = [];
+  let cursor;
+  do {
+    const page = await auditLog.query({ ...filters, cursor });
+    pages.push(page);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return { pages, entries: pages.flatMap(page => page.entries) };
+}
+
+describe('Audit log paging', () => {
+  const stream = createStream(1200);
+  const indexes = entries => entries.map(entry => entry.details.index);
+
+  beforeEach(() => {
+    redisClient.client.xrevrange.mockImplementation(createXrevrange(stream));
+  });
+
+  it('returns entries newest first with a cursor to the next page', async () => {
+    const page = await auditLog.query({ limit: 3 });
+
+    expect(indexes(page.entries)).toEqual([1199, 1198, 1197]);
+    expect(page.nextCursor).toBe(page.entries[2].id);
+    expect(page.entries[0]).toMatchObject({ action: 'trade.executed', actor: 'system', pair: 'BTC-USDT', targetId: 'trade-1199' });
+  });
+
+  it('pages through the whole stream without gaps or repeats, across read batches', async () => {
+    const { pages, entries } = await pageThrough({ limit: 250 });
+
+    expect(pages.map(page => page.entries.length)).toEqual([250, 250, 250, 250, 200]);
+    expect(indexes(entries)).toEqual(stream.map((raw, index) => index).reverse());
+    expect(pages.at(-1).nextCursor).toBeNull();
+  });
+
+  it('splits entries of the same millisecond between pages', async () => {
+    const first = await auditLog.query({ limit: 1 });
+    const second = await auditLog.query({ limit: 1, cursor: first.nextCursor });
+
+    expect(first.entries[0].id).toBe('1700001198000-1');
+    expect(second.entries[0].id).toBe('1700001198000-0');
+  });
+
+  it('ends without a cursor when the last page is exactly full', async () => {
+    const { pages } = await pageThrough({ limit: 400 });
+
+    expect(pages.map(page => page.entries.length)).toEqual([400, 400, 400]);
+    expect(pages.at(-1).nextCursor).toBeNull();
+  });
+
+  it('pages through filtered entries', async () => {
+    const { entries } = await pageThrough({ limit: 50, action: 'risk.*', actor: 'alice', pair: 'ETH-USDT' });
+    const expected = stream
+      .map((raw, index) => index)
+      .filter(index => index % 3 === 0 && index % 2 === 0 && index % 4 === 0)
+      .reverse();
+
+    expect(indexes(entries)).toEqual(expected);
+  });
+
+  it('keeps the time range while paging', async () => {
+    const { pages, entries } = await pageThrough({ limit: 4, from: 1700000100000, to: 1700000109000 });
+
+    expect(indexes(entries)).toEqual([109, 108, 107, 106, 105, 104, 103, 102, 101, 100]);
+    expect(pages).toHaveLength(3);
+  });
+
+  it('caps the page size', async () => {
+    const maxQueryLimit = config.audit.maxQueryLimit;
+    config.audit.maxQueryLimit = 100;
+
+    try {
+      const page = await auditLog.query({ limit: 1000000 });
+
+      expect(page.entries).toHaveLength(100);
+      expect(page.nextCursor).toBe(page.entries[99].id);
+    } finally {
+      config.audit.maxQueryLimit = maxQueryLimit;
+    }
+  });
+});
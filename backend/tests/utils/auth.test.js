@@ -0,0 +1,125 @@
+// Config is validated on load, so the credentials have to be set before requiring it
+process.env.AUTH_ENABLED = 'true';
+process.env.JWT_SECRET = 'test-secret-that-is-at-least-32-characters';
+process.env.API_KEYS = 'dashboard:viewer:viewer-key,ops-bot:trader:trader-key,root:admin:admin-key';
+
+const config = require('../../src/utils/config');
+const auth = require('../../src/utils/auth');
+
+/**
+ * Run a requireRole middleware on a request with the given headers
+ * @param {string} role - Required role
+ * @param {Object} headers - Request headers
+ * @returns {Object} { status, body, user, passed }
+ */
+function run(role, headers = {}) {
+  const req = { headers };
+  const result = { status: 200, body: null, user: null, passed: false };
+  const res = {
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(body) {
+      result.body = body;
+      return this;
+    }
+  };
+
+  auth.requireRole(role)(req, res, () => {
+    result.passed = true;
+  });
+  result.user = req.user || null;
+  return result;
+}
+
+describe('auth.requireRole', () => {
+  beforeAll(() => {
+    config.auth.users.push({ name: 'alice', role: 'admin', passwordHash: auth.hashPassword('correct horse') });
+  });
+
+  afterEach(() => {
+    config.auth.enabled = true;
+    config.auth.users.find(user => user.name === 'alice').role = 'admin';
+  });
+
+  it('rejects requests without credentials', () => {
+    const result = run('viewer');
+
+    expect(result.status).toBe(401);
+    expect(result.body).toEqual({ success: false, error: 'Authentication required' });
+    expect(result.passed).toBe(false);
+  });
+
+  it('rejects an unknown API key', () => {
+    expect(run('viewer', { 'x-api-key': 'guess' }).status).toBe(401);
+  });
+
+  it.each([
+    ['viewer-key', 'viewer', true],
+    ['viewer-key', 'trader', false],
+    ['viewer-key', 'admin', false],
+    ['trader-key', 'viewer', true],
+    ['trader-key', 'trader', true],
+    ['trader-key', 'admin', false],
+    ['admin-key', 'viewer', true],
+    ['admin-key', 'trader', true],
+    ['admin-key', 'admin', true]
+  ])('%s on a %s route passes: %s', (key, role, passes) => {
+    const result = run(role, { 'x-api-key': key });
+
+    expect(result.passed).toBe(passes);
+    if (!passes) {
+      expect(result.status).toBe(403);
+      expect(result.body).toEqual({ success: false, error: `Requires the ${role} role` });
+    }
+  });
+
+  it('sets the authenticated user on the request', () => {
+    expect(run('trader', { 'x-api-key': 'trader-key' }).user).toEqual({ name: 'ops-bot', role: 'trader', method: 'api-key' });
+  });
+
+  it('accepts the token of a logged in user', () => {
+    const { token } = auth.login('alice', 'correct horse');
+    const result = run('admin', { authorization: `Bearer ${token}` });
+
+    expect(result.passed).toBe(true);
+    expect(result.user).toMatchObject({ name: 'alice', role: 'admin', method: 'jwt' });
+  });
+
+  it('refuses a login with a wrong password', () => {
+    expect(auth.login('alice', 'wrong')).toBeNull();
+    expect(auth.login('mallory', 'correct horse')).toBeNull();
+  });
+
+  it('applies role changes to tokens already issued', () => {
+    const { token } = auth.login('alice', 'correct horse');
+    config.auth.users.find(user => user.name === 'alice').role = 'viewer';
+
+    expect(run('admin', { authorization: `Bearer ${token}` }).status).toBe(403);
+    expect(run('viewer', { authorization: `Bearer ${token}` }).passed).toBe(true);
+  });
+
+  it('rejects expired, tampered and unknown user tokens', () => {
+    const expired = auth.signToken({ sub: 'alice', role: 'admin', exp: Math.floor(Date.now() / 1000) - 1 });
+    const unknown = auth.signToken({ sub: 'mallory', role: 'admin', exp: Math.floor(Date.now() / 1000) + 60 });
+    const [header, , signature] = auth.login('alice', 'correct horse').token.split('.');
+    const forged = `${header}.${Buffer.from(JSON.stringify({ sub: 'alice', exp: 9999999999 })).toString('base64url')}.${signature}`;
+
+    for (const token of [expired, unknown, forged, 'not-a-token']) {
+      expect(run('viewer', { authorization: `Bearer ${token}` }).status).toBe(401);
+    }
+  });
+
+  it('prefers the bearer token over the API key', () => {
+    expect(run('viewer', { authorization: 'Bearer not-a-token', 'x-api-key': 'admin-key' }).status).toBe(401);
+  });
+
+  it('lets everything through as the anonymous admin when disabled', () => {
+    config.auth.enabled = false;
+    const result = run('admin');
+
+    expect(result.passed).toBe(true);
+    expect(result.user).toEqual({ name: 'anonymous', role: 'admin', method: 'none' });
+  });
+});
@@ -0,0 +1,142 @@
+const { ATR, ADX } = require('technicalindicators');
+const technicalIndicators = require('../../src/utils/technical-indicators');
+const {
+  StreamingRSI,
+  StreamingSMA,
+  StreamingEMA,
+  StreamingATR,
+  StreamingADX,
+  restoreIndicator
+} = require('../../src/utils/streaming-indicators');
+
+// Deterministic random walk so failures are reproducible
+function generateCandles(count, seed = 42) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+
+  const candles = [];
+  let price = 100;
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    price = price * (1 + (random() - 0.5) * 0.01);
+    candles.push({
+      high: Math.max(open, price) * (1 + random() * 0.003),
+      low: Math.min(open, price) * (1 - random() * 0.003),
+      close: price,
+      volume: random() * 100
+    });
+  }
+  return candles;
+}
+
+/**
+ * Feed every candle to a streaming indicator and collect its values
+ * @param {Object} indicator - Streaming indicator
+ * @param {Function} input - Maps a candle to the indicator's input
+ * @param {number} restoreAt - Candle index at which the indicator is serialized and restored
+ */
+function stream(indicator, candles, input, restoreAt = null) {
+  const values = [];
+  candles.forEach((candle, index) => {
+    if (index === restoreAt) {
+      indicator = restoreIndicator(JSON.parse(JSON.stringify(indicator)));
+    }
+    const value = indicator.update(input(candle));
+    if (value !== null) {
+      values.push(value);
+    }
+  });
+  return values;
+}
+
+describe('Streaming indicators', () => {
+  const candles = generateCandles(1500);
+  const closes = candles.map(candle => candle.close);
+  const volumes = candles.map(candle => candle.volume);
+  const series = {
+    high: candles.map(candle => candle.high),
+    low: candles.map(candle => candle.low),
+    close: closes
+  };
+
+  const cases = [
+    {
+      name: 'RSI',
+      create: () => new StreamingRSI(14),
+      input: candle => candle.close,
+      batch: () => technicalIndicators.calculateRSI(closes, 14)
+    },
+    {
+      name: 'SMA',
+      create: () => new StreamingSMA(20),
+      input: candle => candle.volume,
+      batch: () => technicalIndicators.calculateSMA(volumes, 20)
+    },
+    {
+      name: 'EMA',
+      create: () => new StreamingEMA(21),
+      input: candle => candle.close,
+      batch: () => technicalIndicators.calculateEMA(closes, 21)
+    },
+    {
+      name: 'ATR',
+      create: () => new StreamingATR(14),
+      input: candle => candle,
+      batch: () => ATR.calculate({ period: 14, ...series })
+    },
+    {
+      name: 'ADX',
+      create: () => new StreamingADX(14),
+      input: candle => candle,
+      batch: () => ADX.calculate({ period: 14, ...series })
+    }
+  ];
+
+  describe.each(cases)('$name', ({ create, input, batch }) => {
+    it('matches the batch calculation', () => {
+      const expected = batch();
+      const values = stream(create(), candles, input);
+
+      expect(expected.length).toBeGreaterThan(0);
+      expect(values).toEqual(expected);
+    });
+
+    it('resumes from its serialized state', () => {
+      const uninterrupted = stream(create(), candles, input);
+      const restored = stream(create(), candles, input, 734);
+
+      expect(restored).toEqual(uninterrupted);
+    });
+
+    it('restores while warming up', () => {
+      const uninterrupted = stream(create(), candles, input);
+      const restored = stream(create(), candles, input, 5);
+
+      expect(restored).toEqual(uninterrupted);
+    });
+  });
+
+  it('returns null until the period is filled', () => {
+    const rsi = new StreamingRSI(14);
+    const values = closes.slice(0, 14).map(close => rsi.update(close));
+
+    expect(values.every(value => value === null)).toBe(true);
+    expect(rsi.update(closes[14])).not.toBeNull();
+  });
+
+  it('skips invalid prices like the batch RSI', () => {
+    const rsi = new StreamingRSI(14);
+    closes.slice(0, 30).forEach(close => rsi.update(close));
+    const value = rsi.value;
+
+    expect(rsi.update(NaN)).toBe(value);
+    expect(rsi.update(0)).toBe(value);
+  });
+
+  it('rejects an unknown indicator state', () => {
+    expect(() => restoreIndicator({ type: 'vwap', period: 14 })).toThrow('Unknown streaming indicator vwap');
+  });
+});
@@ -0,0 +1,75 @@
+const takeProfitLadder = require('../../src/utils/take-profit-ladder');
+
+describe('Take profit ladder', () => {
+  // Long from 100 with the stop at 95, so 1R is 5
+  const context = { action: 'BUY', entryPrice: 100, stopLoss: 95 };
+
+  it('prices the legs nearest first and marks the last one final', () => {
+    const ladder = takeProfitLadder.build([
+      { fraction: 0.3, price: 120 },
+      { fraction: 0.5, r: 1 },
+      { fraction: 0.2, r: 2 }
+    ], context);
+
+    expect(ladder.map(leg => [leg.id, leg.price, leg.final])).toEqual([
+      ['tp1', 105, false],
+      ['tp2', 110, false],
+      ['tp3', 120, true]
+    ]);
+    expect(ladder.every(leg => leg.status === 'OPEN')).toBe(true);
+    expect(takeProfitLadder.getFinalTarget(ladder)).toBe(120);
+  });
+
+  it('prices short legs below the entry', () => {
+    const ladder = takeProfitLadder.build([{ fraction: 0.5, r: 2 }, { fraction: 0.5, r: 1 }], { action: 'SELL', entryPrice: 100, stopLoss: 105 });
+
+    expect(ladder.map(leg => leg.price)).toEqual([95, 90]);
+  });
+
+  it('puts the runner last as the final leg, with no final target', () => {
+    const ladder = takeProfitLadder.build([{ fraction: 0.4, trailing: true }, { fraction: 0.6, r: 1 }], context);
+
+    expect(ladder.map(leg => [leg.target.type, leg.final])).toEqual([['r', false], ['trailing', true]]);
+    expect(takeProfitLadder.getFinalTarget(ladder)).toBeNull();
+    expect(takeProfitLadder.getRunnerPolicy(ladder)).toEqual({ type: 'atr' });
+  });
+
+  it('trails the runner with its own stop policy', () => {
+    const policy = { type: 'percent', percent: 0.05 };
+    const ladder = takeProfitLadder.build([{ fraction: 0.5, r: 1 }, { fraction: 0.5, trailing: policy }], context);
+
+    expect(takeProfitLadder.getRunnerPolicy(ladder)).toEqual(policy);
+    expect(takeProfitLadder.getRunnerPolicy(takeProfitLadder.build([{ fraction: 1, r: 1 }], context))).toBeNull();
+  });
+
+  it('returns the open legs a candle reached', () => {
+    const ladder = takeProfitLadder.build([{ fraction: 0.5, r: 1 }, { fraction: 0.3, r: 2 }, { fraction: 0.2, trailing: true }], context);
+
+    expect(takeProfitLadder.getReachedLegs(ladder, 'BUY', { high: 104, low: 99, close: 103 })).toEqual([]);
+    expect(takeProfitLadder.getReachedLegs(ladder, 'BUY', { high: 111, low: 99, close: 103 }).map(leg => leg.id)).toEqual(['tp1', 'tp2']);
+
+    ladder[0].status = 'FILLED';
+    expect(takeProfitLadder.getReachedLegs(ladder, 'BUY', { high: 111, low: 99, close: 103 }).map(leg => leg.id)).toEqual(['tp2']);
+  });
+
+  it('weights the reward to risk by the leg fractions', () => {
+    const ladder = takeProfitLadder.build([{ fraction: 0.5, r: 1 }, { fraction: 0.5, r: 3 }], context);
+
+    expect(takeProfitLadder.getRiskRewardRatio(ladder, 100, 95)).toBeCloseTo(2, 10);
+  });
+
+  it.each([
+    [[], 'takeProfitLadder must be a non-empty array'],
+    [[{ fraction: 0.5, r: 1 }, { fraction: 0.4, r: 2 }], 'Take profit leg fractions must add up to 1 (got 0.9)'],
+    [[{ fraction: 1, r: 1, price: 120 }], 'Each take profit leg needs exactly one target'],
+    [[{ fraction: 0.5, trailing: true }, { fraction: 0.5, trailing: true }], 'Only one take profit leg can be trailing'],
+    [[{ fraction: 1, trailing: true }], 'A take profit ladder needs at least one leg with a target price'],
+    [[{ fraction: 1, trailing: { type: 'vwap' } }], 'Invalid take profit leg trailing: Unknown stop policy: vwap']
+  ])('rejects an invalid ladder %#', (legs, message) => {
+    expect(() => takeProfitLadder.build(legs, context)).toThrow(message);
+  });
+
+  it('rejects a target behind the entry', () => {
+    expect(() => takeProfitLadder.build([{ fraction: 1, price: 90 }], context)).toThrow('Take profit price target 90 is not above the entry 100');
+  });
+});
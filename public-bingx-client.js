@@ -3,7 +3,7 @@ const axios = require('axios');
 
 class PublicBingXClient {
   constructor() {
-    this.baseURL = 'https://open-api.bingx.com';
+    this.baseURL = process.env.BINGX_BASE_URL || 'https://open-api.bingx.com';
   }
 
   /**